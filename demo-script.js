@@ -0,0 +1,148 @@
+// demo-script.js - Interactive Presenter Mode: narrated, step-by-step walkthrough of the demo suites
+import { spawn } from 'node:child_process';
+import { createRequire } from 'node:module';
+import readline from 'node:readline/promises';
+import { pathToFileURL } from 'node:url';
+import DataGenerator from './utils/data-generator.js';
+import { runDoctor, formatCheck } from './utils/doctor.js';
+
+/*
+ * npm run test:demo                     - pause before every step (Enter runs, s skips, q quits)
+ * npm run test:demo -- --auto           - no pauses, e.g. for a recording or CI (also when stdin is not a terminal)
+ * npm run test:demo -- --step=3         - start at step 3
+ * npm run test:demo -- --list           - print the steps and exit
+ * TEST_ENV=local npm run test:demo      - present offline against the mock server
+ */
+export const DEMO_STEPS = [
+  {
+    title: 'Environment check',
+    narration: [
+      'Before any test runs, the doctor checks Node, the installed packages,',
+      'the API we are about to hit and the folders the reports are written to.'
+    ],
+    run: async () => {
+      const { checks, ok } = await runDoctor();
+      checks.forEach(check => console.log(formatCheck(check)));
+      return ok;
+    }
+  },
+  {
+    title: 'GET requests - the Users API',
+    narration: [
+      'Plain reads: status codes, response headers and timing.',
+      'Every user is validated against a JSON Schema contract, not spot-checked field by field.'
+    ],
+    spec: 'tests/api/users.spec.js'
+  },
+  {
+    title: 'Dynamic data - creating posts',
+    narration: [
+      'No hard-coded fixtures: every run creates posts from fresh faker data.',
+      'Here is what one generated payload looks like:'
+    ],
+    show: () => console.log(JSON.stringify(DataGenerator.generatePost(1), null, 2)),
+    spec: 'tests/api/posts.spec.js'
+  },
+  {
+    title: 'API chaining - user → post → comment',
+    narration: [
+      'Values extracted from one response feed the next request.',
+      'Each step is a test.step in the report, and anything created is deleted again in reverse order.'
+    ],
+    spec: 'tests/api/workflow.spec.js',
+    grep: 'complete user-post-comment workflow|chain multiple API calls'
+  }
+];
+
+export const DEMO_USAGE = 'Usage: npm run test:demo -- [--auto] [--list] [--step=N]';
+
+const PLAYWRIGHT_CLI = createRequire(import.meta.url).resolve('@playwright/test/cli');
+
+export function parseDemoArgs(argv, { interactive = process.stdin.isTTY } = {}) {
+  const step = argv.find(arg => arg.startsWith('--step='));
+  const from = step ? step.slice('--step='.length) : '1';
+  if (!/^\d+$/.test(from) || Number(from) < 1 || Number(from) > DEMO_STEPS.length) {
+    throw new Error(`--step must be a step number from 1 to ${DEMO_STEPS.length}, got "${from}"`);
+  }
+
+  return {
+    auto: argv.includes('--auto') || Boolean(process.env.DEMO_AUTO) || !interactive,
+    list: argv.includes('--list'),
+    from: Number(from)
+  };
+}
+
+// The spec's own output is the demo, so the list reporter streams straight to the terminal
+function runSpec({ spec, grep }) {
+  const args = [PLAYWRIGHT_CLI, 'test', spec, '--project=api-tests', '--reporter=list'];
+  if (grep) args.push(`--grep=${grep}`);
+
+  return new Promise(resolve => {
+    spawn(process.execPath, args, { stdio: 'inherit', env: process.env })
+      .on('exit', code => resolve(code === 0))
+      .on('error', error => {
+        console.error(`❌ Could not start Playwright: ${error.message}`);
+        resolve(false);
+      });
+  });
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseDemoArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    console.error(DEMO_USAGE);
+    process.exitCode = 1;
+    return;
+  }
+  const { auto, list, from } = options;
+
+  if (list) {
+    DEMO_STEPS.forEach((step, index) => console.log(`${index + 1}. ${step.title}${step.spec ? ` (${step.spec})` : ''}`));
+    return;
+  }
+
+  const prompt = auto ? null : readline.createInterface({ input: process.stdin, output: process.stdout });
+  const results = [];
+
+  console.log('🎭 API Automation Demo - Presenter Mode');
+  console.log(`🌍 Environment: ${process.env.TEST_ENV || 'default profile'}${auto ? ' (auto)' : ''}`);
+
+  try {
+    for (const [index, step] of DEMO_STEPS.entries()) {
+      if (index + 1 < from) continue;
+
+      console.log(`\n🎬 Step ${index + 1}/${DEMO_STEPS.length}: ${step.title}`);
+      console.log('------------------------------------------');
+      step.narration.forEach(line => console.log(`   ${line}`));
+      step.show?.();
+
+      if (prompt) {
+        const answer = (await prompt.question('\n⏸️  Enter to run, s to skip, q to quit: ')).trim().toLowerCase();
+        if (answer === 'q') break;
+        if (answer === 's') {
+          results.push({ title: step.title, status: 'skipped' });
+          continue;
+        }
+      }
+
+      const passed = step.run ? await step.run() : await runSpec(step);
+      results.push({ title: step.title, status: passed ? 'passed' : 'failed' });
+    }
+  } finally {
+    prompt?.close();
+  }
+
+  const icons = { passed: '✅', failed: '❌', skipped: '⏭️' };
+  console.log('\n📋 Demo summary');
+  results.forEach(result => console.log(`${icons[result.status]} ${result.title}`));
+  console.log('📊 Open the full report with npm run report');
+
+  if (results.some(result => result.status === 'failed')) process.exitCode = 1;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  await main();
+}
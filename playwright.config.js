@@ -1,5 +1,9 @@
 // playwright.config.js
 import { defineConfig } from '@playwright/test';
+import { loadEnvironment } from './utils/environments.js';
+
+// Environment profile from environments.json, selected with TEST_ENV=local|dev|staging|prod-readonly
+const environment = loadEnvironment();
 
 export default defineConfig({
   // Test directory
@@ -17,17 +21,27 @@ export default defineConfig({
   // Opt out of parallel tests on CI
   workers: process.env.CI ? 1 : undefined,
   
+  // Starts the local mock server when the profile points at it, then gates the run on API health
+  globalSetup: './utils/global-setup.js',
+
+  // Reports cleanup orphans and OpenAPI coverage, then stops the mock server
+  globalTeardown: './utils/global-teardown.js',
+  
   // Reporter to use. See https://playwright.dev/docs/test-reporters
   reporter: [
     ['html'],
     ['json', { outputFile: 'playwright-report/results.json' }],
-    ['junit', { outputFile: 'playwright-report/results.xml' }]
+    ['junit', { outputFile: 'playwright-report/results.xml' }],
+    // Endpoint × method × status matrix against endpoint-inventory.json
+    ['./utils/coverage-reporter.js', { outputDir: 'coverage' }],
+    // Results by endpoint, request/response pairs per test, Markdown summary and run history
+    ['./utils/api-reporter.js', { outputDir: 'api-report' }]
   ],
   
   // Shared settings for all the projects below
   use: {
     // Base URL to use in actions like `await page.goto('/')`
-    baseURL: process.env.API_BASE_URL || 'https://jsonplaceholder.typicode.com',
+    baseURL: environment.baseURL,
     
     // Collect trace when retrying the failed test
     trace: 'on-first-retry',
@@ -36,34 +50,51 @@ export default defineConfig({
     extraHTTPHeaders: {
       'Accept': 'application/json',
       'Content-Type': 'application/json',
+      ...environment.headers,
     },
   },
 
+  // Shown in the HTML report and read by global setup
+  metadata: {
+    environment: environment.name,
+  },
+
   // Configure projects for API testing
   projects: [
     {
       name: 'api-tests',
       testMatch: '**/*.spec.js',
+      // Performance and load specs run only in their own projects
+      testIgnore: ['**/*performance*.spec.js', '**/*load*.spec.js'],
     },
     
     {
       name: 'performance-tests',
       testMatch: '**/*performance*.spec.js',
-      use: {
-        // Performance tests might need different timeouts
-        timeout: 30000,
-      },
+      // Each endpoint fires many requests, so allow more time per test
+      timeout: 120000,
+      // A retry would hide a flaky budget breach instead of reporting it
+      retries: 0,
+    },
+
+    {
+      name: 'load-tests',
+      testMatch: '**/*load*.spec.js',
+      // Virtual users run for the profile's duration, then created records are cleaned up
+      timeout: 120000,
+      // Thresholds gate the run; a retry would only average a breach away
+      retries: 0,
     },
   ],
 
   // Global timeout for each test
-  timeout: 30000,
+  timeout: environment.timeouts.test,
   
   // Global timeout for the whole test run
   globalTimeout: 10 * 60 * 1000, // 10 minutes
   
   // Expect timeout
   expect: {
-    timeout: 10000,
+    timeout: environment.timeouts.expect,
   },
 });
\ No newline at end of file
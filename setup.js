@@ -0,0 +1,26 @@
+// setup.js - Environment Doctor: Node, dependencies, API target and report directories
+import { runDoctor, formatCheck } from './utils/doctor.js';
+
+/*
+ * npm run setup
+ * TEST_ENV=staging npm run setup             - check another profile
+ * API_BASE_URL=http://... npm run setup      - check a different API
+ * Exits with 1 when any check fails, so CI can run it first.
+ */
+console.log('🩺 API Automation Demo - Environment Doctor');
+console.log('==========================================');
+
+const { checks, ok } = await runDoctor();
+for (const check of checks) {
+  console.log(formatCheck(check));
+}
+
+console.log('==========================================');
+if (ok) {
+  const warnings = checks.filter(check => check.status === 'warn').length;
+  console.log(`🎉 Ready to test${warnings > 0 ? ` (${warnings} warning${warnings === 1 ? '' : 's'})` : ''}`);
+  console.log('   Next: npm run test:local (offline) or npm test (JSONPlaceholder); npm run test:demo to present');
+} else {
+  console.log('❌ Fix the problems above, then run npm run setup again');
+  process.exitCode = 1;
+}
@@ -0,0 +1,70 @@
+// tests/api/api-client.spec.js - Resource API Client Layer
+import { test, expect } from '../../utils/fixtures.js';
+import DataGenerator from '../../utils/data-generator.js';
+import MockServer from '../../utils/mock-server.js';
+
+test.describe('API Client - Resource Wrappers', () => {
+
+  test('attach status, headers and timing to parsed bodies', async ({ api }) => {
+    const result = await api.posts.get(1);
+
+    expect(result.ok).toBeTruthy();
+    expect(result.status).toBe(200);
+    expect(result.method).toBe('GET');
+    expect(result.url).toMatch(/\/posts\/1$/);
+    expect(result.headers['content-type']).toContain('application/json');
+    expect(result.duration).toBeGreaterThanOrEqual(0);
+    expect(result.body.id).toBe(1);
+
+    console.log(`✅ GET /posts/1 parsed in ${result.duration}ms`);
+  });
+
+  test('filter collections with query parameters', async ({ api }) => {
+    const { status, body: todos } = await api.todos.list({ userId: 2 });
+
+    expect(status).toBe(200);
+    expect(todos.length).toBeGreaterThan(0);
+    expect(todos.every(todo => todo.userId === 2)).toBeTruthy();
+  });
+
+  test('resolve nested relations per resource', async ({ api }) => {
+    const userPosts = await api.users.posts(1);
+    const userTodos = await api.users.todos(1);
+    const postComments = await api.posts.comments(1);
+
+    expect(userPosts.status).toBe(200);
+    expect(userPosts.body.every(post => post.userId === 1)).toBeTruthy();
+    expect(userTodos.body.every(todo => todo.userId === 1)).toBeTruthy();
+    expect(postComments.body.every(comment => comment.postId === 1)).toBeTruthy();
+
+    await expect(postComments).toMatchSchema('comment');
+  });
+
+  test('create, update, patch and delete through the client', async ({ api, baseURL }) => {
+    const postData = DataGenerator.generatePost(1);
+
+    const created = await api.posts.create(postData);
+    expect(created.status).toBe(201);
+    expect(created.body).toMatchObject(postData);
+
+    // JSONPlaceholder does not store created posts, so fall back to a seeded one there
+    const postId = MockServer.handles(baseURL) ? created.body.id : 1;
+
+    const updated = await api.posts.update(postId, postData);
+    expect(updated.status).toBe(200);
+    expect(updated.body.title).toBe(postData.title);
+
+    const patched = await api.posts.patch(postId, { title: 'Patched via client' });
+    expect(patched.status).toBe(200);
+    expect(patched.body.title).toBe('Patched via client');
+
+    const comment = await api.comments.create(DataGenerator.generateComment(1));
+    expect(comment.status).toBe(201);
+    await expect(comment).toMatchSchema('comment');
+
+    const deleted = await api.posts.delete(postId);
+    expect(deleted.status).toBe(200);
+
+    console.log('✅ All CRUD operations available on the client');
+  });
+});
@@ -0,0 +1,200 @@
+// tests/api/api-report.spec.js - API Reporter: results by endpoint, request/response detail and run history
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { test, expect } from '../../utils/fixtures.js';
+import { loadInventory } from '../../utils/endpoint-coverage.js';
+import { RequestLog, captureRequests } from '../../utils/request-log.js';
+import ApiReporter from '../../utils/api-reporter.js';
+import {
+  harToCalls,
+  attachmentToCalls,
+  createdResources,
+  buildApiReport,
+  runScope,
+  toHistoryEntry,
+  appendHistory,
+  sparkline,
+  renderMarkdown,
+  renderHtml
+} from '../../utils/api-report.js';
+
+const inventory = loadInventory();
+
+const call = (method, callPath, status, time, extra = {}) => ({ method, url: `http://localhost:3100${callPath}`, path: callPath, status, time, ...extra });
+
+const sampleTests = () => [
+  {
+    title: 'Posts › create a post',
+    status: 'passed',
+    duration: 40,
+    annotations: [{ type: 'data-seed', description: '42' }],
+    calls: [
+      call('POST', '/posts', 201, 12, { requestBody: '{"title":"Hello"}', responseBody: '{"title":"Hello","id":101}' }),
+      call('GET', '/posts/1', 200, 4)
+    ]
+  },
+  {
+    title: 'Posts › read a missing post',
+    status: 'failed',
+    duration: 25,
+    annotations: [],
+    calls: [call('GET', '/posts/9999', 404, 6), call('GET', '/posts/1', 200, 8)]
+  },
+  { title: 'Users › skipped in prod', status: 'skipped', duration: 0, annotations: [], calls: [] }
+];
+
+test.describe('API Report - Builders', () => {
+
+  test('turn a captured HAR into request/response pairs', async ({ request }) => {
+    const log = new RequestLog({ baseURL: 'http://localhost:3100' });
+    const logged = captureRequests(request, log);
+    await logged.post('/posts', { data: { title: 'Report me', body: 'b', userId: 1 } });
+    await logged.get('/posts/1');
+
+    const calls = harToCalls(log.toHar());
+    expect(calls.map(({ method, path: callPath }) => `${method} ${callPath}`)).toEqual(['POST /posts', 'GET /posts/1']);
+    expect(calls[0]).toMatchObject({ status: 201, requestBody: expect.stringContaining('Report me') });
+    expect(calls[1].time).toBeGreaterThanOrEqual(0);
+    expect(createdResources(calls)).toEqual([`/posts/${JSON.parse(calls[0].responseBody).id}`]);
+
+    expect(attachmentToCalls([{ method: 'GET', path: '/users/1', status: 200 }])).toEqual([
+      { method: 'GET', url: '/users/1', path: '/users/1', status: 200 }
+    ]);
+  });
+
+  test('group calls by endpoint and method', async () => {
+    const report = buildApiReport(sampleTests(), inventory, { environment: 'local', baseURL: 'http://localhost:3100' });
+
+    expect(report.totals).toMatchObject({ tests: 3, passed: 1, failed: 1, skipped: 1, passRate: 0.5, requests: 4 });
+    expect(report.endpoints.map(endpoint => endpoint.key)).toEqual(['POST /posts', 'GET /posts/:id']);
+    expect(report.endpoints[1]).toMatchObject({
+      calls: 3,
+      tests: 2,
+      statuses: { 200: 2, 404: 1 },
+      failedTests: ['Posts › read a missing post'],
+      p50: 6,
+      max: 8
+    });
+    expect(report.tests[0].created).toEqual(['/posts/101']);
+  });
+
+  test('keep a bounded history and draw trends', async () => {
+    const history = [1, 2, 3].reduce((runs, run) => appendHistory(runs, { runAt: `run-${run}` }, 2), []);
+    expect(history.map(run => run.runAt)).toEqual(['run-2', 'run-3']);
+
+    expect(sparkline([1, 5, 3])).toBe('▁█▅');
+    expect(sparkline([7, 7])).toBe('▄▄');
+    expect(sparkline([])).toBe('');
+  });
+
+  test('render a Markdown summary with trends against the previous run', async () => {
+    const previous = toHistoryEntry(buildApiReport(sampleTests().slice(0, 1), inventory, { environment: 'local', generatedAt: 'run-1' }));
+    const report = buildApiReport(sampleTests(), inventory, { environment: 'local', generatedAt: 'run-2' });
+    const otherEnvironment = { ...previous, environment: 'staging' };
+
+    const markdown = renderMarkdown(report, [previous, otherEnvironment, toHistoryEntry(report)]);
+    console.log(markdown);
+    expect(markdown).toContain('| 3 | 1 | 1 | 0 | 1 | 50% | 4 |');
+    expect(markdown).toContain('| `GET /posts/:id` ❌ | 3 | 2 | 200×2 404×1 | 6ms | 8ms | 8ms | +4ms |');
+    expect(markdown).toContain('- **Posts › read a missing post**<br>`GET /posts/9999` → 404 (6ms)');
+    expect(markdown).toContain('### 📈 Trends (last 2 runs on local)');
+    expect(markdown).toContain('- Pass rate: █▁ 100% → 50%');
+
+    expect(renderMarkdown(report, [toHistoryEntry(report)])).not.toContain('Trends');
+  });
+
+  test('compare trends only with runs that selected the same tests', async () => {
+    const fullScope = runScope([{ project: 'api-tests' }, { project: 'api-tests' }, { project: 'performance' }]);
+    expect(fullScope).toEqual({ projects: ['api-tests', 'performance'], tests: 3 });
+
+    const full = toHistoryEntry(buildApiReport(sampleTests(), inventory, { environment: 'local', scope: fullScope, generatedAt: 'run-1' }));
+    const grepScope = { projects: ['api-tests'], tests: 1 };
+    const grepped = buildApiReport(sampleTests().slice(0, 1), inventory, { environment: 'local', scope: grepScope, generatedAt: 'run-2' });
+
+    expect(renderMarkdown(grepped, [full, toHistoryEntry(grepped)])).not.toContain('Trends');
+
+    const next = buildApiReport(sampleTests(), inventory, { environment: 'local', scope: fullScope, generatedAt: 'run-3' });
+    const markdown = renderMarkdown(next, [full, toHistoryEntry(grepped), toHistoryEntry(next)]);
+    expect(markdown).toContain('### 📈 Trends (last 2 runs on local)');
+    expect(markdown).not.toContain('| run-2 |');
+  });
+
+  test('render request/response pairs as escaped HTML', async () => {
+    const tests = sampleTests();
+    tests[0].calls[0].responseBody = '{"title":"<script>alert(1)</script>","id":101}';
+    const html = renderHtml(buildApiReport(tests, inventory, { environment: 'local' }));
+
+    expect(html).toContain('&#60;script&#62;alert(1)&#60;/script&#62;');
+    expect(html).not.toContain('<script>');
+    expect(html).toContain('<code>/posts/101</code>');
+    expect(html).toMatch(/<details class="test failed" open>/);
+  });
+});
+
+test.describe('API Report - Reporter', () => {
+
+  test('write the report, Markdown summary and history from test attachments', async ({}, testInfo) => {
+    const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-report-'));
+    const stepSummary = path.join(outputDir, 'step-summary.md');
+    const githubStepSummary = process.env.GITHUB_STEP_SUMMARY;
+    process.env.GITHUB_STEP_SUMMARY = stepSummary;
+
+    const harFile = testInfo.outputPath('api-log.har');
+    const log = new RequestLog({ baseURL: 'http://localhost:3100' });
+    const entry = log.start({ method: 'GET', url: '/users/1', options: {} });
+    Object.assign(entry, { status: 200, time: 5, responseHeaders: { 'content-type': 'application/json' }, responseBody: '{"id":1}' });
+    fs.mkdirSync(path.dirname(harFile), { recursive: true });
+    fs.writeFileSync(harFile, JSON.stringify(log.toHar()));
+
+    const fakeTest = (id, title, outcome = 'expected') => ({
+      id,
+      titlePath: () => ['', 'api-tests', 'api/users.spec.js', 'Users', title],
+      location: { file: path.join(process.cwd(), 'tests/api/users.spec.js') },
+      parent: { project: () => ({ name: 'api-tests' }) },
+      annotations: [],
+      outcome: () => outcome
+    });
+    const suite = { allTests: () => [fakeTest('a', 'get user'), fakeTest('b', 'list users')] };
+    const run = (status) => {
+      const reporter = new ApiReporter({ outputDir, historySize: 5, quiet: true });
+      reporter.onBegin({ metadata: { environment: 'local' }, projects: [{ use: { baseURL: 'http://localhost:3100' } }] }, suite);
+      reporter.onTestEnd(fakeTest('a', 'get user'), {
+        status, duration: 10, retry: 0, annotations: [], attachments: [{ name: 'api-log.har', path: harFile, contentType: 'application/json' }]
+      });
+      reporter.onTestEnd(fakeTest('b', 'list users'), {
+        status: 'passed', duration: 10, retry: 0, annotations: [],
+        attachments: [{ name: 'api-calls', body: Buffer.from(JSON.stringify([{ method: 'GET', path: '/users', status: 200 }])) }]
+      });
+      reporter.onEnd({ status: 'passed' });
+    };
+
+    try {
+      run('failed');
+      run('passed');
+
+      const report = JSON.parse(fs.readFileSync(path.join(outputDir, 'report.json'), 'utf8'));
+      expect(report.endpoints.map(endpoint => endpoint.key)).toEqual(['GET /users', 'GET /users/:id']);
+      expect(report.tests[0]).toMatchObject({ title: 'Users › get user', file: path.join('tests', 'api', 'users.spec.js'), project: 'api-tests' });
+      expect(report.tests[0].calls[0]).toMatchObject({ status: 200, time: 5, responseBody: '{"id":1}' });
+
+      const history = JSON.parse(fs.readFileSync(path.join(outputDir, 'history.json'), 'utf8'));
+      expect(history.map(entry => entry.passRate)).toEqual([0.5, 1]);
+      expect(history[1].scope).toEqual({ projects: ['api-tests'], tests: 2 });
+      expect(fs.readFileSync(path.join(outputDir, 'summary.md'), 'utf8')).toContain('- Pass rate: ▁█ 50% → 100%');
+      expect(fs.readFileSync(path.join(outputDir, 'index.html'), 'utf8')).toContain('GET http://localhost:3100/users/1');
+      expect(fs.readFileSync(stepSummary, 'utf8').match(/## 🌐 API Test Report/g)).toHaveLength(2);
+
+      // A corrupt history is replaced, not fatal
+      fs.writeFileSync(path.join(outputDir, 'history.json'), '[{"runAt": "trunc');
+      run('passed');
+      expect(JSON.parse(fs.readFileSync(path.join(outputDir, 'history.json'), 'utf8'))).toHaveLength(1);
+      expect(fs.readFileSync(path.join(outputDir, 'summary.md'), 'utf8')).not.toContain('Trends');
+    } finally {
+      if (githubStepSummary === undefined) delete process.env.GITHUB_STEP_SUMMARY;
+      else process.env.GITHUB_STEP_SUMMARY = githubStepSummary;
+      fs.rmSync(outputDir, { recursive: true });
+    }
+    console.log('🌐 API report and history written from test attachments');
+  });
+});
@@ -0,0 +1,145 @@
+// tests/api/auth.spec.js - Authentication Strategies, Token Refresh & Rejections
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { test, expect } from '../../utils/fixtures.js';
+import MockServer from '../../utils/mock-server.js';
+import { AuthSession, AuthError, authenticate } from '../../utils/auth.js';
+
+const OAUTH = { type: 'oauth2', tokenUrl: '/oauth/token', clientId: 'demo-client', clientSecret: 'demo-secret' };
+
+test.describe('Auth - Strategies & Rejections', () => {
+  let server;
+  let context;
+  let storageDir;
+
+  // A private server with a short token lifetime, so expiry can be exercised in every environment
+  test.beforeAll(async ({ playwright }) => {
+    server = await new MockServer({ port: 0, auth: { tokenTtl: 1 } }).start();
+    context = await playwright.request.newContext({ baseURL: server.url });
+    storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-'));
+  });
+
+  test.afterAll(async () => {
+    await context?.dispose();
+    await server?.stop();
+    fs.rmSync(storageDir, { recursive: true, force: true });
+  });
+
+  test('reject unauthenticated and unknown credentials', async () => {
+    const anonymous = await context.get('/users/1');
+    expect(anonymous.status()).toBe(401);
+    expect(anonymous.headers()['www-authenticate']).toContain('Bearer');
+
+    const forged = await context.get('/users/1', { headers: { Authorization: 'Bearer not-a-token' } });
+    expect(forged.status()).toBe(401);
+
+    const badKey = await context.get('/users/1', { headers: { 'X-API-Key': 'wrong' } });
+    expect(badKey.status()).toBe(401);
+
+    console.log('🔒 Anonymous and forged requests rejected with 401');
+  });
+
+  test('reject writes from a read-only scope with 403', async () => {
+    const readOnly = new AuthSession({ ...OAUTH, clientId: 'readonly-client', clientSecret: 'readonly-secret' }, { baseURL: server.url });
+    const api = authenticate(context, readOnly);
+
+    expect((await api.get('/posts/1')).status()).toBe(200);
+
+    const write = await api.post('/posts', { data: { title: 'scoped', body: 'out', userId: 1 } });
+    expect(write.status()).toBe(403);
+    expect(await write.json()).toEqual({ error: 'insufficient_scope', required: 'write' });
+
+    // A client cannot ask for more than it was granted
+    const escalate = new AuthSession({ ...OAUTH, clientId: 'readonly-client', clientSecret: 'readonly-secret', scope: 'read write' }, { baseURL: server.url });
+    await expect(escalate.login()).rejects.toThrow(/invalid_scope/);
+
+    console.log('🔒 Read-only token can read but not write');
+  });
+
+  test('authenticate with bearer, API key and basic credentials', async () => {
+    const strategies = [
+      { type: 'bearer', token: 'demo-static-token' },
+      { type: 'apiKey', key: 'demo-api-key' },
+      { type: 'basic', username: 'demo', password: 'demo-password' }
+    ];
+
+    for (const config of strategies) {
+      const response = await authenticate(context, new AuthSession(config)).get('/users/1');
+      expect(response.status(), `${config.type} credentials`).toBe(200);
+    }
+
+    const wrongPassword = authenticate(context, new AuthSession({ type: 'basic', username: 'demo', password: 'nope' }));
+    expect((await wrongPassword.get('/users/1')).status()).toBe(401);
+    expect(() => new AuthSession({ type: 'saml' })).toThrow(AuthError);
+
+    console.log('🔑 Bearer, API key and basic auth accepted');
+  });
+
+  test('cache client-credentials tokens in the storage file', async () => {
+    const storageFile = path.join(storageDir, 'cache.json');
+    const first = new AuthSession(OAUTH, { baseURL: server.url, storageFile });
+    const { Authorization } = await first.login();
+
+    expect(JSON.parse(fs.readFileSync(storageFile, 'utf8')).token.accessToken).toBe(Authorization.split(' ')[1]);
+
+    // A second session (e.g. another worker) reuses the cached token instead of requesting one
+    const second = new AuthSession(OAUTH, { baseURL: server.url, storageFile });
+    expect((await second.headers()).Authorization).toBe(Authorization);
+
+    // A cache written for another API is ignored
+    const elsewhere = new AuthSession(OAUTH, { baseURL: 'http://localhost:1', storageFile });
+    expect(elsewhere.load()).toBeNull();
+
+    await expect(new AuthSession({ ...OAUTH, clientSecret: 'wrong' }, { baseURL: server.url }).login())
+      .rejects.toThrow(/401: invalid_client/);
+  });
+
+  test('refresh an expired token before sending', async () => {
+    const session = new AuthSession(OAUTH, { baseURL: server.url });
+    const api = authenticate(context, session);
+    const { Authorization: original } = await session.login();
+
+    // The mock issues one-second tokens here
+    await new Promise(resolve => setTimeout(resolve, 1_100));
+    expect((await context.get('/users/1', { headers: { Authorization: original } })).status()).toBe(401);
+
+    expect((await api.get('/users/1')).status()).toBe(200);
+    expect((await session.headers()).Authorization).not.toBe(original);
+
+    console.log('🔄 Expired token renewed transparently');
+  });
+
+  test('refresh and retry once when the API answers 401', async () => {
+    const session = new AuthSession(OAUTH, { baseURL: server.url });
+    // A token the server has never seen but that looks valid locally, e.g. after a server restart
+    session.cached = { accessToken: 'revoked', tokenType: 'Bearer', issuedAt: Date.now(), expiresAt: Date.now() + 60_000 };
+
+    const response = await authenticate(context, session).get('/users/1');
+
+    expect(response.status()).toBe(200);
+    expect(session.cached.accessToken).not.toBe('revoked');
+
+    // Explicit credentials from the test are sent as-is and never retried
+    const explicit = await authenticate(context, session).get('/users/1', { headers: { Authorization: 'Bearer revoked' } });
+    expect(explicit.status()).toBe(401);
+  });
+});
+
+test.describe('Auth - Active Environment', () => {
+
+  test('reject requests that bypass the configured credentials', async ({ playwright, baseURL, environment, api }) => {
+    test.skip(!environment.auth || !MockServer.handles(baseURL), 'Only the local mock is known to enforce auth');
+
+    const anonymous = await playwright.request.newContext({ baseURL });
+    try {
+      expect((await anonymous.get('/users/1')).status()).toBe(401);
+    } finally {
+      await anonymous.dispose();
+    }
+
+    // The same call through the fixture carries the cached token
+    expect((await api.users.get(1)).status).toBe(200);
+    console.log(`🔐 ${environment.name} requires ${environment.auth.type} credentials`);
+  });
+});
@@ -0,0 +1,161 @@
+// tests/api/collections.spec.js - Pagination, Sorting, Filtering and Slicing of Collections
+import { test, expect } from '../../utils/fixtures.js';
+import ApiClient from '../../utils/api-client.js';
+import MockServer from '../../utils/mock-server.js';
+import {
+  fetchAllPages,
+  checkPages,
+  parseLinkHeader,
+  findDuplicates,
+  sortRecords,
+  filterRecords,
+  sliceRecords
+} from '../../utils/collection-query.js';
+
+// Page sizes leave a short last page; filters pick a handful of records from the seeded data
+const collections = [
+  { resource: 'users', limit: 3, sort: 'username', order: 'desc', filter: { id: [2, 5, 9] } },
+  { resource: 'posts', limit: 15, sort: 'userId,title', order: 'desc,asc', filter: { userId: 3 } },
+  { resource: 'comments', limit: 45, sort: 'email', order: 'asc', filter: { postId: [7, 8] } },
+  { resource: 'todos', limit: 30, sort: 'completed,id', order: 'desc,desc', filter: { userId: 2, completed: true } }
+];
+
+const ids = items => items.map(item => item.id);
+
+test.describe('Collections - Query Helpers', () => {
+
+  test('parse RFC 8288 Link headers', async () => {
+    expect(parseLinkHeader('<http://api.test/posts?_page=1>; rel="first", <http://api.test/posts?_page=3>; rel="next"')).toEqual({
+      first: 'http://api.test/posts?_page=1',
+      next: 'http://api.test/posts?_page=3'
+    });
+    expect(parseLinkHeader(undefined)).toEqual({});
+  });
+
+  test('report duplicates, gaps and ordering problems in a page walk', async () => {
+    const expected = [1, 2, 3, 4, 5].map(id => ({ id }));
+    const page = (number, pageIds, links = {}) => ({ page: number, items: pageIds.map(id => ({ id })), totalCount: 5, links });
+
+    const consistent = { limit: 2, pages: [page(1, [1, 2]), page(2, [3, 4]), page(3, [5])], items: expected };
+    expect(checkPages(consistent, expected)).toEqual([]);
+
+    // Page 2 repeats record 2 and record 3 falls through the gap
+    const shifted = [page(1, [1, 2]), page(2, [2, 4]), page(3, [5])];
+    expect(checkPages({ limit: 2, pages: shifted, items: shifted.flatMap(p => p.items) }, expected).map(problem => problem.check))
+      .toEqual(['duplicate', 'missing']);
+
+    const swapped = [page(1, [2, 1]), page(2, [3, 4]), page(3, [5], { next: 'http://api.test/posts?_page=4' })];
+    expect(checkPages({ limit: 2, pages: swapped, items: swapped.flatMap(p => p.items) }, expected)).toEqual([
+      { check: 'order', message: 'record 0 is id 2, expected 1' },
+      { check: 'links', message: 'page 3 links a next page after the last one' }
+    ]);
+
+    expect(findDuplicates([{ id: 1 }, { id: 2 }, { id: 1 }])).toEqual([{ id: 1, count: 2 }]);
+  });
+
+  test('mirror server-side sorting, filtering and slicing on the client', async () => {
+    const records = [
+      { id: 1, userId: 2, title: 'b' },
+      { id: 2, userId: 1, title: 'c' },
+      { id: 3, userId: 2, title: 'a' },
+      { id: 4, userId: 1 }
+    ];
+
+    expect(ids(sortRecords(records, { sort: 'userId,title', order: 'desc,asc' }))).toEqual([3, 1, 2, 4]);
+    expect(ids(sortRecords(records, { sort: 'title', order: 'desc' }))).toEqual([2, 1, 3, 4]);
+    expect(ids(filterRecords(records, { userId: '2' }))).toEqual([1, 3]);
+    expect(ids(filterRecords(records, { userId: [1, 2], title: 'c' }))).toEqual([2]);
+    expect(ids(sliceRecords(records, { start: 1, limit: 2 }))).toEqual([2, 3]);
+    expect(ids(sliceRecords(records, { start: 2 }))).toEqual([3, 4]);
+    await expect(records).not.toBeSortedBy('title');
+    await expect(sortRecords(records, { sort: 'title' })).toBeSortedBy('title');
+  });
+});
+
+test.describe('Collections - Query Features', () => {
+  let server;
+  let context;
+
+  // Other specs write to the shared mock while these walk it, so local runs use a private, untouched copy
+  test.beforeAll(async ({ playwright, baseURL }) => {
+    if (!MockServer.handles(baseURL)) return;
+    server = await new MockServer({ port: 0 }).start();
+    context = await playwright.request.newContext({ baseURL: server.url });
+  });
+
+  test.afterAll(async () => {
+    await context?.dispose();
+    await server?.stop();
+  });
+
+  const clientFor = request => new ApiClient(context ?? request);
+
+  for (const { resource, limit, sort, order, filter } of collections) {
+    test.describe(`/${resource}`, () => {
+
+      test(`page through with _page/_limit=${limit} without duplicates or gaps`, async ({ request }) => {
+        const collection = clientFor(request)[resource];
+        const { body: all } = await collection.list();
+
+        const walk = await fetchAllPages(collection, { limit });
+
+        expect(checkPages(walk, all)).toEqual([]);
+        expect(walk.pages).toHaveLength(Math.ceil(all.length / limit));
+        console.log(`📄 /${resource}: ${walk.items.length} records over ${walk.pages.length} pages of ${limit}`);
+      });
+
+      test(`sort by ${sort} (${order}) consistently`, async ({ request }) => {
+        const collection = clientFor(request)[resource];
+        const { body: all } = await collection.list();
+
+        const sorted = await collection.list({ _sort: sort, _order: order });
+        await expect(sorted).toBeSortedBy(sort, order);
+        expect(ids(sorted.body)).toEqual(ids(sortRecords(all, { sort, order })));
+
+        // Paging a sorted collection must preserve the order across page boundaries
+        const walk = await fetchAllPages(collection, { limit, params: { _sort: sort, _order: order } });
+        expect(checkPages(walk, sorted.body)).toEqual([]);
+      });
+
+      test(`filter by ${Object.keys(filter).join(', ')} like the client-side filtered collection`, async ({ request }) => {
+        const collection = clientFor(request)[resource];
+        const { body: all } = await collection.list();
+        const expected = filterRecords(all, filter);
+
+        // Repeated keys (?postId=7&postId=8) match any of the values
+        const query = new URLSearchParams(
+          Object.entries(filter).flatMap(([field, values]) => [values].flat().map(value => [field, String(value)]))
+        );
+        const filtered = await collection.list(query);
+
+        expect(filtered.status).toBe(200);
+        expect(expected.length).toBeGreaterThan(0);
+        expect(ids(filtered.body)).toEqual(ids(expected));
+        console.log(`🔎 /${resource}?${query}: ${expected.length} of ${all.length} records`);
+      });
+
+      test('slice with _start/_end and _start/_limit', async ({ request }) => {
+        const collection = clientFor(request)[resource];
+        const { body: all } = await collection.list();
+
+        const window = await collection.list({ _start: 2, _end: 7 });
+        expect(ids(window.body)).toEqual(ids(sliceRecords(all, { start: 2, end: 7 })));
+        expect(Number(window.headers['x-total-count'])).toBe(all.length);
+
+        const limited = await collection.list({ _start: all.length - 2, _limit: 5 });
+        expect(ids(limited.body)).toEqual(ids(all.slice(-2)));
+      });
+    });
+  }
+
+  test('combine filters, sorting and pages on a nested route', async ({ request }) => {
+    const users = clientFor(request).users;
+    const { body: todos } = await users.todos(1);
+    const expected = sortRecords(filterRecords(todos, { completed: false }), { sort: 'title' });
+
+    const walk = await fetchAllPages(params => users.todos(1, params), { limit: 4, params: { completed: false, _sort: 'title' } });
+
+    expect(checkPages(walk, expected)).toEqual([]);
+    await expect(walk.items).toBeSortedBy('title');
+  });
+});
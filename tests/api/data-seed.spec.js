@@ -0,0 +1,82 @@
+// tests/api/data-seed.spec.js - Deterministic Data Generation & Replay
+import { test, expect } from '../../utils/fixtures.js';
+import DataGenerator from '../../utils/data-generator.js';
+
+test.describe('Data Seed - Reproducible Payloads', () => {
+
+  test('generate identical payloads for the same seed', async () => {
+    DataGenerator.seed(1234);
+    const firstRun = [DataGenerator.generateUser(), DataGenerator.generatePost(), DataGenerator.generateComment()];
+
+    DataGenerator.seed(1234);
+    const secondRun = [DataGenerator.generateUser(), DataGenerator.generatePost(), DataGenerator.generateComment()];
+
+    expect(JSON.stringify(secondRun)).toBe(JSON.stringify(firstRun));
+    console.log('✅ Same seed replays byte-for-byte identical payloads');
+  });
+
+  test('derive distinct, stable sub-seeds per test title', async () => {
+    const seedA = DataGenerator.deriveSeed(42, 'posts.spec.js › create post');
+    const seedB = DataGenerator.deriveSeed(42, 'posts.spec.js › update post');
+
+    expect(seedA).not.toBe(seedB);
+    expect(DataGenerator.deriveSeed(42, 'posts.spec.js › create post')).toBe(seedA);
+    expect(DataGenerator.deriveSeed(43, 'posts.spec.js › create post')).not.toBe(seedA);
+    expect(seedA).toBeGreaterThanOrEqual(0);
+    expect(seedA).toBeLessThan(2 ** 32);
+  });
+
+  test('record the seed used as a test annotation', async ({ testSeed }) => {
+    const annotation = test.info().annotations.find(a => a.type === 'data-seed');
+
+    expect(annotation).toBeTruthy();
+    expect(annotation.description).toContain(`test seed ${testSeed}`);
+    expect(annotation.description).toMatch(/^DATA_SEED=\d+ /);
+    expect(DataGenerator.currentSeed).toBe(testSeed);
+  });
+
+  test('replay localized data from the same seed', async () => {
+    DataGenerator.seed(99);
+    const firstRun = DataGenerator.generateInternationalStrings(['de', 'ja', 'ar']);
+
+    DataGenerator.seed(99);
+    const secondRun = DataGenerator.generateInternationalStrings(['de', 'ja', 'ar']);
+
+    expect(secondRun).toEqual(firstRun);
+    expect(firstRun.some(text => /[\u3040-\u30ff\u4e00-\u9faf]/.test(text))).toBeTruthy();
+    expect(firstRun.some(text => /[\u0600-\u06ff]/.test(text))).toBeTruthy();
+    expect(DataGenerator.locale).toBe(DataGenerator.DEFAULT_LOCALE);
+  });
+
+  test('reject unsupported locales', async () => {
+    expect(() => DataGenerator.setLocale('xx_YY')).toThrow('Unsupported faker locale "xx_YY"');
+  });
+
+  test.describe('with a locale option', () => {
+    test.use({ dataLocale: 'ja' });
+
+    test('generate data in the configured locale', async () => {
+      const user = DataGenerator.generateUser();
+
+      expect(DataGenerator.locale).toBe('ja');
+      expect(user.name).toMatch(/[\u3040-\u30ff\u4e00-\u9faf]/);
+
+      const annotation = test.info().annotations.find(a => a.type === 'data-seed');
+      expect(annotation.description).toContain('DATA_LOCALE=ja');
+    });
+  });
+
+  test.describe('with a pinned seed', () => {
+    test.use({ dataSeed: 2024 });
+
+    test('seed DataGenerator from the test option before the test body runs', async ({ testSeed }) => {
+      const expectedSeed = DataGenerator.deriveSeed(2024, test.info().titlePath.join(' › '));
+      expect(testSeed).toBe(expectedSeed);
+
+      // Data generated in the test matches a fresh replay from the recorded seed
+      const generated = DataGenerator.generatePost();
+      DataGenerator.seed(expectedSeed);
+      expect(DataGenerator.generatePost()).toEqual(generated);
+    });
+  });
+});
@@ -0,0 +1,95 @@
+// tests/api/endpoint-coverage.spec.js - Endpoint × Method × Status Coverage Matrix
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { test, expect } from '../../utils/fixtures.js';
+import EndpointCoverageReporter from '../../utils/coverage-reporter.js';
+import {
+  loadInventory,
+  normalizePath,
+  recordApiCalls,
+  buildCoverageMatrix,
+  renderCoverageHtml,
+  API_CALLS_ATTACHMENT
+} from '../../utils/endpoint-coverage.js';
+
+const inventory = loadInventory();
+const declaredMethods = inventory.reduce((total, endpoint) => total + endpoint.methods.length, 0);
+
+test.describe('Endpoint Coverage - Matrix', () => {
+
+  test('normalize concrete paths to inventory templates', async () => {
+    expect(normalizePath('/posts/42', inventory)).toEqual({ path: '/posts/:id', declared: true });
+    expect(normalizePath('/posts/42/comments', inventory)).toEqual({ path: '/posts/:id/comments', declared: true });
+    expect(normalizePath('/users', inventory)).toEqual({ path: '/users', declared: true });
+    expect(normalizePath('/albums/7/photos', inventory)).toEqual({ path: '/albums/:id/photos', declared: true });
+    // Unknown routes still group by id segments
+    expect(normalizePath('/invoices/7/lines', inventory)).toEqual({ path: '/invoices/:id/lines', declared: false });
+  });
+
+  test('highlight declared methods the suite never called', async () => {
+    const matrix = buildCoverageMatrix(inventory, [
+      { method: 'GET', path: '/posts/1', status: 200 },
+      { method: 'GET', path: '/posts/999', status: 404 },
+      { method: 'PUT', path: '/posts/1', status: 200 },
+      { method: 'DELETE', path: '/users', status: 404 }
+    ]);
+
+    const posts = matrix.endpoints.find(row => row.path === '/posts/:id');
+    expect(posts.methods.GET).toEqual({ declared: true, calls: 2, statuses: { 200: 1, 404: 1 } });
+    expect(posts.methods.PATCH).toEqual({ declared: true, calls: 0, statuses: {} });
+
+    expect(matrix.untested).toContain('PATCH /posts/:id');
+    expect(matrix.untested).toContain('DELETE /comments/:id');
+    expect(matrix.untested).not.toContain('GET /posts/:id');
+    expect(matrix.undeclared).toEqual(['DELETE /users']);
+    expect(matrix.totals).toEqual({ declared: declaredMethods, tested: 2, calls: 4 });
+    expect(matrix.methods).toEqual(['GET', 'POST', 'PUT', 'PATCH', 'DELETE']);
+  });
+
+  test('render the matrix as a standalone HTML page', async () => {
+    const matrix = buildCoverageMatrix(inventory, [
+      { method: 'GET', path: '/todos/1', status: 404 },
+      { method: 'GET', path: '/<script>', status: 404 }
+    ]);
+    const html = renderCoverageHtml(matrix);
+
+    expect(html).toContain('<td class="untested">untested</td>');
+    expect(html).toContain('<span class="status s4xx">404×1</span>');
+    expect(html).toContain('/&#60;script&#62; <em>(not in inventory)</em>');
+    expect(html).not.toContain('<script>');
+  });
+});
+
+test.describe('Endpoint Coverage - Recording', () => {
+
+  test('record method, path and status of every call', async ({ request }) => {
+    const calls = [];
+    const recorded = recordApiCalls(request, calls);
+
+    await recorded.get('/users/1');
+    await recorded.fetch('/posts/999999', { method: 'GET' });
+
+    expect(calls).toEqual([
+      { method: 'GET', path: '/users/1', status: 200 },
+      { method: 'GET', path: '/posts/999999', status: 404 }
+    ]);
+  });
+
+  test('write JSON and HTML reports from test attachments', async () => {
+    const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-coverage-'));
+    const reporter = new EndpointCoverageReporter({ outputDir, quiet: true });
+    const attachment = calls => ({ name: API_CALLS_ATTACHMENT, contentType: 'application/json', body: Buffer.from(JSON.stringify(calls)) });
+
+    reporter.onTestEnd({}, { attachments: [attachment([{ method: 'GET', path: '/users/1', status: 200 }])] });
+    reporter.onTestEnd({}, { attachments: [attachment([{ method: 'PATCH', path: '/posts/3', status: 200 }]), { name: 'other', body: Buffer.from('x') }] });
+    reporter.onEnd();
+
+    const report = JSON.parse(fs.readFileSync(path.join(outputDir, 'api-coverage.json'), 'utf8'));
+    expect(report.totals).toEqual({ declared: declaredMethods, tested: 2, calls: 2 });
+    expect(report.untested).not.toContain('PATCH /posts/:id');
+    expect(fs.readFileSync(path.join(outputDir, 'api-coverage.html'), 'utf8')).toContain(`2/${declaredMethods}`);
+    fs.rmSync(outputDir, { recursive: true });
+    console.log('📊 Coverage matrix written from test attachments');
+  });
+});
@@ -0,0 +1,97 @@
+// tests/api/environments.spec.js - Environment Profiles & Read-Only Guards
+import { test, expect } from '../../utils/fixtures.js';
+import { loadEnvironment, listEnvironments, guardRequest, isOperationAllowed } from '../../utils/environments.js';
+
+test.describe('Environments - Profiles', () => {
+
+  test('expose the active profile to tests', async ({ environment, baseURL }) => {
+    expect(listEnvironments()).toEqual(expect.arrayContaining(['local', 'dev', 'staging', 'prod-readonly']));
+    expect(environment.baseURL).toBe(baseURL);
+    expect(environment.expectedCounts).toMatchObject({ users: expect.any(Number), posts: expect.any(Number) });
+
+    console.log(`🌍 Running against "${environment.name}" (${environment.baseURL})`);
+  });
+
+  test('resolve credentials and URLs from environment variables', async () => {
+    const keys = ['API_BASE_URL', 'STAGING_API_URL', 'STAGING_API_TOKEN'];
+    const saved = Object.fromEntries(keys.map(key => [key, process.env[key]]));
+    try {
+      delete process.env.API_BASE_URL;
+      process.env.STAGING_API_URL = 'https://staging.example.test';
+      process.env.STAGING_API_TOKEN = 'Bearer staging-token';
+
+      const staging = loadEnvironment('staging');
+      expect(staging.baseURL).toBe('https://staging.example.test');
+      expect(staging.headers).toEqual({ Authorization: 'Bearer staging-token', 'X-Test-Run': 'playwright' });
+      expect(staging.timeouts.test).toBe(60000);
+
+      // Unset credentials are dropped rather than sent as an empty header
+      delete process.env.STAGING_API_TOKEN;
+      expect(loadEnvironment('staging').headers).toEqual({ 'X-Test-Run': 'playwright' });
+
+      // API_BASE_URL keeps working as an override
+      process.env.API_BASE_URL = 'http://localhost:4000';
+      expect(loadEnvironment('staging').baseURL).toBe('http://localhost:4000');
+    } finally {
+      for (const [key, value] of Object.entries(saved)) {
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+      }
+    }
+
+    expect(() => loadEnvironment('qa')).toThrow('Unknown environment "qa". Available: local, dev, staging, prod-readonly');
+  });
+
+  test('mark profiles without write methods as read-only', async () => {
+    const production = loadEnvironment('prod-readonly');
+    const local = loadEnvironment('local');
+
+    expect(production.readOnly).toBeTruthy();
+    expect(local.readOnly).toBeFalsy();
+    expect(isOperationAllowed(production, 'get')).toBeTruthy();
+    expect(isOperationAllowed(production, 'DELETE')).toBeFalsy();
+  });
+});
+
+test.describe('Environments - Read-Only Guard', () => {
+
+  test('block mutating calls before they reach the API', async () => {
+    const sent = [];
+    const blocked = [];
+    const fakeRequest = {
+      get: (url) => sent.push(['GET', url]),
+      post: (url) => sent.push(['POST', url]),
+      fetch: (url, options) => sent.push([options.method, url]),
+      dispose: () => 'disposed'
+    };
+    const guarded = guardRequest(fakeRequest, loadEnvironment('prod-readonly'), (method, url) => {
+      blocked.push([method, url]);
+      throw new Error('skipped');
+    });
+
+    guarded.get('/users');
+    guarded.fetch('/users/1', { method: 'GET' });
+    expect(() => guarded.post('/posts', { data: {} })).toThrow('skipped');
+    expect(() => guarded.fetch('/posts/1', { method: 'delete' })).toThrow('skipped');
+
+    expect(sent).toEqual([['GET', '/users'], ['GET', '/users/1']]);
+    expect(blocked).toEqual([['POST', '/posts'], ['DELETE', '/posts/1']]);
+    expect(guarded.dispose()).toBe('disposed');
+  });
+
+  test.describe('in a read-only profile', () => {
+    // Keep the active profile's baseURL and credentials, only narrow the allowed operations
+    const { name, allowedOperations } = loadEnvironment('prod-readonly');
+    test.use({ environment: { ...loadEnvironment(), name, allowedOperations, readOnly: true } });
+
+    test('skip a test as soon as it tries to write', async ({ api }, testInfo) => {
+      const { status } = await api.users.get(1);
+      expect(status).toBe(200);
+
+      // Reaching the POST skips the test; the assertion below must never run
+      testInfo.annotations.push({ type: 'expected-skip', description: 'POST is not allowed in prod-readonly' });
+      await api.posts.create({ title: 'never sent', body: 'x', userId: 1 });
+      throw new Error('The read-only guard let a POST through');
+    });
+  });
+});
@@ -0,0 +1,80 @@
+// tests/api/fuzz.spec.js - Property-Based Payload Fuzzing
+import fc from 'fast-check';
+import { test, expect } from '../../utils/fixtures.js';
+import MockServer from '../../utils/mock-server.js';
+import { fuzzEndpoint, payloadArbitrary, FuzzFailure, FUZZ_ITERATIONS } from '../../utils/fuzzer.js';
+import { validateSchema } from '../../utils/schemas.js';
+
+const ENDPOINTS = [
+  { path: '/posts', schema: 'post' },
+  { path: '/comments', schema: 'comment' },
+  { path: '/todos', schema: 'todo' },
+  { path: '/users', schema: 'user' }
+];
+
+test.describe('Fuzzing - Schema-Derived Payloads', () => {
+  let privateServer;
+  let fuzzRequest;
+
+  // Fuzzing the shared mock would expose garbage records to specs running in parallel,
+  // so against the mock we fuzz a private instance instead
+  test.beforeAll(async ({ playwright, baseURL }) => {
+    if (MockServer.handles(baseURL)) {
+      privateServer = await new MockServer({ port: 0 }).start();
+      fuzzRequest = await playwright.request.newContext({ baseURL: privateServer.url });
+    }
+  });
+
+  test.afterAll(async () => {
+    await fuzzRequest?.dispose();
+    await privateServer?.stop();
+  });
+
+  for (const endpoint of ENDPOINTS) {
+    test(`fuzz POST ${endpoint.path} with ${FUZZ_ITERATIONS} schema-derived payloads`, async ({ request }) => {
+      test.setTimeout(120_000);
+
+      const result = await fuzzEndpoint(fuzzRequest ?? request, { method: 'POST', ...endpoint });
+      expect(result.runs).toBe(FUZZ_ITERATIONS);
+    });
+  }
+
+  test('shrink a failing payload to a minimal ready-to-paste reproducer', async ({ request }) => {
+    let failure;
+    try {
+      await fuzzEndpoint(fuzzRequest ?? request, {
+        path: '/posts',
+        schema: 'post',
+        categories: ['valid'],
+        iterations: 200,
+        seed: 42,
+        // Pretend the backend mishandles titles longer than 5 characters
+        check: (result, payload) => payload.title.length <= 5
+      });
+    } catch (error) {
+      failure = error;
+    }
+
+    expect(failure).toBeInstanceOf(FuzzFailure);
+    expect(failure.payload.title).toHaveLength(6);
+    expect(failure.reproducer).toContain("test('fuzz reproducer: POST /posts'");
+    expect(failure.reproducer).toContain(JSON.stringify(failure.payload.title));
+    expect(failure.message).toContain('Minimal reproducer');
+  });
+
+  test('derive every mutation category from the schema', async () => {
+    const sample = (category, schema = 'post') =>
+      fc.sample(payloadArbitrary(schema, { categories: [category], maxBodySize: 5_000 }), { numRuns: 30, seed: 7 });
+    const depthOf = value => (value && typeof value === 'object'
+      ? 1 + Math.max(0, ...Object.values(value).map(depthOf))
+      : 0);
+
+    expect(validateSchema('post', sample('valid'), { payload: true })).toEqual([]);
+    expect(sample('missingFields').every(payload => Object.keys(payload).length < 3)).toBeTruthy();
+    expect(sample('extraFields').every(payload => Object.keys(payload).length > 3)).toBeTruthy();
+    expect(sample('typeConfusion').some(payload => validateSchema('post', payload, { payload: true }).length > 0)).toBeTruthy();
+    expect(sample('deepNesting').every(payload => depthOf(payload.nested) >= 10)).toBeTruthy();
+    expect(sample('hugeBody').every(payload => JSON.stringify(payload).length >= 1_000)).toBeTruthy();
+    expect(sample('wrongRoot').every(payload => typeof payload !== 'object' || Array.isArray(payload))).toBeTruthy();
+  });
+});
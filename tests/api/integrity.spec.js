@@ -0,0 +1,145 @@
+// tests/api/integrity.spec.js - Referential Integrity Across Users, Posts, Comments, Todos, Albums & Photos
+import { test, expect } from '../../utils/fixtures.js';
+import MockServer from '../../utils/mock-server.js';
+import DataGenerator from '../../utils/data-generator.js';
+import { interceptRequests } from '../../utils/request-hooks.js';
+import {
+  checkIntegrity,
+  findOrphans,
+  diffIds,
+  pickParents,
+  formatIntegrityReport,
+  RELATIONS
+} from '../../utils/integrity.js';
+
+// Nested routes are sampled against remote APIs: 5 relations × 10 parents × 2 calls
+const REMOTE_MAX_PARENTS = 10;
+
+const relationFor = (report, resource) => report.relations.find(relation => relation.resource === resource);
+
+test.describe('Integrity - Helpers', () => {
+
+  test('find records whose foreign key resolves to no parent', async () => {
+    const users = [{ id: 1 }, { id: 2 }];
+    const posts = [{ id: 1, userId: 1 }, { id: 2, userId: '2' }, { id: 3, userId: 7 }, { id: 4 }];
+
+    expect(findOrphans(posts, 'userId', users)).toEqual([{ id: 3, value: 7 }, { id: 4, value: undefined }]);
+    expect(findOrphans(posts.slice(0, 2), 'userId', users)).toEqual([]);
+  });
+
+  test('diff id listings and sample parents from both ends', async () => {
+    expect(diffIds([1, 2, 4], [1, 2, 3])).toEqual({ missing: [3], unexpected: [4] });
+    expect(diffIds(['1', 2], [1, '2'])).toEqual({ missing: [], unexpected: [] });
+
+    const ids = Array.from({ length: 100 }, (_, index) => index + 1);
+    expect(pickParents(ids, 5)).toEqual([1, 26, 51, 75, 100]);
+    expect(pickParents([1, 2, 3], 10)).toEqual([1, 2, 3]);
+  });
+});
+
+test.describe('Integrity - API Under Test', () => {
+  let server;
+  let context;
+
+  // Other specs leave half-built records on the shared mock, so local runs check a private copy
+  test.beforeAll(async ({ playwright, baseURL }) => {
+    if (!MockServer.handles(baseURL)) return;
+    server = await new MockServer({ port: 0 }).start();
+    context = await playwright.request.newContext({ baseURL: server.url });
+  });
+
+  test.afterAll(async () => {
+    await context?.dispose();
+    await server?.stop();
+  });
+
+  test('resolve every foreign key and agree nested routes with filtered queries', async ({ request, environment }, testInfo) => {
+    const report = await checkIntegrity(context ?? request, { maxParents: context ? Infinity : REMOTE_MAX_PARENTS });
+
+    console.log(formatIntegrityReport(report));
+    await testInfo.attach('integrity-report', { body: JSON.stringify(report, null, 2), contentType: 'application/json' });
+
+    expect(report.resources).toMatchObject(environment.expectedCounts);
+    expect(report.relations.map(relation => relation.relation)).toEqual([
+      'posts.userId → users',
+      'todos.userId → users',
+      'albums.userId → users',
+      'comments.postId → posts',
+      'photos.albumId → albums'
+    ]);
+
+    // Soft assertions list every broken relation, not just the first
+    for (const relation of report.relations) {
+      expect.soft(relation.orphans, `${relation.relation} orphans`).toEqual([]);
+      expect.soft(relation.mismatches, `${relation.route} vs ?${relation.key}=`).toEqual([]);
+    }
+    expect(report.ok).toBe(true);
+  });
+});
+
+test.describe('Integrity - Broken Data', () => {
+  let server;
+  let context;
+
+  test.beforeAll(async ({ playwright }) => {
+    server = await new MockServer({ port: 0 }).start();
+    context = await playwright.request.newContext({ baseURL: server.url });
+  });
+
+  test.afterAll(async () => {
+    await context?.dispose();
+    await server?.stop();
+  });
+
+  test.beforeEach(() => {
+    server.reset();
+  });
+
+  test('report records that reference missing parents', async () => {
+    const comment = await (await context.post('/comments', { data: DataGenerator.generateComment(9999) })).json();
+    const todo = await (await context.post('/todos', { data: { ...DataGenerator.generateTodo(1), userId: 'ghost' } })).json();
+    const album = await (await context.post('/albums', { data: { userId: 1, title: 'Soon to be orphaned' } })).json();
+    const photo = await (await context.post(`/albums/${album.id}/photos`, {
+      data: { title: 'Left behind', url: 'https://via.placeholder.com/600/000000', thumbnailUrl: 'https://via.placeholder.com/150/000000' }
+    })).json();
+    await context.delete(`/albums/${album.id}`);
+
+    const report = await checkIntegrity(context, { maxParents: 3 });
+    console.log(formatIntegrityReport(report));
+
+    expect(report.ok).toBe(false);
+    expect(report.totals.orphans).toBe(3);
+    expect(relationFor(report, 'comments').orphans).toEqual([{ id: comment.id, value: 9999 }]);
+    expect(relationFor(report, 'todos').orphans).toEqual([{ id: todo.id, value: 'ghost' }]);
+    expect(relationFor(report, 'photos').orphans).toEqual([{ id: photo.id, value: album.id }]);
+    expect(relationFor(report, 'posts').orphans).toEqual([]);
+  });
+
+  test('report nested routes that disagree with the filtered collection', async () => {
+    // A nested route that serves the wrong parent's comments for post 3
+    const buggy = interceptRequests(context, ({ url, options, send }) =>
+      url === '/posts/3/comments' ? context.fetch('/posts/4/comments', options) : send()
+    );
+
+    const report = await checkIntegrity(buggy, {
+      resources: ['posts', 'comments'],
+      relations: RELATIONS.filter(relation => relation.resource === 'comments')
+    });
+
+    expect(report.relations).toHaveLength(1);
+    const [comments] = report.relations;
+    expect(comments.parentsChecked).toBe(100);
+    expect(comments.orphans).toEqual([]);
+    expect(comments.mismatches).toEqual([{
+      parentId: 3,
+      route: '/posts/3/comments',
+      query: '/comments?postId=3',
+      counts: { nested: 5, filtered: 5, collection: 5 },
+      differences: [
+        { source: 'filtered', missing: [11, 12, 13, 14, 15], unexpected: [16, 17, 18, 19, 20] },
+        { source: 'collection', missing: [11, 12, 13, 14, 15], unexpected: [16, 17, 18, 19, 20] }
+      ]
+    }]);
+    expect(report.totals).toEqual({ orphans: 0, mismatches: 1 });
+  });
+});
@@ -0,0 +1,159 @@
+// tests/api/load.spec.js - Concurrent Virtual Users, Rate Limits & Load Gates
+import { test, expect } from '../../utils/fixtures.js';
+import MockServer from '../../utils/mock-server.js';
+import DataGenerator from '../../utils/data-generator.js';
+import {
+  loadProfile,
+  runLoad,
+  toStages,
+  targetVus,
+  findLoadBreaches,
+  formatLoadSummary,
+  formatTimeline
+} from '../../utils/load-test.js';
+
+// The user → post → comment chain from workflow.spec.js, one pass per iteration
+const userPostCommentChain = [
+  {
+    name: 'read user',
+    request: ({ vu }) => ({ path: `/users/${(vu % 10) + 1}` }),
+    extract: { user: '$' }
+  },
+  {
+    name: 'create post',
+    request: { method: 'POST', path: '/posts', data: ({ user }) => DataGenerator.generatePost(user.id) },
+    expect: { status: 201 },
+    extract: { post: '$' }
+  },
+  {
+    name: 'comment on post',
+    request: { method: 'POST', path: '/comments', data: ({ post }) => DataGenerator.generateComment(post.id) },
+    expect: { status: 201 }
+  },
+  {
+    name: 'list post comments',
+    request: { path: '/posts/{{post.id}}/comments' }
+  }
+];
+
+test.describe('Load - Stages & Thresholds', () => {
+
+  test('ramp the VU target linearly through each stage', async () => {
+    const stages = [{ durationMs: 1000, target: 10 }, { durationMs: 1000, target: 10 }, { durationMs: 1000, target: 0 }];
+
+    expect([0, 500, 1000, 1500, 2500, 3000].map(elapsed => targetVus(stages, elapsed))).toEqual([0, 5, 10, 10, 5, 0]);
+    expect(toStages({ vus: 4, rampUpMs: 500, durationMs: 2000 })).toEqual([
+      { durationMs: 500, target: 4 },
+      { durationMs: 1500, target: 4 }
+    ]);
+    expect(targetVus(toStages({ vus: 3, iterations: 10 }), 60_000)).toBe(3);
+    expect(() => toStages({ vus: 3 })).toThrow('needs stages, a durationMs or an iteration count');
+    expect(() => toStages({ vus: 0, iterations: 10 })).toThrow('needs stages, a durationMs or at least 1 VU (got vus: 0)');
+    expect(toStages({ vus: 0, durationMs: 1000 })).toEqual([{ durationMs: 1000, target: 0 }]);
+  });
+
+  test('report every breached threshold', async () => {
+    const summary = { p50: 20, p95: 900, errorRate: 0.05, rate429: 0.02, throughput: 40, iterations: { completed: 3 } };
+
+    expect(findLoadBreaches(summary, { p95: 500, errorRate: 0.01, rate429: 0, minIterations: 5 })).toEqual([
+      { metric: 'errorRate', actual: 0.05, limit: 0.01 },
+      { metric: 'p95', actual: 900, limit: 500 },
+      { metric: 'rate429', actual: 0.02, limit: 0 },
+      { metric: 'iterations', actual: 3, limit: 5 }
+    ]);
+    expect(findLoadBreaches(summary, { p50: 50, minThroughput: 10 })).toEqual([]);
+  });
+});
+
+test.describe('Load - Virtual Users', () => {
+  // A HAR of thousands of calls is no use; the load report is attached instead
+  test.use({ apiLog: 'off' });
+
+  test('run the user-post-comment chain under the load profile', async ({ request, baseURL }, testInfo) => {
+    test.skip(!MockServer.handles(baseURL) && !process.env.LOAD_ALLOW_REMOTE,
+      'Load runs target the local mock unless LOAD_ALLOW_REMOTE=1');
+
+    const { thresholds = {}, gate, ...profile } = loadProfile();
+    const report = await runLoad(request, { name: 'user-post-comment', steps: userPostCommentChain, ...profile });
+    const breaches = findLoadBreaches(report.summary, thresholds);
+
+    console.log(`🏋️ ${formatLoadSummary(report.name, report.summary)}`);
+    console.log(formatTimeline(report.timeline));
+    for (const error of report.errors.slice(0, 5)) {
+      console.log(`   ❌ ${error.count}× ${error.step}: ${error.message}`);
+    }
+
+    await testInfo.attach(`load-${report.name}`, {
+      body: JSON.stringify({ ...report, thresholds, gate, breaches }, null, 2),
+      contentType: 'application/json'
+    });
+
+    expect(report.summary.iterations.started).toBeGreaterThan(0);
+    expect(Object.keys(report.steps)).toEqual(userPostCommentChain.map(step => step.name));
+
+    if (gate === 'warn') {
+      for (const breach of breaches) {
+        testInfo.annotations.push({ type: 'load-threshold', description: `${breach.metric} ${breach.actual} > ${breach.limit}` });
+        console.warn(`⚠️ Load threshold breached: ${breach.metric} ${breach.actual} (limit ${breach.limit})`);
+      }
+    } else if (gate === 'fail') {
+      // Soft assertions report every breached threshold, not just the first
+      for (const breach of breaches) {
+        if (breach.metric === 'throughput' || breach.metric === 'iterations') {
+          expect.soft(breach.actual, `${report.name} ${breach.metric}`).toBeGreaterThanOrEqual(breach.limit);
+        } else {
+          expect.soft(breach.actual, `${report.name} ${breach.metric}`).toBeLessThanOrEqual(breach.limit);
+        }
+      }
+    }
+  });
+
+  test.describe('against a rate-limited server', () => {
+    let server;
+    let context;
+
+    // A private mock with a tight budget, so the shared server's clients are never throttled
+    test.beforeAll(async ({ playwright }) => {
+      server = await new MockServer({ port: 0, rateLimit: { limit: 20, windowMs: 1000 } }).start();
+      context = await playwright.request.newContext({ baseURL: server.url });
+    });
+
+    test.afterAll(async () => {
+      await context?.dispose();
+      await server?.stop();
+    });
+
+    test.beforeEach(() => {
+      server.reset();
+    });
+
+    test('record 429s over time and fail the rate429 gate', async () => {
+      const report = await runLoad(context, {
+        name: 'throttled',
+        steps: [{ name: 'read user', request: ({ vu }) => ({ path: `/users/${vu + 1}` }) }],
+        vus: 4,
+        durationMs: 1500,
+        intervalMs: 500
+      });
+      console.log(`🚦 ${formatLoadSummary(report.name, report.summary)}`);
+
+      expect(report.summary.throttled).toBeGreaterThan(0);
+      expect(report.summary.rate429).toBeGreaterThan(0);
+      expect(report.timeline.some(bucket => bucket.throttled > 0)).toBe(true);
+      expect(report.errors).toContainEqual({ step: 'read user', message: 'answered 429', count: report.summary.throttled });
+      expect(findLoadBreaches(report.summary, { rate429: 0 }).map(breach => breach.metric)).toEqual(['rate429']);
+    });
+
+    test('stop after a fixed number of iterations', async () => {
+      const report = await runLoad(context, {
+        name: 'iterations',
+        steps: [{ name: 'read todo', request: { path: '/todos/1' } }],
+        vus: 3,
+        iterations: 9
+      });
+
+      expect(report.summary.iterations.started).toBe(9);
+      expect(report.summary.requests).toBe(9);
+    });
+  });
+});
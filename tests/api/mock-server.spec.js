@@ -0,0 +1,117 @@
+// tests/api/mock-server.spec.js - Local Mock Server Behavior
+import { test, expect } from '../../utils/fixtures.js';
+import MockServer from '../../utils/mock-server.js';
+import DataGenerator from '../../utils/data-generator.js';
+
+test.describe('Mock Server - Stateful JSONPlaceholder Stand-in', () => {
+  let server;
+  let api;
+
+  test.beforeAll(async ({ playwright }) => {
+    // Port 0 picks a free port so this spec never clashes with a running suite server
+    server = await new MockServer({ port: 0 }).start();
+    api = await playwright.request.newContext({ baseURL: server.url });
+  });
+
+  test.afterAll(async () => {
+    await api.dispose();
+    await server.stop();
+  });
+
+  test.beforeEach(() => {
+    server.reset();
+  });
+
+  test('serve seeded collections with JSONPlaceholder record counts', async () => {
+    const expectedCounts = { users: 10, posts: 100, comments: 500, todos: 200, albums: 100, photos: 5000 };
+
+    for (const [resource, count] of Object.entries(expectedCounts)) {
+      const response = await api.get(`/${resource}`);
+      expect(response.status()).toBe(200);
+      expect(response.headers()['content-type']).toContain('application/json');
+      expect(await response.json()).toHaveLength(count);
+    }
+
+    console.log('✅ Seeded fixtures match JSONPlaceholder counts');
+  });
+
+  test('produce identical fixtures for the same seed', async () => {
+    const first = new MockServer({ port: 0, seed: 42 });
+    const second = new MockServer({ port: 0, seed: 42 });
+
+    expect(first.db).toEqual(second.db);
+  });
+
+  test('resolve nested routes and field filters', async () => {
+    const userPosts = await (await api.get('/users/1/posts')).json();
+    expect(userPosts).toHaveLength(10);
+    expect(userPosts.every(post => post.userId === 1)).toBeTruthy();
+
+    const filteredPosts = await (await api.get('/posts?userId=1')).json();
+    expect(filteredPosts).toEqual(userPosts);
+
+    const postComments = await (await api.get('/posts/1/comments')).json();
+    expect(postComments).toHaveLength(5);
+    expect(postComments.every(comment => comment.postId === 1)).toBeTruthy();
+
+    const userTodos = await (await api.get('/users/2/todos')).json();
+    expect(userTodos).toHaveLength(20);
+  });
+
+  test('return 404 for unknown resources and ids', async () => {
+    expect((await api.get('/users/999')).status()).toBe(404);
+    expect((await api.get('/unknown')).status()).toBe(404);
+    expect((await api.delete('/posts/999')).status()).toBe(404);
+    expect((await api.post('/posts/1')).status()).toBe(404);
+  });
+
+  test('answer HEAD like GET without a body', async () => {
+    for (const path of ['/posts', '/posts/1', '/users/1/posts']) {
+      const response = await api.head(path);
+      expect(response.status(), path).toBe(200);
+      expect(response.headers()['content-type'], path).toContain('application/json');
+      expect((await response.body()).length, path).toBe(0);
+    }
+    expect((await api.head('/posts/999')).status()).toBe(404);
+
+    const strict = await new MockServer({ port: 0, validation: true }).start();
+    try {
+      expect((await api.head(`${strict.url}/posts/1`)).status()).toBe(200);
+      expect((await api.fetch(`${strict.url}/posts/1`, { method: 'POST' })).headers()['allow']).toBe('GET, HEAD, PUT, PATCH, DELETE');
+    } finally {
+      await strict.stop();
+    }
+  });
+
+  test('persist writes until reset', async () => {
+    const postData = DataGenerator.generatePost(3);
+
+    const created = await (await api.post('/posts', { data: postData })).json();
+    expect(created).toEqual({ ...postData, id: 101 });
+
+    const nested = await (await api.post(`/posts/${created.id}/comments`, {
+      data: { name: 'Nested', email: 'nested@example.com', body: 'Created via nested route' }
+    })).json();
+    expect(nested.postId).toBe(created.id);
+
+    expect((await api.get(`/posts/${created.id}`)).status()).toBe(200);
+
+    // Deleted ids are never reused, so stale references cannot attach to new records
+    await api.delete('/posts/100');
+    const next = await (await api.post('/posts', { data: postData })).json();
+    expect(next.id).toBe(102);
+
+    server.reset();
+    expect((await api.get(`/posts/${created.id}`)).status()).toBe(404);
+  });
+
+  test('reject malformed JSON bodies', async () => {
+    const response = await api.post('/posts', {
+      headers: { 'Content-Type': 'application/json' },
+      data: '{"title": "unterminated'
+    });
+
+    expect(response.status()).toBe(400);
+    expect(await response.json()).toHaveProperty('error');
+  });
+});
@@ -0,0 +1,167 @@
+// tests/api/openapi.spec.js - OpenAPI Contract: generated baseline tests and coverage
+import { test, expect } from '../../utils/fixtures.js';
+import { sendRequest, ApiResult } from '../../utils/api-client.js';
+import { runOpenApiTests, buildOperationRequest } from '../../utils/openapi-runner.js';
+import {
+  loadOpenApi,
+  matchOperation,
+  validateResponse,
+  summarizeCoverage,
+  CoverageRecorder,
+  OpenApiError
+} from '../../utils/openapi.js';
+
+// One baseline test per operation in openapi/jsonplaceholder.yaml (or OPENAPI_SPEC)
+runOpenApiTests();
+
+// Small inline document so the checks below do not depend on the bundled one
+const inlineSpec = () => loadOpenApi({
+  openapi: '3.0.3',
+  info: { title: 'Inline' },
+  paths: {
+    '/items': {
+      get: {
+        operationId: 'listItems',
+        parameters: [{ name: 'tag', in: 'query', schema: { type: 'string' }, example: 'new' }],
+        responses: {
+          200: {
+            description: 'Items',
+            headers: { 'X-Total-Count': { required: true, schema: { type: 'integer', minimum: 0 } } },
+            content: { 'application/json': { schema: { type: 'array', items: { $ref: '#/components/schemas/Item' } } } }
+          }
+        }
+      }
+    },
+    '/items/latest': {
+      get: { operationId: 'latestItem', responses: { 200: { description: 'Newest item' } } }
+    },
+    '/items/{itemId}': {
+      parameters: [{ name: 'itemId', in: 'path', required: true, schema: { type: 'integer' }, example: 3 }],
+      get: {
+        operationId: 'getItem',
+        responses: {
+          200: { description: 'An item', content: { 'application/json': { schema: { $ref: '#/components/schemas/Item' } } } },
+          404: { description: 'Unknown item' },
+          default: { description: 'Anything else' }
+        }
+      },
+      delete: { operationId: 'deleteItem', responses: { 204: { description: 'Deleted' } } }
+    }
+  },
+  components: {
+    schemas: {
+      Item: {
+        type: 'object',
+        required: ['id', 'name'],
+        properties: { id: { type: 'integer' }, name: { type: 'string', minLength: 1 } }
+      }
+    }
+  }
+});
+
+test.describe('OpenAPI - Document', () => {
+
+  test('list operations with resolved $refs', async () => {
+    const spec = inlineSpec();
+
+    expect(spec.operations.map(operation => operation.id)).toEqual(['listItems', 'latestItem', 'getItem', 'deleteItem']);
+    const getItem = spec.operations.find(operation => operation.id === 'getItem');
+    expect(getItem.parameters).toEqual([expect.objectContaining({ name: 'itemId', in: 'path' })]);
+    expect(getItem.responses[200].content['application/json'].schema.required).toEqual(['id', 'name']);
+  });
+
+  test('reject documents that are not OpenAPI 3 or reference missing components', async () => {
+    expect(() => loadOpenApi({ swagger: '2.0' })).toThrow(OpenApiError);
+    expect(() => loadOpenApi({ openapi: '3.1.0', paths: { '/a': { get: { responses: { 200: { $ref: '#/components/responses/Nope' } } } } } }))
+      .toThrow('Unresolved $ref "#/components/responses/Nope"');
+    expect(() => loadOpenApi('openapi/missing.yaml')).toThrow('OpenAPI document not found');
+  });
+
+  test('match calls to operations, preferring literal paths', async () => {
+    const spec = inlineSpec();
+
+    expect(matchOperation(spec, 'GET', 'http://api.test/items/7')).toMatchObject({ operation: { id: 'getItem' }, params: { itemId: '7' } });
+    expect(matchOperation(spec, 'get', '/items/latest').operation.id).toBe('latestItem');
+    expect(matchOperation(spec, 'GET', '/items?tag=new').operation.id).toBe('listItems');
+    expect(matchOperation(spec, 'POST', '/items')).toBeNull();
+    expect(matchOperation(spec, 'GET', '/items/7/parts')).toBeNull();
+  });
+
+  test('build requests from parameter examples', async () => {
+    const [listItems, , getItem] = inlineSpec().operations;
+
+    expect(buildOperationRequest(listItems)).toMatchObject({ method: 'GET', path: '/items', params: { tag: 'new' } });
+    expect(buildOperationRequest(getItem).path).toBe('/items/3');
+    expect(buildOperationRequest(getItem, { itemId: 42 }).path).toBe('/items/42');
+  });
+});
+
+test.describe('OpenAPI - Response Validation', () => {
+
+  test('accept responses that match the declared status, content type, body and headers', async () => {
+    const [listItems, , getItem] = inlineSpec().operations;
+    const json = { 'content-type': 'application/json; charset=utf-8' };
+
+    expect(validateResponse(listItems, { status: 200, headers: { ...json, 'x-total-count': '1' }, body: [{ id: 1, name: 'a' }] })).toEqual([]);
+    expect(validateResponse(getItem, { status: 404, headers: json, body: {} })).toEqual([]);
+    // Undeclared codes fall back to `default`
+    expect(validateResponse(getItem, { status: 500, headers: {}, body: 'oops' })).toEqual([]);
+  });
+
+  test('report every mismatch with its location', async () => {
+    const [listItems, , , deleteItem] = inlineSpec().operations;
+
+    expect(validateResponse(listItems, {
+      status: 200,
+      headers: { 'content-type': 'application/json', 'x-total-count': '-1' },
+      body: [{ id: 1, name: '' }, { name: 'b' }]
+    })).toEqual([
+      { path: 'header X-Total-Count', message: 'must be >= 0' },
+      { path: '$[0].name', message: 'must NOT have fewer than 1 characters' },
+      { path: '$[1].id', message: "must have required property 'id'" }
+    ]);
+
+    expect(validateResponse(listItems, { status: 200, headers: { 'content-type': 'text/html' }, body: '<html>' })).toEqual([
+      { path: 'header X-Total-Count', message: 'is required but missing' },
+      { path: 'header content-type', message: '"text/html" is not declared (declared: application/json)' }
+    ]);
+
+    expect(validateResponse(deleteItem, { status: 200, headers: {}, body: {} })).toEqual([
+      { path: 'status', message: '200 is not declared for deleteItem (declared: 204)' }
+    ]);
+  });
+
+  test('validate live responses with toMatchOpenApi', async ({ request }) => {
+    const spec = loadOpenApi();
+    const result = await sendRequest(request, 'GET', '/users/1');
+
+    await expect(result).toMatchOpenApi(spec);
+    await expect(new ApiResult({ ...result, body: { ...result.body, email: 'not-an-email' } })).not.toMatchOpenApi(spec);
+    console.log('✅ GET /users/1 matches the OpenAPI document');
+  });
+});
+
+test.describe('OpenAPI - Coverage', () => {
+
+  test('summarize unexercised operations, response codes and undocumented calls', async () => {
+    const spec = inlineSpec();
+    const recorder = new CoverageRecorder(spec);
+
+    recorder.record('GET', 'http://api.test/items?tag=new', 200);
+    recorder.record('GET', 'http://api.test/items/1', 200);
+    recorder.record('GET', 'http://api.test/items/2', 200);
+    recorder.record('GET', 'http://api.test/items/999', 503);
+    recorder.record('POST', 'http://api.test/items', 201);
+    recorder.record('DELETE', 'http://api.test/items/1', 200);
+
+    const summary = summarizeCoverage(spec, recorder.hits);
+
+    expect(summary.totals).toEqual({ operations: 4, exercisedOperations: 2, responses: 6, exercisedResponses: 3 });
+    expect(summary.unexercisedOperations).toEqual(['latestItem', 'deleteItem']);
+    expect(summary.missingResponses).toEqual([{ operation: 'getItem', status: '404' }]);
+    expect(summary.undocumented).toEqual([
+      { method: 'POST', path: '/items', status: 201, calls: 1 },
+      { method: 'DELETE', path: '/items/{itemId}', status: 200, calls: 1 }
+    ]);
+  });
+});
@@ -0,0 +1,124 @@
+// tests/api/performance.spec.js - Latency Percentiles, Budgets & Baselines
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { test, expect } from '../../utils/fixtures.js';
+import {
+  loadBudgets,
+  measureEndpoint,
+  findBudgetBreaches,
+  formatStats,
+  percentile,
+  summarize
+} from '../../utils/performance.js';
+import {
+  readBaseline,
+  writeBaseline,
+  compareToBaseline,
+  formatComparison,
+  mannWhitneyU
+} from '../../utils/performance-baseline.js';
+
+test.describe('Performance - Endpoint Budgets', () => {
+
+  for (const endpoint of loadBudgets()) {
+    test(`${endpoint.name} stays within its latency budget`, async ({ request, baseURL }, testInfo) => {
+      const stats = await measureEndpoint(request, endpoint);
+      const { samples, ...summary } = stats;
+      console.log(`⚡ ${formatStats(endpoint.name, stats)}`);
+
+      const comparison = compareToBaseline(stats, readBaseline(endpoint.name, baseURL), endpoint.regression);
+      console.log(`📈 ${formatComparison(endpoint.name, comparison)}`);
+
+      await testInfo.attach(`performance-${endpoint.name}`, {
+        body: JSON.stringify({ endpoint: endpoint.name, budget: endpoint.budget, stats: summary, comparison }, null, 2),
+        contentType: 'application/json'
+      });
+
+      // Soft assertions report every breached metric, not just the first
+      for (const breach of findBudgetBreaches(stats, endpoint.budget)) {
+        if (breach.metric === 'throughput') {
+          expect.soft(breach.actual, `${endpoint.name} throughput (req/s)`).toBeGreaterThanOrEqual(breach.limit);
+        } else {
+          expect.soft(breach.actual, `${endpoint.name} ${breach.metric}`).toBeLessThanOrEqual(breach.limit);
+        }
+      }
+
+      const failOnRegression = endpoint.regression.mode === 'fail';
+      if (comparison.status === 'regression') {
+        const description = formatComparison(endpoint.name, comparison);
+        testInfo.annotations.push({ type: 'performance-regression', description });
+
+        if (failOnRegression) {
+          expect.soft(comparison.ratio, `${endpoint.name} p50 regressed against the baseline from ${comparison.recordedAt}`)
+            .toBeLessThanOrEqual(1 + endpoint.regression.tolerance);
+        } else {
+          console.warn(`⚠️ Latency regression: ${description}`);
+        }
+      }
+
+      // A failing regression keeps the old baseline so the slowdown stays visible until fixed
+      if (comparison.status !== 'regression' || !failOnRegression || process.env.PERF_UPDATE_BASELINE) {
+        writeBaseline(endpoint.name, baseURL, stats);
+      }
+    });
+  }
+});
+
+test.describe('Performance - Statistics', () => {
+
+  test('compute nearest-rank percentiles and throughput', async () => {
+    const durations = Array.from({ length: 100 }, (_, i) => i + 1);
+    const stats = summarize(durations, { errors: 2, elapsed: 2000 });
+
+    expect(percentile([], 50)).toBe(0);
+    expect(stats).toMatchObject({
+      requests: 100,
+      min: 1,
+      p50: 50,
+      p90: 90,
+      p99: 99,
+      max: 100,
+      mean: 50.5,
+      errorRate: 0.02,
+      throughput: 50
+    });
+  });
+
+  test('flag every breached budget', async () => {
+    const stats = summarize([100, 200, 300, 4000], { errors: 1, elapsed: 1000 });
+    const breaches = findBudgetBreaches(stats, { p50: 150, p99: 5000, max: 3000, errorRate: 0, minThroughput: 10 });
+
+    expect(breaches.map(breach => breach.metric)).toEqual(['p50', 'max', 'errorRate', 'throughput']);
+  });
+
+  test('detect statistically significant slowdowns only', async () => {
+    const fast = Array.from({ length: 40 }, (_, i) => 100 + (i % 10));
+    const slow = fast.map(value => value * 1.6);
+    const noisy = fast.map((value, i) => value + (i % 2 ? 4 : -4));
+    const baseline = { recordedAt: '2026-01-01T00:00:00.000Z', stats: { ...summarize(fast), samples: fast } };
+
+    expect(mannWhitneyU(fast, slow).pValue).toBeLessThan(0.001);
+    expect(mannWhitneyU(fast, fast).pValue).toBeGreaterThan(0.4);
+
+    const asStats = samples => ({ ...summarize(samples), samples });
+    expect(compareToBaseline(asStats(slow), baseline).status).toBe('regression');
+    expect(compareToBaseline(asStats(noisy), baseline).status).toBe('ok');
+    expect(compareToBaseline(asStats(slow), baseline, { tolerance: 1 }).status).toBe('ok');
+    expect(compareToBaseline(asStats(fast), null).status).toBe('new');
+  });
+
+  test('store baselines per endpoint and API', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'perf-baseline-'));
+    const stats = { ...summarize([10, 20, 30]), samples: [10, 20, 30] };
+
+    writeBaseline('GET /users/1', 'http://localhost:3100', stats, dir);
+
+    expect(readBaseline('GET /users/1', 'http://localhost:3100', dir).stats.p50).toBe(20);
+    expect(readBaseline('GET /users/1', 'https://jsonplaceholder.typicode.com', dir)).toBeNull();
+    expect(readBaseline('GET /posts', 'http://localhost:3100', dir)).toBeNull();
+    expect(fs.readdirSync(dir)).toEqual(['get-users-1.json']);
+
+    fs.rmSync(dir, { recursive: true });
+  });
+});
@@ -1,6 +1,7 @@
 // tests/api/posts.spec.js - POST API Testing with Dynamic Data
-import { test, expect } from '@playwright/test';
+import { test, expect } from '../../utils/fixtures.js';
 import DataGenerator from '../../utils/data-generator.js';
+import { negativeExpectations } from '../../utils/negative-pack.js';
 
 test.describe('Posts API - POST Operations with Dynamic Data', () => {
   
@@ -17,6 +18,7 @@ test.describe('Posts API - POST Operations with Dynamic Data', () => {
     expect(response.status()).toBe(201);
     
     const createdPost = await response.json();
+    await expect(createdPost).toMatchSchema('post');
     
     // Verify the created post contains our data
     expect(createdPost.title).toBe(postData.title);
@@ -59,16 +61,14 @@ test.describe('Posts API - POST Operations with Dynamic Data', () => {
     console.log('✅ All posts created with unique dynamic data');
   });
 
-  test('create post linked to specific existing user', async ({ request }) => {
-    // First, get a real user ID
-    const usersResponse = await request.get('/users');
-    const users = await usersResponse.json();
-    const randomUser = users[Math.floor(Math.random() * users.length)];
+  test('create post linked to specific existing user', async ({ request, discovered }) => {
+    // A real user ID, discovered by global setup before the run
+    const userId = DataGenerator.pick(discovered.resources.users.ids);
     
     // Generate post data for this specific user
-    const postData = DataGenerator.generatePost(randomUser.id);
+    const postData = DataGenerator.generatePost(userId);
     
-    console.log(`📝 Creating post for user: ${randomUser.name} (ID: ${randomUser.id})`);
+    console.log(`📝 Creating post for user ID ${userId}`);
     
     const response = await request.post('/posts', {
       data: postData
@@ -77,7 +77,7 @@ test.describe('Posts API - POST Operations with Dynamic Data', () => {
     expect(response.status()).toBe(201);
     const createdPost = await response.json();
     
-    expect(createdPost.userId).toBe(randomUser.id);
+    expect(createdPost.userId).toBe(userId);
     console.log('✅ Post created and linked to correct user');
   });
 
@@ -102,7 +102,19 @@ test.describe('Posts API - POST Operations with Dynamic Data', () => {
           body: 'This is a very long body content. '.repeat(20),
           userId: 1
         }
-      }
+      },
+      // Real names and addresses in non-Latin and right-to-left scripts
+      ...DataGenerator.forLocales(['de', 'ja', 'ar'], locale => {
+        const user = DataGenerator.generateUser();
+        return {
+          name: `Localized content (${locale})`,
+          data: {
+            title: user.name,
+            body: `${user.address.street}, ${user.address.city} ${user.address.zipcode}`,
+            userId: 1
+          }
+        };
+      })
     ];
     
     for (const testCase of edgeCases) {
@@ -122,26 +134,19 @@ test.describe('Posts API - POST Operations with Dynamic Data', () => {
     }
   });
 
-  test('handle invalid post data with graceful responses', async ({ request }) => {
+  test('handle invalid post data with graceful responses', async ({ request, environment }) => {
+    // Lenient profiles (JSONPlaceholder) store these; strict ones must reject them with 400/422
+    const allowedStatuses = negativeExpectations(environment).status.invalidPayload;
     const invalidDataCases = [
-      {
-        name: 'Empty object',
-        data: {},
-        expectedStatus: 201 // JSONPlaceholder is lenient
-      },
-      {
-        name: 'Missing required fields',
-        data: { title: 'Only title' },
-        expectedStatus: 201
-      },
+      { name: 'Empty object', data: {} },
+      { name: 'Missing required fields', data: { title: 'Only title' } },
       {
         name: 'Invalid user ID',
         data: {
           title: 'Test',
           body: 'Test body',
           userId: 'invalid'
-        },
-        expectedStatus: 201
+        }
       }
     ];
     
@@ -152,7 +157,7 @@ test.describe('Posts API - POST Operations with Dynamic Data', () => {
         data: testCase.data
       });
       
-      expect(response.status()).toBe(testCase.expectedStatus);
+      expect(allowedStatuses).toContain(response.status());
       console.log(`✅ ${testCase.name}: Status ${response.status()}`);
     }
   });
@@ -0,0 +1,90 @@
+// tests/api/preflight.spec.js - Pre-flight Health Gate & Discovered Data
+import { test, expect } from '../../utils/fixtures.js';
+import MockServer from '../../utils/mock-server.js';
+import {
+  checkApiHealth,
+  collectionPaths,
+  formatHealthSummary,
+  healthGate,
+  toDiscovery,
+  writeDiscovery,
+  readDiscovery,
+  HealthCheckError
+} from '../../utils/preflight.js';
+
+test.describe('Preflight - Health Checks', () => {
+  let server;
+
+  test.beforeAll(async () => {
+    server = await new MockServer({ port: 0 }).start();
+  });
+
+  test.afterAll(async () => {
+    await server?.stop();
+  });
+
+  test('check every collection the inventory declares', async () => {
+    expect(collectionPaths()).toEqual(['/users', '/posts', '/comments', '/todos', '/albums', '/photos']);
+    expect(healthGate()).toBe(process.env.HEALTH_GATE || 'fail');
+    expect(() => healthGate('maybe')).toThrow('Unknown HEALTH_GATE "maybe"');
+  });
+
+  test('report counts and ids of a healthy API, warning about unexpected counts', async () => {
+    const health = await checkApiHealth(server.url, { paths: ['/users', '/albums'], expectedCounts: { users: 10, albums: 50 } });
+
+    expect(health.ok).toBe(true);
+    const [users, albums] = health.checks;
+    expect(users).toMatchObject({ path: '/users', status: 200, count: 10, ids: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10] });
+    expect(users.warning).toBeUndefined();
+    expect(albums.warning).toBe('100 records, the profile expects 50');
+
+    const summary = formatHealthSummary(health, server.url);
+    console.log(summary);
+    expect(summary).toMatch(/^✅ GET \/users: 10 records in \d+ms\n⚠️ GET \/albums: 100 records in \d+ms \(100 records, the profile expects 50\)/);
+    expect(summary).toContain(`💚 ${server.url} is healthy (2 collections)`);
+  });
+
+  test('fail on error statuses and unreachable APIs', async () => {
+    const locked = await new MockServer({ port: 0, auth: true }).start();
+    const unauthorized = await checkApiHealth(locked.url, { paths: ['/users'] });
+    await locked.stop();
+
+    expect(unauthorized.ok).toBe(false);
+    expect(unauthorized.checks[0]).toMatchObject({ status: 401, error: 'answered 401' });
+
+    const unreachable = await checkApiHealth(locked.url, { paths: ['/users', '/posts'], timeoutMs: 2000 });
+    expect(unreachable.ok).toBe(false);
+    expect(unreachable.checks[0].error).toMatch(/^unreachable \(ECONNREFUSED/);
+    expect(formatHealthSummary(unreachable, locked.url)).toContain(`💔 ${locked.url} failed 2 of 2 health checks`);
+  });
+});
+
+test.describe('Preflight - Discovered Data', () => {
+
+  test('round-trip the discovered data file', async ({}, testInfo) => {
+    const health = {
+      checks: [
+        { resource: 'users', count: 2, ids: [1, 2] },
+        { resource: 'posts', error: 'answered 500' }
+      ]
+    };
+    const discovery = toDiscovery(health, { environment: 'local', baseURL: 'http://localhost:3100' });
+    expect(discovery.resources).toEqual({ users: { count: 2, ids: [1, 2] } });
+
+    const file = writeDiscovery(testInfo.outputPath('preflight'), discovery);
+    expect(readDiscovery(file)).toEqual(discovery);
+    expect(() => readDiscovery(testInfo.outputPath('missing.json'))).toThrow(HealthCheckError);
+  });
+
+  test('share what global setup discovered with every worker', async ({ discovered, environment, baseURL }) => {
+    expect(discovered.baseURL).toBe(baseURL);
+    expect(discovered.environment).toBe(environment.name);
+
+    // Discovered before any test wrote to the API, so the counts are the profile's
+    for (const [resource, expected] of Object.entries(environment.expectedCounts)) {
+      expect(discovered.resources[resource].count, resource).toBe(expected);
+      expect(discovered.resources[resource].ids, resource).toHaveLength(expected);
+    }
+    console.log(`🗂️ Discovered ${Object.keys(discovered.resources).length} collections at ${discovered.discoveredAt}`);
+  });
+});
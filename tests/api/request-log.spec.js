@@ -0,0 +1,111 @@
+// tests/api/request-log.spec.js - Request/Response Logging, HAR Export and Redaction
+import { test, expect } from '../../utils/fixtures.js';
+import {
+  RequestLog,
+  captureRequests,
+  redactHeaders,
+  redactValue,
+  redactUrl,
+  redactText,
+  REDACTED,
+  REDACTION_DEFAULTS
+} from '../../utils/request-log.js';
+
+test.describe('Request Log - Redaction', () => {
+
+  test('mask credential headers regardless of case', async () => {
+    expect(redactHeaders({ Authorization: 'Bearer abc', 'X-API-Key': 'k', Accept: 'application/json' })).toEqual({
+      Authorization: REDACTED,
+      'X-API-Key': REDACTED,
+      Accept: 'application/json'
+    });
+  });
+
+  test('mask secrets and PII at any depth of a body', async () => {
+    const body = [{ id: 1, email: 'a@b.c', profile: { phone: '555', password: 'hunter2' }, company: { name: 'ACME' } }];
+
+    expect(redactValue(body)).toEqual([
+      { id: 1, email: REDACTED, profile: { phone: REDACTED, password: REDACTED }, company: { name: 'ACME' } }
+    ]);
+    expect(redactText('grant_type=client_credentials&client_secret=s3cret', 'application/x-www-form-urlencoded'))
+      .toBe('grant_type=client_credentials&client_secret=%5BREDACTED%5D');
+    expect(redactUrl('http://api.test/posts?access_token=abc&userId=1')).toBe('http://api.test/posts?access_token=%5BREDACTED%5D&userId=1');
+  });
+
+  test('accept custom redaction rules', async () => {
+    const redaction = { headers: ['x-session'], fields: ['ssn'] };
+
+    expect(redactHeaders({ 'X-Session': 's', Authorization: 'Bearer abc' }, redaction)).toEqual({ 'X-Session': REDACTED, Authorization: 'Bearer abc' });
+    expect(redactValue({ ssn: '123', email: 'a@b.c' }, redaction)).toEqual({ ssn: REDACTED, email: 'a@b.c' });
+    // Non-JSON bodies are left alone
+    expect(redactText('password=plain text', 'text/plain', REDACTION_DEFAULTS)).toBe('password=plain text');
+  });
+});
+
+test.describe('Request Log - Capture', () => {
+
+  test('capture method, URL, headers, bodies, status and timing as HAR', async ({ request, baseURL }) => {
+    const log = new RequestLog({ baseURL, defaultHeaders: { Accept: 'application/json' } });
+    const logged = captureRequests(request, log);
+
+    await logged.post('/posts', {
+      data: { userId: 1, title: 'Logged', body: 'Captured', password: 'hunter2' },
+      headers: { Cookie: 'session=top-secret' }
+    });
+    await logged.get('/users/1', { params: { token: 'abc' } });
+
+    const { log: har } = log.toHar({ comment: 'capture test' });
+    expect(har.version).toBe('1.2');
+    expect(har.comment).toBe('capture test');
+    expect(har.entries).toHaveLength(2);
+
+    const [create, read] = har.entries;
+    expect(create.request).toMatchObject({ method: 'POST', url: `${baseURL}/posts` });
+    expect(create.request.headers).toEqual(expect.arrayContaining([
+      { name: 'Accept', value: 'application/json' },
+      { name: 'Cookie', value: REDACTED }
+    ]));
+    expect(JSON.parse(create.request.postData.text)).toMatchObject({ title: 'Logged', password: REDACTED });
+    expect(create.response.status).toBe(201);
+    expect(JSON.parse(create.response.content.text)).toMatchObject({ title: 'Logged', password: REDACTED });
+    expect(create.time).toBeGreaterThanOrEqual(0);
+
+    expect(read.request.queryString).toEqual([{ name: 'token', value: REDACTED }]);
+    expect(JSON.parse(read.response.content.text)).toMatchObject({ id: 1, email: REDACTED, phone: REDACTED });
+    expect(read.response.content.mimeType).toContain('application/json');
+    console.log(`📝 Captured ${har.entries.length} calls as HAR`);
+  });
+
+  test('record calls that fail before a response arrives', async ({ playwright }) => {
+    const context = await playwright.request.newContext();
+    const log = new RequestLog();
+
+    const params = new URLSearchParams([['postId', '7'], ['postId', '8']]);
+    await expect(captureRequests(context, log).get('http://127.0.0.1:1/unreachable', { params, timeout: 5000 })).rejects.toThrow();
+    await context.dispose();
+
+    // The query comes from the request's params, since no response URL replaces it
+    const [entry] = log.toHar().log.entries;
+    expect(entry.request.url).toBe('http://127.0.0.1:1/unreachable?postId=7&postId=8');
+    expect(entry.response.status).toBe(0);
+    expect(entry.response._error).toMatch(/ECONNREFUSED|connect/i);
+  });
+
+  test('truncate large response bodies', async ({ request, baseURL }) => {
+    const log = new RequestLog({ baseURL, maxBodySize: 100 });
+    await captureRequests(request, log).get('/comments');
+
+    const { content } = log.toHar().log.entries[0].response;
+    expect(content.size).toBeGreaterThan(100);
+    expect(content.text).toMatch(/…\[truncated \d+ characters\]$/);
+  });
+
+  test('log every call made through the request fixture', async ({ api, requestLog }) => {
+    await api.users.get(1);
+    await api.posts.list({ userId: 1 });
+
+    expect(requestLog.entries.map(entry => `${entry.method} ${new URL(entry.url).pathname}${new URL(entry.url).search}`))
+      .toEqual(['GET /users/1', 'GET /posts?userId=1']);
+    console.log('📝 The HAR is attached to this test as api-log.har');
+  });
+});
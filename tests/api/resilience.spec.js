@@ -0,0 +1,158 @@
+// tests/api/resilience.spec.js - Retry Policies and Fault Injection
+import { test, expect } from '../../utils/fixtures.js';
+import { sendRequest } from '../../utils/api-client.js';
+import MockServer from '../../utils/mock-server.js';
+import { FaultProxy } from '../../utils/fault-proxy.js';
+import { RetryPolicy, RetryExhaustedError, withRetries, parseRetryAfter } from '../../utils/retry-policy.js';
+
+// Records the waits instead of sleeping, so every schedule is deterministic and fast
+function recordingPolicy(options = {}, random = () => 0.5) {
+  const delays = [];
+  const policy = new RetryPolicy({ baseDelayMs: 100, ...options }, { random, sleep: async ms => { delays.push(ms); } });
+  return { policy, delays };
+}
+
+test.describe('Resilience - Retry Policy', () => {
+
+  test('back off exponentially with jitter and a cap', async () => {
+    const fixed = () => 0.5;
+    const none = new RetryPolicy({ baseDelayMs: 100, jitter: 'none', maxDelayMs: 500 });
+    const full = new RetryPolicy({ baseDelayMs: 100, jitter: 'full' }, { random: fixed });
+    const equal = new RetryPolicy({ baseDelayMs: 100, jitter: 'equal' }, { random: fixed });
+
+    expect([1, 2, 3, 4, 5].map(attempt => none.backoff(attempt))).toEqual([100, 200, 400, 500, 500]);
+    expect([1, 2, 3].map(attempt => full.backoff(attempt))).toEqual([50, 100, 200]);
+    expect([1, 2, 3].map(attempt => equal.backoff(attempt))).toEqual([75, 150, 300]);
+    expect(() => new RetryPolicy({ jitter: 'sometimes' })).toThrow('Unknown jitter "sometimes"');
+  });
+
+  test('parse Retry-After as seconds or an HTTP date', async () => {
+    const now = Date.parse('2024-01-01T00:00:00Z');
+
+    expect(parseRetryAfter('2', now)).toBe(2000);
+    expect(parseRetryAfter('Mon, 01 Jan 2024 00:00:05 GMT', now)).toBe(5000);
+    expect(parseRetryAfter('Sun, 31 Dec 2023 23:59:00 GMT', now)).toBe(0);
+    expect(parseRetryAfter('soon', now)).toBeNull();
+    expect(parseRetryAfter(undefined, now)).toBeNull();
+  });
+
+  test('retry only listed statuses and idempotent methods', async () => {
+    const policy = new RetryPolicy({ retries: 2 });
+    const status = code => ({ status: () => code });
+
+    expect(policy.shouldRetry({ method: 'GET', attempt: 1, response: status(503) })).toBe(true);
+    expect(policy.shouldRetry({ method: 'GET', attempt: 1, response: status(404) })).toBe(false);
+    expect(policy.shouldRetry({ method: 'GET', attempt: 3, response: status(503) })).toBe(false);
+    expect(policy.shouldRetry({ method: 'POST', attempt: 1, response: status(503) })).toBe(false);
+    expect(policy.shouldRetry({ method: 'GET', attempt: 1, error: new Error('ECONNRESET') })).toBe(true);
+    expect(new RetryPolicy({ methods: ['post'] }).shouldRetry({ method: 'POST', attempt: 1, response: status(503) })).toBe(true);
+  });
+});
+
+test.describe('Resilience - Fault Injection', () => {
+  let backend;
+  let proxy;
+  let context;
+
+  // A private mock behind the proxy, so injected faults never reach specs running in parallel
+  test.beforeAll(async ({ playwright }) => {
+    backend = await new MockServer({ port: 0 }).start();
+    proxy = await new FaultProxy({ target: backend.url }).start();
+    context = await playwright.request.newContext({ baseURL: proxy.url });
+  });
+
+  test.afterAll(async () => {
+    await context?.dispose();
+    await proxy?.stop();
+    await backend?.stop();
+  });
+
+  test.beforeEach(() => {
+    proxy.clear();
+  });
+
+  test('recover from a burst of 503s with backoff', async () => {
+    proxy.inject({ type: 'status', status: 503, times: 2 });
+    const { policy, delays } = recordingPolicy({ retries: 3 });
+
+    const result = await sendRequest(withRetries(context, policy), 'GET', '/users/1');
+
+    expect(result.status).toBe(200);
+    expect(result.body.id).toBe(1);
+    expect(delays).toEqual([50, 100]);
+    expect(proxy.stats).toMatchObject({ requests: 3, status: 2 });
+    console.log(`🔁 Two injected 503s absorbed after waits of ${delays.join(', ')}ms`);
+  });
+
+  test('wait as long as Retry-After asks', async () => {
+    proxy.inject({ type: 'status', status: 429, times: 1, retryAfter: 2 });
+    const { policy, delays } = recordingPolicy();
+
+    const result = await sendRequest(withRetries(context, policy), 'GET', '/posts/1');
+
+    expect(result.status).toBe(200);
+    expect(delays).toEqual([2000]);
+  });
+
+  test('retry dropped connections and give up with a clear error', async () => {
+    proxy.inject({ type: 'drop', path: '/todos', times: 1 });
+    const { policy } = recordingPolicy({ retries: 2 });
+    expect((await withRetries(context, policy).get('/todos/1')).status()).toBe(200);
+
+    proxy.inject({ type: 'drop', path: '/comments' });
+    const error = await withRetries(context, policy).get('/comments/1').catch(caught => caught);
+    expect(error).toBeInstanceOf(RetryExhaustedError);
+    expect(error.message).toContain('GET /comments/1 failed after 3 attempt(s)');
+    expect(error.attempts).toHaveLength(3);
+  });
+
+  test('return the last response when retries run out or the method is not retried', async () => {
+    proxy.inject({ type: 'status', status: 502 });
+    const { policy, delays } = recordingPolicy({ retries: 2 });
+    const retrying = withRetries(context, policy);
+
+    expect((await retrying.get('/users/2')).status()).toBe(502);
+    expect(delays).toHaveLength(2);
+
+    // POST is not idempotent, so it is sent exactly once
+    const before = proxy.stats.requests;
+    expect((await retrying.post('/posts', { data: { title: 'once' } })).status()).toBe(502);
+    expect(proxy.stats.requests - before).toBe(1);
+  });
+
+  test('time out slow responses and retry them', async () => {
+    proxy.inject({ type: 'latency', ms: 1000, times: 1 });
+    const { policy } = recordingPolicy({ retries: 1 });
+
+    const response = await withRetries(context, policy).get('/users/3', { timeout: 200 });
+
+    expect(response.status()).toBe(200);
+    expect(proxy.stats).toMatchObject({ requests: 2, latency: 1 });
+  });
+
+  test('surface malformed JSON as raw text instead of crashing', async () => {
+    proxy.inject({ type: 'malformed-json', path: /^\/posts\/\d+$/ });
+
+    const result = await sendRequest(context, 'GET', '/posts/1');
+
+    expect(result.status).toBe(200);
+    expect(typeof result.body).toBe('string');
+    expect(() => JSON.parse(result.body)).toThrow();
+    console.log('🧩 Malformed body kept as text for assertions');
+  });
+
+  test.describe('through the request fixture', () => {
+    test.use({ retryPolicy: { retries: 2, baseDelayMs: 10 } });
+
+    test('apply the configured retry policy and annotate each retry', async ({ request }) => {
+      proxy.inject({ type: 'status', status: 503, times: 1 });
+
+      const response = await request.get(`${proxy.url}/users/1`);
+
+      expect(response.status()).toBe(200);
+      expect(test.info().annotations.filter(annotation => annotation.type === 'api-retry')).toEqual([
+        { type: 'api-retry', description: expect.stringMatching(/^GET .*\/users\/1 answered 503, retry 1 in \d+ms$/) }
+      ]);
+    });
+  });
+});
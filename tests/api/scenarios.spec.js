@@ -0,0 +1,59 @@
+// tests/api/scenarios.spec.js - Data-Driven Scenario Runner
+import { fileURLToPath } from 'node:url';
+import { test, expect } from '../../utils/fixtures.js';
+import DataGenerator from '../../utils/data-generator.js';
+import MockServer from '../../utils/mock-server.js';
+import { runScenarios, runScenarioFiles, validateScenarios, executeScenario } from '../../utils/scenario-runner.js';
+import { getPath } from '../../utils/json-path.js';
+
+// Tables from DataGenerator.generateTestScenarios
+for (const endpoint of ['/posts', '/users', '/comments']) {
+  runScenarios(
+    `Scenarios - ${endpoint} (generated)`,
+    () => DataGenerator.generateTestScenarios(endpoint),
+    { endpoint }
+  );
+}
+
+// JSON/YAML files under tests/scenarios
+runScenarioFiles(fileURLToPath(new URL('../scenarios', import.meta.url)));
+
+test.describe('Scenario Runner - Definitions', () => {
+
+  test('reject malformed scenario definitions', async () => {
+    expect(() => validateScenarios({}, 'broken.yaml')).toThrow('broken.yaml: "scenarios" must be an array');
+    expect(() => validateScenarios([{ method: 'FETCH' }], 'broken.yaml'))
+      .toThrow('broken.yaml: scenario #1 has unsupported method "FETCH"');
+    expect(() => validateScenarios([{ method: 'GET', expect: { status: '200' } }], 'broken.yaml'))
+      .toThrow('scenario #1 must declare expect.status as an integer');
+    expect(() => validateScenarios([{ method: 'DELETE', create: 'yes' }], 'broken.yaml'))
+      .toThrow('scenario #1 must declare create as true or an object with data/generate');
+    expect(() => validateScenarios([{ method: 'DELETE', create: true, seededId: '1' }], 'broken.yaml'))
+      .toThrow('scenario #1 must declare seededId as an integer');
+  });
+
+  test('write to a record created for the scenario, not to seeded data', async ({ request, baseURL }) => {
+    test.skip(!MockServer.handles(baseURL), 'Only an API that keeps writes can create the record first');
+    const scenario = {
+      method: 'PATCH',
+      path: '/{{id}}',
+      create: { generate: true, data: { title: 'Before' } },
+      seededId: 1,
+      data: { title: 'After' },
+      expect: { fields: { id: '{{id}}', title: 'After' } }
+    };
+
+    const result = await executeScenario(request, scenario, '/todos', { baseURL });
+    expect(result.body.id).toBeGreaterThan(200);
+    console.log(`🧪 Scenario patched /todos/${result.body.id} created for it`);
+  });
+
+  test('resolve response fields by JSON path', async () => {
+    const body = [{ id: 1, address: { geo: { lat: '-37.3159' } }, tags: ['a', 'b'] }];
+
+    expect(getPath(body, '[0].address.geo.lat')).toBe('-37.3159');
+    expect(getPath(body, '$[0].tags[1]')).toBe('b');
+    expect(getPath(body, 'length')).toBe(1);
+    expect(getPath(body, '[3].id')).toBeUndefined();
+  });
+});
@@ -0,0 +1,77 @@
+// tests/api/schemas.spec.js - JSON Schema Contract Validation
+import { test, expect } from '../../utils/fixtures.js';
+import { validateSchema } from '../../utils/schemas.js';
+import DataGenerator from '../../utils/data-generator.js';
+import { createSeedData } from '../../utils/mock-data.js';
+
+test.describe('Schemas - Contract Validation', () => {
+
+  test('validate seeded records of every resource against their schema', async ({ request }) => {
+    const resources = { users: 'user', posts: 'post', comments: 'comment', todos: 'todo', albums: 'album', photos: 'photo' };
+
+    // Whole collections may contain the lenient payloads other specs create, so check seeded records
+    for (const [path, schemaName] of Object.entries(resources)) {
+      const response = await request.get(`/${path}/1`);
+      expect(response.status()).toBe(200);
+      await expect(response).toMatchSchema(schemaName);
+      console.log(`✅ /${path}/1 matches the ${schemaName} schema`);
+    }
+  });
+
+  test('keep generated payloads in line with the contract', async () => {
+    const generators = {
+      user: () => DataGenerator.generateUser(),
+      post: () => DataGenerator.generatePost(),
+      comment: () => DataGenerator.generateComment(),
+      todo: () => DataGenerator.generateTodo()
+    };
+
+    for (const [schemaName, generate] of Object.entries(generators)) {
+      const payloads = Array.from({ length: 10 }, generate);
+      await expect(payloads).toMatchSchema(schemaName, { payload: true });
+    }
+
+    console.log('✅ DataGenerator payloads match all resource schemas');
+  });
+
+  test('keep localized payloads in line with the contract', async () => {
+    const users = DataGenerator.forLocales(DataGenerator.I18N_LOCALES, () => DataGenerator.generateUser());
+    await expect(users).toMatchSchema('user', { payload: true });
+  });
+
+  test('keep mock server fixtures in line with the contract', async () => {
+    const { users, posts, comments, todos, albums, photos } = createSeedData();
+
+    await expect(users).toMatchSchema('user');
+    await expect(posts).toMatchSchema('post');
+    await expect(comments).toMatchSchema('comment');
+    await expect(todos).toMatchSchema('todo');
+    await expect(albums).toMatchSchema('album');
+    await expect(photos).toMatchSchema('photo');
+  });
+
+  test('report each violating JSON path', async () => {
+    const user = { ...DataGenerator.generateUser(), id: 1 };
+    user.email = 'not-an-email';
+    user.address.geo.lat = 12.5;
+    delete user.company.bs;
+    user.nickname = 'extra';
+
+    const violations = validateSchema('user', [user]);
+    const paths = violations.map(violation => violation.path);
+
+    expect(paths).toEqual(expect.arrayContaining([
+      '$[0].email',
+      '$[0].address.geo.lat',
+      '$[0].company.bs',
+      '$[0].nickname'
+    ]));
+
+    await expect(user).not.toMatchSchema('user');
+    await expect(expect(user).toMatchSchema('user')).rejects.toThrow('$.address.geo.lat');
+  });
+
+  test('reject unknown schema names', async () => {
+    expect(() => validateSchema('invoice', {})).toThrow('Unknown schema "invoice"');
+  });
+});
@@ -0,0 +1,86 @@
+// tests/api/security.spec.js - Negative & Security Pack: Injection, Oversized Payloads, Method/Header Abuse, CORS
+import { test, expect } from '../../utils/fixtures.js';
+import MockServer from '../../utils/mock-server.js';
+import {
+  runNegativePack,
+  negativeExpectations,
+  buildNegativeCases,
+  NEGATIVE_PRESETS,
+  NEGATIVE_CHECKS
+} from '../../utils/negative-pack.js';
+
+const RESOURCES = ['users', 'posts', 'comments', 'todos'];
+
+test.describe('Security - Expectations', () => {
+
+  test('pick the preset and overrides from the environment profile', async () => {
+    expect(negativeExpectations({}).preset).toBe('lenient');
+
+    const strict = negativeExpectations({ negativeTests: { preset: 'strict', status: { unsupportedMethod: [404, 405] }, oversizedBodyBytes: 2048 } });
+    expect(strict.status.unsupportedMethod).toEqual([404, 405]);
+    expect(strict.status.oversizedBody).toEqual([413]);
+    expect(strict.oversizedBodyBytes).toBe(2048);
+    expect(strict.rejectUntrustedOrigins).toBe(true);
+
+    expect(() => negativeExpectations({ negativeTests: { preset: 'paranoid' } })).toThrow('Unknown negative test preset "paranoid"');
+  });
+
+  test('build requests for every check without sending them', async () => {
+    const expectations = { ...NEGATIVE_PRESETS.strict, oversizedBodyBytes: 1024 };
+    const sample = { userId: 1, title: 'Title', body: 'Body' };
+
+    for (const check of NEGATIVE_CHECKS.filter(name => name !== 'corsPreflight')) {
+      expect(buildNegativeCases(check, 'posts', { expectations, sample }).length, check).toBeGreaterThan(0);
+    }
+
+    const [oversized] = buildNegativeCases('oversizedBody', 'posts', { expectations, sample });
+    expect(oversized.data.title).toHaveLength(1024);
+    expect(buildNegativeCases('nosqlOperators', 'posts', { expectations, sample })[0].data.userId).toEqual({ $gt: '' });
+    expect(buildNegativeCases('unsupportedMethod', 'users', { expectations, sample }).map(testCase => testCase.name))
+      .toContain('DELETE /users');
+    expect(() => buildNegativeCases('smuggling', 'posts', { expectations, sample })).toThrow('Unknown negative check "smuggling"');
+  });
+});
+
+// Statuses allowed by the active profile's "negativeTests" preset (lenient for JSONPlaceholder and the default mock)
+test.describe('Security - API Under Test', () => {
+  runNegativePack({ resources: RESOURCES });
+});
+
+// The same pack with strict expectations against a mock that enforces validation
+test.describe('Security - Validating Mock', () => {
+  let server;
+  let context;
+
+  test.beforeAll(async ({ playwright }) => {
+    server = await new MockServer({ port: 0, validation: true }).start();
+    context = await playwright.request.newContext({ baseURL: server.url });
+  });
+
+  test.afterAll(async () => {
+    await context?.dispose();
+    await server?.stop();
+  });
+
+  runNegativePack({
+    resources: RESOURCES,
+    expectations: { ...NEGATIVE_PRESETS.strict, preset: 'strict' },
+    request: () => context
+  });
+
+  test('explain what a strict API rejects', async () => {
+    const invalid = await context.post('/posts', { data: { title: 42 } });
+    expect(invalid.status()).toBe(422);
+    expect((await invalid.json()).violations).toEqual(expect.arrayContaining([
+      { path: '$.title', message: 'must be string' }
+    ]));
+
+    const unsupported = await context.delete('/users');
+    expect(unsupported.status()).toBe(405);
+    expect(unsupported.headers().allow).toBe('GET, HEAD, POST');
+
+    // Valid writes still go through
+    const created = await context.post('/posts', { data: { userId: 1, title: 'Valid', body: 'Accepted' } });
+    expect(created.status()).toBe(201);
+  });
+});
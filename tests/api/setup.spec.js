@@ -0,0 +1,108 @@
+// tests/api/setup.spec.js - Environment Doctor (npm run setup) & Presenter Mode (npm run test:demo)
+import { spawnSync } from 'node:child_process';
+import fs from 'node:fs';
+import path from 'node:path';
+import { test, expect } from '../../utils/fixtures.js';
+import MockServer from '../../utils/mock-server.js';
+import {
+  checkNodeVersion,
+  checkDependencies,
+  checkApiTarget,
+  checkOutputDirs,
+  reporterOutputDirs,
+  isPortFree,
+  formatCheck,
+  PROJECT_ROOT
+} from '../../utils/doctor.js';
+import { DEMO_STEPS, DEMO_USAGE, parseDemoArgs } from '../../demo-script.js';
+
+test.describe('Setup - Environment Doctor', () => {
+
+  test('require a supported Node version', async () => {
+    expect(checkNodeVersion('20.11.1').status).toBe('pass');
+
+    const outdated = checkNodeVersion('16.20.2');
+    expect(outdated).toMatchObject({ status: 'fail', detail: 'v16.20.2 is older than 18' });
+    expect(formatCheck(outdated)).toBe('❌ Node.js: v16.20.2 is older than 18\n   💡 Install Node 18 or newer (e.g. nvm install 18)');
+  });
+
+  test('list dependencies missing from node_modules', async ({}, testInfo) => {
+    expect(checkDependencies().status).toBe('pass');
+
+    const root = testInfo.outputPath('project');
+    fs.mkdirSync(path.join(root, 'node_modules', 'ajv'), { recursive: true });
+    fs.writeFileSync(path.join(root, 'node_modules', 'ajv', 'package.json'), '{ "version": "8.12.0" }');
+    fs.writeFileSync(path.join(root, 'package.json'), JSON.stringify({
+      dependencies: { ajv: '^8.12.0', yaml: '^2.3.0' },
+      devDependencies: { '@playwright/test': '^1.40.0' }
+    }));
+
+    expect(checkDependencies(root)).toEqual({
+      name: 'Dependencies',
+      status: 'fail',
+      detail: 'Not installed: yaml, @playwright/test',
+      fix: 'Run npm install'
+    });
+  });
+
+  test('find and create the directories reporters write to', async ({}, testInfo) => {
+    const config = (await import('../../playwright.config.js')).default;
+    expect(reporterOutputDirs(config)).toEqual(['test-results', 'playwright-report', 'coverage', 'api-report']);
+    expect(reporterOutputDirs({ outputDir: 'out', reporter: ['dot', ['html', { outputFolder: 'html' }]] })).toEqual(['out', 'html']);
+
+    const root = testInfo.outputPath('project');
+    fs.mkdirSync(path.join(root, 'reports'), { recursive: true });
+
+    const check = checkOutputDirs(['reports', 'reports/junit'], root);
+    expect(check).toEqual({ name: 'Report directories', status: 'pass', detail: 'reports, reports/junit (created reports/junit)' });
+    expect(fs.existsSync(path.join(root, 'reports', 'junit'))).toBe(true);
+  });
+
+  test('probe the configured API and explain how to fix it', async () => {
+    const server = await new MockServer({ port: 0 }).start();
+    const environment = { name: 'staging', baseURL: server.url, headers: {} };
+
+    try {
+      const reachable = await checkApiTarget(environment);
+      expect(reachable.status).toBe('pass');
+      expect(reachable.detail).toContain('GET /posts/1 answered 200');
+      expect(await isPortFree(server.port)).toBe(false);
+    } finally {
+      await server.stop();
+    }
+
+    const unreachable = await checkApiTarget(environment, { timeoutMs: 2000 });
+    expect(unreachable).toMatchObject({ status: 'fail', fix: expect.stringContaining('npm run test:local') });
+    expect(unreachable.detail).toContain('unreachable');
+  });
+});
+
+test.describe('Setup - Presenter Mode', () => {
+
+  test('walk through the users, posts and workflow suites', async () => {
+    const specs = DEMO_STEPS.filter(step => step.spec).map(step => step.spec);
+    expect(specs).toEqual(['tests/api/users.spec.js', 'tests/api/posts.spec.js', 'tests/api/workflow.spec.js']);
+
+    for (const step of DEMO_STEPS) {
+      expect(step.narration.length, step.title).toBeGreaterThan(0);
+      if (step.spec) expect(fs.existsSync(path.join(PROJECT_ROOT, step.spec)), step.spec).toBe(true);
+    }
+  });
+
+  test('pause only when presenting from a terminal', async () => {
+    expect(parseDemoArgs([], { interactive: true })).toEqual({ auto: false, list: false, from: 1 });
+    expect(parseDemoArgs(['--step=3'], { interactive: false })).toEqual({ auto: true, list: false, from: 3 });
+    expect(parseDemoArgs(['--auto', '--list'], { interactive: true })).toMatchObject({ auto: true, list: true });
+  });
+
+  test('reject step numbers that do not exist', async () => {
+    for (const step of ['abc', '0', '-1', '1.5', String(DEMO_STEPS.length + 1)]) {
+      expect(() => parseDemoArgs([`--step=${step}`], { interactive: false }), step)
+        .toThrow(`--step must be a step number from 1 to ${DEMO_STEPS.length}, got "${step}"`);
+    }
+
+    const run = spawnSync(process.execPath, [path.join(PROJECT_ROOT, 'demo-script.js'), '--step=abc'], { encoding: 'utf8', timeout: 30000 });
+    expect(run.status).toBe(1);
+    expect(run.stderr).toContain(DEMO_USAGE);
+  });
+});
@@ -0,0 +1,66 @@
+// tests/api/snapshots.spec.js - Response Snapshots with Ignore & Normalize Rules
+import { test, expect } from '../../utils/fixtures.js';
+import DataGenerator from '../../utils/data-generator.js';
+import { normalizeSnapshot, diffSnapshot, snapshotTarget, IGNORED } from '../../utils/api-snapshot.js';
+
+test.describe('Snapshots - API Responses', () => {
+
+  test('match the stored snapshot of a single post', async ({ api }) => {
+    const result = await api.posts.get(1);
+
+    await expect(result).toMatchApiSnapshot('post-1');
+    console.log('📸 GET /posts/1 matches its snapshot');
+  });
+
+  test('snapshot a created post with volatile fields normalized', async ({ api }) => {
+    const result = await api.posts.create(DataGenerator.generatePost(1));
+
+    // Generated content and the assigned id change every run; only the shape is pinned
+    await expect(result).toMatchApiSnapshot('created-post', {
+      ignore: ['id'],
+      normalize: { title: 'string', body: 'string' }
+    });
+    console.log(`📸 POST /posts response (id ${result.body.id}) matches its normalized snapshot`);
+  });
+});
+
+test.describe('Snapshots - Rules & Diffs', () => {
+
+  test('ignore and normalize fields by path pattern', async () => {
+    const data = [
+      { id: 7, email: 'a@b.io', createdAt: '2026-10-19T08:00:00.000Z', meta: { id: 3, tags: ['x'] } },
+      { id: 8, email: 'not-an-email', createdAt: 1760860800000, meta: { id: 4, tags: [] } }
+    ];
+
+    const normalized = normalizeSnapshot(data, {
+      ignore: ['[*].id', '**.tags'],
+      normalize: { '[*].email': 'email', '[*].createdAt': 'timestamp' }
+    });
+
+    expect(normalized).toEqual([
+      { createdAt: '<timestamp>', email: '<email>', id: IGNORED, meta: { id: 3, tags: IGNORED } },
+      { createdAt: '<timestamp>', email: 'not-an-email', id: IGNORED, meta: { id: 4, tags: IGNORED } }
+    ]);
+    expect(() => normalizeSnapshot(data, { normalize: { id: 'guid' } })).toThrow('Unknown snapshot normalizer "guid"');
+  });
+
+  test('report added, removed and changed fields with their paths', async () => {
+    const expected = { status: 200, body: { id: 1, name: 'Leanne', address: { city: 'Gwenborough' }, tags: ['a', 'b'] } };
+    const actual = { status: 200, body: { id: '1', name: 'Ervin', address: { city: 'Gwenborough', zip: '1' }, tags: ['a'] } };
+
+    const lines = diffSnapshot(expected, actual).map(change => change.line);
+
+    expect(lines).toEqual([
+      '+ $.body.address.zip: "1"',
+      '~ $.body.id: 1 (number) → "1" (string)',
+      '~ $.body.name: "Leanne" → "Ervin"',
+      '- $.body.tags[1]: "b"'
+    ]);
+    expect(diffSnapshot(expected, structuredClone(expected))).toEqual([]);
+  });
+
+  test('keep a separate snapshot per target API', async () => {
+    expect(snapshotTarget('http://localhost:3100')).toBe('localhost-3100');
+    expect(snapshotTarget('https://jsonplaceholder.typicode.com')).toBe('jsonplaceholder.typicode.com');
+  });
+});
@@ -0,0 +1,99 @@
+// tests/api/teardown.spec.js - Automatic Cleanup of Created Resources
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { test, expect } from '../../utils/fixtures.js';
+import DataGenerator from '../../utils/data-generator.js';
+import MockServer from '../../utils/mock-server.js';
+import {
+  TeardownRegistry,
+  createdResourceUrl,
+  recordOrphans,
+  readOrphanReport
+} from '../../utils/teardown-registry.js';
+
+// Stand-in for APIResponse/APIRequestContext that answers DELETEs from a script of statuses
+function scriptedRequest(statuses) {
+  const calls = [];
+  return {
+    calls,
+    delete: async url => {
+      calls.push(url);
+      const status = statuses.shift() ?? 200;
+      if (status === 'network') throw new Error('socket hang up');
+      return { status: () => status, ok: () => status >= 200 && status < 300 };
+    }
+  };
+}
+
+test.describe('Teardown - Registry', () => {
+
+  test('derive the created resource from POST responses', async () => {
+    expect(createdResourceUrl('http://localhost:3100/posts', { id: 101 })).toBe('http://localhost:3100/posts/101');
+    expect(createdResourceUrl('http://localhost:3100/users/1/posts', { id: 7 })).toBe('http://localhost:3100/posts/7');
+    expect(createdResourceUrl('http://localhost:3100/posts', {})).toBeNull();
+  });
+
+  test('delete newest-first and retry failed deletions', async () => {
+    const registry = new TeardownRegistry({ retries: 2, retryDelayMs: 1 });
+    registry.track('http://api.test/posts/1');
+    registry.track('http://api.test/comments/2');
+    registry.track('http://api.test/todos/3');
+
+    // todos/3: 503 then 200; comments/2: already gone; posts/1: 200
+    const request = scriptedRequest([503, 200, 404, 200]);
+    const summary = await registry.cleanup(request);
+
+    expect(request.calls).toEqual([
+      'http://api.test/todos/3',
+      'http://api.test/todos/3',
+      'http://api.test/comments/2',
+      'http://api.test/posts/1'
+    ]);
+    expect(summary).toEqual({ deleted: ['/todos/3', '/posts/1'], alreadyGone: ['/comments/2'], orphans: [] });
+    expect(registry.size).toBe(0);
+  });
+
+  test('report resources that could not be deleted as orphans', async () => {
+    const registry = new TeardownRegistry({ retries: 1, retryDelayMs: 1 });
+    registry.track('http://api.test/posts/9', { createdBy: 'some test' });
+
+    const summary = await registry.cleanup(scriptedRequest([500, 'network']));
+
+    expect(summary.orphans).toEqual([
+      expect.objectContaining({ path: '/posts/9', createdBy: 'some test', attempts: 2, error: 'socket hang up' })
+    ]);
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'orphans-'));
+    recordOrphans(summary.orphans, dir);
+    recordOrphans([{ path: '/todos/1', error: 'DELETE answered 403' }], dir);
+    expect(readOrphanReport(dir).map(orphan => orphan.path)).toEqual(['/posts/9', '/todos/1']);
+    fs.rmSync(dir, { recursive: true });
+  });
+});
+
+test.describe('Teardown - Fixture', () => {
+  test.describe.configure({ mode: 'serial' });
+  let createdPath;
+
+  test('track every resource created through POST', async ({ api, teardown }) => {
+    const post = await api.posts.create(DataGenerator.generatePost(1));
+    const todo = await api.todos.create(DataGenerator.generateTodo(1));
+    expect(teardown.size).toBe(2);
+
+    // Deleting explicitly removes the entry, so the fixture will not try again
+    await api.todos.delete(todo.body.id);
+    expect([...teardown.entries.values()].map(entry => entry.path)).toEqual([`/posts/${post.body.id}`]);
+
+    createdPath = `/posts/${post.body.id}`;
+    console.log(`🧹 ${createdPath} will be deleted when this test ends`);
+  });
+
+  test('delete tracked resources once the test has finished', async ({ request, baseURL }) => {
+    test.skip(!MockServer.handles(baseURL), 'Only the stateful local mock keeps created records');
+
+    expect(createdPath).toBeDefined();
+    expect((await request.get(createdPath)).status()).toBe(404);
+    console.log(`✅ ${createdPath} was cleaned up automatically`);
+  });
+});
@@ -1,103 +1,75 @@
 // tests/api/users.spec.js - GET API Testing Examples
-import { test, expect } from '@playwright/test';
+import { test, expect } from '../../utils/fixtures.js';
 
 test.describe('Users API - GET Operations', () => {
   
-  test('fetch all users from JSONPlaceholder API', async ({ request }) => {
+  test('fetch all users from JSONPlaceholder API', async ({ api, environment }) => {
     // Basic GET request
-    const response = await request.get('/users');
+    const { status, body: users } = await api.users.list();
     
     // Verify response status
-    expect(response.status()).toBe(200);
+    expect(status).toBe(200);
     
-    // Parse and validate response data
-    const users = await response.json();
+    // Validate response data
     expect(Array.isArray(users)).toBeTruthy();
     expect(users.length).toBeGreaterThan(0);
+    // Other specs may add users on a stateful backend, so the profile count is a lower bound
+    expect(users.length).toBeGreaterThanOrEqual(environment.expectedCounts.users ?? 1);
     
-    // Validate user structure
-    const firstUser = users[0];
-    expect(firstUser).toHaveProperty('id');
-    expect(firstUser).toHaveProperty('name');
-    expect(firstUser).toHaveProperty('username');
-    expect(firstUser).toHaveProperty('email');
-    expect(firstUser).toHaveProperty('address');
-    expect(firstUser).toHaveProperty('phone');
-    expect(firstUser).toHaveProperty('website');
-    expect(firstUser).toHaveProperty('company');
+    // Validate every user against the contract
+    await expect(users).toMatchSchema('user');
     
     console.log(`✅ Fetched ${users.length} users successfully`);
   });
 
-  test('retrieve user by ID with valid user ID', async ({ request }) => {
+  test('retrieve user by ID with valid user ID', async ({ api }) => {
     const userId = 1;
-    const response = await request.get(`/users/${userId}`);
+    const { status, body: user } = await api.users.get(userId);
     
-    expect(response.status()).toBe(200);
+    expect(status).toBe(200);
     
-    const user = await response.json();
     expect(user.id).toBe(userId);
     expect(user.name).toBeTruthy();
     expect(user.email).toMatch(/^[^\s@]+@[^\s@]+\.[^\s@]+$/);
     
+    // Every other field is pinned by the stored snapshot
+    await expect(await api.users.get(userId)).toMatchApiSnapshot('user-1');
+    
     console.log(`✅ User ${userId}: ${user.name} (${user.email})`);
   });
 
-  test('handle non-existent user ID gracefully', async ({ request }) => {
-    const response = await request.get('/users/999');
+  test('handle non-existent user ID gracefully', async ({ api }) => {
+    const result = await api.users.get(999);
     
-    expect(response.status()).toBe(404);
+    expect(result.status).toBe(404);
     console.log('✅ 404 handled correctly for non-existent user');
   });
 
-  test('validate user data types and structure compliance', async ({ request }) => {
-    const response = await request.get('/users/1');
-    expect(response.status()).toBe(200);
-    
-    const user = await response.json();
-    
-    // Type validations
-    expect(typeof user.id).toBe('number');
-    expect(typeof user.name).toBe('string');
-    expect(typeof user.username).toBe('string');
-    expect(typeof user.email).toBe('string');
-    expect(typeof user.phone).toBe('string');
-    expect(typeof user.website).toBe('string');
-    
-    // Nested object validations
-    expect(user.address).toHaveProperty('street');
-    expect(user.address).toHaveProperty('city');
-    expect(user.address).toHaveProperty('zipcode');
-    expect(user.address.geo).toHaveProperty('lat');
-    expect(user.address.geo).toHaveProperty('lng');
-    
-    expect(user.company).toHaveProperty('name');
-    expect(user.company).toHaveProperty('catchPhrase');
-    expect(user.company).toHaveProperty('bs');
+  test('validate user data types and structure compliance', async ({ api }) => {
+    const result = await api.users.get(1);
+    expect(result.status).toBe(200);
+    
+    // Types, nested address/geo and company objects are all covered by the schema
+    await expect(result).toMatchSchema('user');
     
     console.log('✅ All data types and structures validated');
   });
 
-  test('verify API response headers and performance metrics', async ({ request }) => {
-    const startTime = Date.now();
-    const response = await request.get('/users');
-    const endTime = Date.now();
-    const responseTime = endTime - startTime;
+  test('verify API response headers and performance metrics', async ({ api }) => {
+    const { duration: responseTime, headers } = await api.users.list();
     
     // Performance check (should be under 2 seconds)
     expect(responseTime).toBeLessThan(2000);
     
     // Header validations
-    const headers = response.headers();
     expect(headers['content-type']).toContain('application/json');
     
     console.log(`✅ Response time: ${responseTime}ms`);
     console.log(`✅ Content-Type: ${headers['content-type']}`);
   });
 
-  test('extract user data for API workflow chaining', async ({ request }) => {
-    const response = await request.get('/users');
-    const users = await response.json();
+  test('extract user data for API workflow chaining', async ({ api }) => {
+    const { body: users } = await api.users.list();
     
     // Extract data for potential chaining
     const userIds = users.map(user => user.id);
@@ -118,4 +90,4 @@ test.describe('Users API - GET Operations', () => {
       sampleEmail: userEmails[0]
     });
   });
-});
\ No newline at end of file
+});
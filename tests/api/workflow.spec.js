@@ -1,64 +1,111 @@
 // tests/api/workflow.spec.js - API Chaining & End-to-End Workflows
-import { test, expect } from '@playwright/test';
+import { test, expect } from '../../utils/fixtures.js';
 import DataGenerator from '../../utils/data-generator.js';
+import MockServer from '../../utils/mock-server.js';
+import { runWorkflow, renderTemplate, WorkflowError } from '../../utils/workflow.js';
 
 test.describe('API Workflow - Chaining & End-to-End Scenarios', () => {
   
-  test('complete user-post-comment workflow with data validation', async ({ request }) => {
+  test('complete user-post-comment workflow with data validation', async ({ request, baseURL }) => {
     console.log('🔄 Starting complete user-post-comment workflow...');
     
-    // Step 1: Get a user
-    const usersResponse = await request.get('/users');
-    expect(usersResponse.status()).toBe(200);
-    const users = await usersResponse.json();
-    const selectedUser = users[0];
-    console.log(`👤 Selected user: ${selectedUser.name} (ID: ${selectedUser.id})`);
+    // JSONPlaceholder returns 404 for created posts since they're not actually stored;
+    // the local mock server persists writes, so there the post must be retrievable
+    const persisted = MockServer.handles(baseURL);
+    
+    const { context } = await runWorkflow(request, {
+      name: 'user-post-comment',
+      steps: [
+        {
+          name: 'Get a user',
+          request: { method: 'GET', path: '/users/1' },
+          expect: { schema: 'user' },
+          extract: { user: '$' }
+        },
+        {
+          name: 'Create a post for this user',
+          request: { method: 'POST', path: '/posts', data: ({ user }) => DataGenerator.generatePost(user.id) },
+          expect: { status: 201, schema: 'post', echo: true, fields: { userId: '{{user.id}}' } },
+          extract: { post: '$' },
+          teardown: { method: 'DELETE', path: '/posts/{{post.id}}' }
+        },
+        {
+          name: 'Comment on the post',
+          request: { method: 'POST', path: '/comments', data: ({ post }) => DataGenerator.generateComment(post.id) },
+          expect: { status: 201, schema: 'comment', fields: { postId: '{{post.id}}' } },
+          extract: { comment: '$' },
+          teardown: { method: 'DELETE', path: '/comments/{{comment.id}}' }
+        },
+        {
+          name: 'Read the post back',
+          request: { method: 'GET', path: '/posts/{{post.id}}' },
+          expect: persisted ? { status: 200, fields: { $: '{{post}}' } } : { status: 404 }
+        }
+      ]
+    });
     
-    // Step 2: Create a post for this user
-    const postData = DataGenerator.generatePost(selectedUser.id);
-    const postResponse = await request.post('/posts', {
-      data: postData
+    console.log('✅ Complete workflow verified:', {
+      user: context.user.name,
+      post: context.post.title.substring(0, 30) + '...',
+      comment: context.comment.name.substring(0, 30) + '...'
     });
+  });
+
+  test('persist created content for read-after-write verification', async ({ request, baseURL }) => {
+    test.skip(!MockServer.handles(baseURL), 'Requires the stateful local mock server (npm run test:local)');
+    
+    console.log('💾 Verifying read-after-write behavior...');
+    
+    // Step 1: Create a post and read it back
+    const postData = DataGenerator.generatePost(1);
+    const postResponse = await request.post('/posts', { data: postData });
     expect(postResponse.status()).toBe(201);
     const createdPost = await postResponse.json();
-    console.log(`📝 Created post: ${createdPost.title} (ID: ${createdPost.id})`);
     
-    // Step 3: Verify the post was created correctly
-    expect(createdPost.userId).toBe(selectedUser.id);
-    expect(createdPost.title).toBe(postData.title);
+    const fetchedPostResponse = await request.get(`/posts/${createdPost.id}`);
+    expect(fetchedPostResponse.status()).toBe(200);
+    expect(await fetchedPostResponse.json()).toEqual(createdPost);
     
-    // Step 4: Create a comment for this post
-    const commentData = DataGenerator.generateComment(createdPost.id);
+    // Step 2: The new post shows up in the user's nested posts
+    const userPostsResponse = await request.get('/users/1/posts');
+    const userPosts = await userPostsResponse.json();
+    expect(userPosts.map(post => post.id)).toContain(createdPost.id);
+    
+    // Step 3: A comment created for the post is returned by its nested route
     const commentResponse = await request.post('/comments', {
-      data: commentData
+      data: DataGenerator.generateComment(createdPost.id)
     });
     expect(commentResponse.status()).toBe(201);
     const createdComment = await commentResponse.json();
-    console.log(`💬 Created comment: ${createdComment.name} (ID: ${createdComment.id})`);
-    
-    // Step 5: Verify the comment was linked correctly
-    expect(createdComment.postId).toBe(createdPost.id);
-    
-    // Step 6: Fetch and verify the complete workflow
-    const finalPostResponse = await request.get(`/posts/${createdPost.id}`);
-    
-    // Note: JSONPlaceholder returns 404 for created posts since they're not actually stored
-    // In a real API, this would return the created post
-    if (finalPostResponse.status() === 404) {
-      console.log('ℹ️ JSONPlaceholder behavior: Created posts are not stored for retrieval');
-      console.log('✅ Complete workflow verified (creation successful, expected 404 on retrieval)');
-    } else {
-      const finalPost = await finalPostResponse.json();
-      expect(finalPost.id).toBe(createdPost.id);
-      console.log('✅ Complete workflow verified - post retrievable');
-    }
     
-    console.log('✅ Complete workflow verified:', {
-      user: selectedUser.name,
-      post: createdPost.title.substring(0, 30) + '...',
-      comment: createdComment.name.substring(0, 30) + '...',
-      note: 'JSONPlaceholder demo API behavior - posts not stored for retrieval'
+    const postCommentsResponse = await request.get(`/posts/${createdPost.id}/comments`);
+    expect(await postCommentsResponse.json()).toEqual([createdComment]);
+    
+    // Step 4: PATCH and PUT changes are visible on the next read
+    const patchResponse = await request.patch(`/posts/${createdPost.id}`, {
+      data: { title: 'Patched title' }
     });
+    expect(patchResponse.status()).toBe(200);
+    
+    const patchedPost = await (await request.get(`/posts/${createdPost.id}`)).json();
+    expect(patchedPost.title).toBe('Patched title');
+    expect(patchedPost.body).toBe(postData.body);
+    
+    const replacement = DataGenerator.generatePost(2);
+    const putResponse = await request.put(`/posts/${createdPost.id}`, { data: replacement });
+    expect(putResponse.status()).toBe(200);
+    
+    const replacedPost = await (await request.get(`/posts/${createdPost.id}`)).json();
+    expect(replacedPost).toEqual({ ...replacement, id: createdPost.id });
+    
+    // Step 5: DELETE removes the post for good
+    const deleteResponse = await request.delete(`/posts/${createdPost.id}`);
+    expect(deleteResponse.status()).toBe(200);
+    
+    const deletedPostResponse = await request.get(`/posts/${createdPost.id}`);
+    expect(deletedPostResponse.status()).toBe(404);
+    
+    console.log('✅ Read-after-write verified for create, patch, put and delete');
   });
 
   test('chain multiple API calls with data extraction and reuse', async ({ request }) => {
@@ -86,7 +133,7 @@ test.describe('API Workflow - Chaining & End-to-End Scenarios', () => {
     console.log(`📊 Grouped posts by ${Object.keys(extractedData.postsByUser).length} users`);
     
     // Chain 3: Use extracted data to create targeted requests
-    const randomUserId = extractedData.userIds[Math.floor(Math.random() * extractedData.userIds.length)];
+    const randomUserId = DataGenerator.pick(extractedData.userIds);
     const userPostsResponse = await request.get(`/users/${randomUserId}/posts`);
     expect(userPostsResponse.status()).toBe(200);
     const userPosts = await userPostsResponse.json();
@@ -105,7 +152,7 @@ test.describe('API Workflow - Chaining & End-to-End Scenarios', () => {
     console.log('✅ API chaining completed successfully');
   });
 
-  test('Handle error scenarios and implement fallback strategies', async ({ request }) => {
+  test('Handle error scenarios and implement fallback strategies', async ({ request, discovered }) => {
     console.log('🔧 Testing error handling in API workflows...');
     
     // Scenario 1: Try to create post for non-existent user
@@ -127,23 +174,21 @@ test.describe('API Workflow - Chaining & End-to-End Scenarios', () => {
     console.log('✅ 404 correctly returned for non-existent post');
     
     // Scenario 3: Chain with error recovery
-    let userToUse;
+    let userIdToUse;
     try {
       const specificUserResponse = await request.get('/users/999');
       if (specificUserResponse.status() === 404) {
-        // Fallback: get first available user
-        const usersResponse = await request.get('/users');
-        const users = await usersResponse.json();
-        userToUse = users[0];
-        console.log('🔄 Fallback to available user:', userToUse.name);
+        // Fallback: first user id global setup discovered
+        userIdToUse = discovered.resources.users.ids[0];
+        console.log('🔄 Fallback to available user ID:', userIdToUse);
       }
     } catch (error) {
       console.log('🔧 Error handled gracefully');
     }
     
     // Continue workflow with fallback data
-    if (userToUse) {
-      const fallbackPostData = DataGenerator.generatePost(userToUse.id);
+    if (userIdToUse) {
+      const fallbackPostData = DataGenerator.generatePost(userIdToUse);
       const fallbackResponse = await request.post('/posts', {
         data: fallbackPostData
       });
@@ -152,11 +197,11 @@ test.describe('API Workflow - Chaining & End-to-End Scenarios', () => {
     }
   });
 
-  test('Demonstrate complex workflow with validation', async ({ request }) => {
+  test('Demonstrate complex workflow with validation', async ({ request, discovered }) => {
     console.log('🏗️ Running complex workflow with comprehensive validation...');
     
     const workflowResults = {
-      users: [],
+      userIds: [],
       posts: [],
       comments: [],
       relationships: {}
@@ -164,16 +209,15 @@ test.describe('API Workflow - Chaining & End-to-End Scenarios', () => {
     
     // Phase 1: Data Discovery
     console.log('📊 Phase 1: Data Discovery');
-    const usersResponse = await request.get('/users');
-    const allUsers = await usersResponse.json();
-    workflowResults.users = allUsers.slice(0, 3); // Work with first 3 users
+    // User ids global setup already discovered; no need to fetch /users again
+    workflowResults.userIds = discovered.resources.users.ids.slice(0, 3); // Work with first 3 users
     
     // Phase 2: Content Creation
     console.log('📝 Phase 2: Content Creation');
-    for (const user of workflowResults.users) {
+    for (const userId of workflowResults.userIds) {
       // Create 2 posts per user
       for (let i = 0; i < 2; i++) {
-        const postData = DataGenerator.generatePost(user.id);
+        const postData = DataGenerator.generatePost(userId);
         const postResponse = await request.post('/posts', {
           data: postData
         });
@@ -183,14 +227,14 @@ test.describe('API Workflow - Chaining & End-to-End Scenarios', () => {
         workflowResults.posts.push(newPost);
         
         // Track relationships
-        if (!workflowResults.relationships[user.id]) {
-          workflowResults.relationships[user.id] = [];
+        if (!workflowResults.relationships[userId]) {
+          workflowResults.relationships[userId] = [];
         }
-        workflowResults.relationships[user.id].push(newPost.id);
+        workflowResults.relationships[userId].push(newPost.id);
       }
     }
     
-    console.log(`📝 Created ${workflowResults.posts.length} posts across ${workflowResults.users.length} users`);
+    console.log(`📝 Created ${workflowResults.posts.length} posts across ${workflowResults.userIds.length} users`);
     
     // Phase 3: Interaction Creation
     console.log('💬 Phase 3: Interaction Creation');
@@ -209,7 +253,7 @@ test.describe('API Workflow - Chaining & End-to-End Scenarios', () => {
     console.log('✅ Phase 4: Validation');
     
     // Validate all posts were created correctly
-    expect(workflowResults.posts.length).toBe(workflowResults.users.length * 2);
+    expect(workflowResults.posts.length).toBe(workflowResults.userIds.length * 2);
     
     // Validate all comments were created correctly
     expect(workflowResults.comments.length).toBe(workflowResults.posts.length);
@@ -225,7 +269,7 @@ test.describe('API Workflow - Chaining & End-to-End Scenarios', () => {
     }
     
     console.log('✅ Complex workflow completed with full validation:', {
-      usersProcessed: workflowResults.users.length,
+      usersProcessed: workflowResults.userIds.length,
       postsCreated: workflowResults.posts.length,
       commentsCreated: workflowResults.comments.length,
       relationshipsValidated: Object.keys(workflowResults.relationships).length
@@ -284,4 +328,61 @@ test.describe('API Workflow - Chaining & End-to-End Scenarios', () => {
       newPostsCreated: createdPostsResponses.length
     });
   });
-});
\ No newline at end of file
+});
+
+test.describe('API Workflow - Chaining DSL', () => {
+
+  test('template extracted values into later steps', async () => {
+    const context = { post: { id: 101, tags: ['a'] }, user: { name: 'Ada' } };
+
+    expect(renderTemplate('{{post.id}}', context)).toBe(101);
+    expect(renderTemplate('/posts/{{ post.id }}/comments', context)).toBe('/posts/101/comments');
+    expect(renderTemplate({ ids: ['{{post.id}}'], note: 'by {{user.name}}' }, context)).toEqual({ ids: [101], note: 'by Ada' });
+    expect(() => renderTemplate('{{comment.id}}', context, 'step "x"'))
+      .toThrow('Unknown variable "{{comment.id}}" in step "x". Context has: post, user');
+  });
+
+  test('run teardown in reverse order when a later step fails', async ({ request, baseURL }) => {
+    let failure;
+    try {
+      await runWorkflow(request, {
+        name: 'failing-chain',
+        steps: [
+          {
+            name: 'Create a post',
+            request: { method: 'POST', path: '/posts', data: DataGenerator.generatePost(1) },
+            extract: { postId: '$.id' },
+            teardown: { method: 'DELETE', path: '/posts/{{postId}}' }
+          },
+          {
+            name: 'Create a todo',
+            request: { method: 'POST', path: '/todos', data: DataGenerator.generateTodo(1) },
+            extract: { todoId: '$.id' },
+            teardown: { method: 'DELETE', path: '/todos/{{todoId}}' }
+          },
+          {
+            name: 'Expect the impossible',
+            request: { method: 'GET', path: '/posts/{{postId}}' },
+            expect: { status: 418 }
+          }
+        ]
+      });
+    } catch (error) {
+      failure = error;
+    }
+
+    expect(failure).toBeInstanceOf(WorkflowError);
+    expect(failure.message).toContain('failed at step "Expect the impossible"');
+    expect(failure.teardown.map(entry => entry.path)).toEqual([
+      `/todos/${failure.context.todoId}`,
+      `/posts/${failure.context.postId}`
+    ]);
+
+    // On the stateful mock the records are really gone
+    if (MockServer.handles(baseURL)) {
+      expect((await request.get(`/posts/${failure.context.postId}`)).status()).toBe(404);
+      expect((await request.get(`/todos/${failure.context.todoId}`)).status()).toBe(404);
+    }
+    console.log('🧹 Teardown ran newest-first after the failing step');
+  });
+});
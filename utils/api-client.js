@@ -0,0 +1,162 @@
+// utils/api-client.js - Resource clients wrapping Playwright's request fixture
+
+// Parsed response with status, headers and timing attached
+export class ApiResult {
+  constructor({ method, url, status, headers, body, duration, response }) {
+    this.method = method;
+    this.url = url;
+    this.status = status;
+    this.headers = headers;
+    this.body = body;
+    this.duration = duration;
+    this.response = response;
+  }
+
+  get ok() {
+    return this.status >= 200 && this.status < 300;
+  }
+}
+
+// Send a request and parse the body; non-JSON bodies are returned as text
+export async function sendRequest(request, method, path, { params, data, headers } = {}) {
+  const startTime = Date.now();
+  const response = await request.fetch(path, { method, params, data, headers });
+  const text = await response.text();
+  const duration = Date.now() - startTime;
+
+  let body = text;
+  if (text) {
+    try {
+      body = JSON.parse(text);
+    } catch {
+      // Keep raw text so callers can assert on malformed responses
+    }
+  } else {
+    body = null;
+  }
+
+  return new ApiResult({
+    method,
+    url: response.url(),
+    status: response.status(),
+    headers: response.headers(),
+    body,
+    duration,
+    response
+  });
+}
+
+export class ResourceApi {
+  constructor(request, resource) {
+    this.request = request;
+    this.resource = resource;
+  }
+
+  path(...segments) {
+    return ['', this.resource, ...segments].join('/');
+  }
+
+  send(method, path, options) {
+    return sendRequest(this.request, method, path, options);
+  }
+
+  list(params) {
+    return this.send('GET', this.path(), { params });
+  }
+
+  get(id) {
+    return this.send('GET', this.path(id));
+  }
+
+  create(data) {
+    return this.send('POST', this.path(), { data });
+  }
+
+  update(id, data) {
+    return this.send('PUT', this.path(id), { data });
+  }
+
+  patch(id, data) {
+    return this.send('PATCH', this.path(id), { data });
+  }
+
+  delete(id) {
+    return this.send('DELETE', this.path(id));
+  }
+
+  // Nested relations such as /users/1/posts
+  related(id, child, params) {
+    return this.send('GET', this.path(id, child), { params });
+  }
+}
+
+export class UsersApi extends ResourceApi {
+  constructor(request) {
+    super(request, 'users');
+  }
+
+  posts(id, params) {
+    return this.related(id, 'posts', params);
+  }
+
+  todos(id, params) {
+    return this.related(id, 'todos', params);
+  }
+
+  albums(id, params) {
+    return this.related(id, 'albums', params);
+  }
+}
+
+export class PostsApi extends ResourceApi {
+  constructor(request) {
+    super(request, 'posts');
+  }
+
+  comments(id, params) {
+    return this.related(id, 'comments', params);
+  }
+}
+
+export class CommentsApi extends ResourceApi {
+  constructor(request) {
+    super(request, 'comments');
+  }
+}
+
+export class TodosApi extends ResourceApi {
+  constructor(request) {
+    super(request, 'todos');
+  }
+}
+
+export class AlbumsApi extends ResourceApi {
+  constructor(request) {
+    super(request, 'albums');
+  }
+
+  photos(id, params) {
+    return this.related(id, 'photos', params);
+  }
+}
+
+export class PhotosApi extends ResourceApi {
+  constructor(request) {
+    super(request, 'photos');
+  }
+}
+
+// One entry point per test: api.users, api.posts, api.comments, api.todos, api.albums, api.photos
+class ApiClient {
+  constructor(request) {
+    this.request = request;
+    this.users = new UsersApi(request);
+    this.posts = new PostsApi(request);
+    this.comments = new CommentsApi(request);
+    this.todos = new TodosApi(request);
+    this.albums = new AlbumsApi(request);
+    this.photos = new PhotosApi(request);
+  }
+}
+
+export default ApiClient;
@@ -0,0 +1,322 @@
+// utils/api-report.js - Per-endpoint results, request/response detail and run history for the API reporter
+import { normalizePath } from './endpoint-coverage.js';
+import { percentile } from './performance.js';
+
+// Attachment the request fixture writes for every test (see utils/fixtures.js)
+export const API_LOG_ATTACHMENT = 'api-log.har';
+
+// Runs kept in history.json for the trend charts
+export const HISTORY_SIZE = 20;
+
+// Bodies are cut to this many characters in the report; the full HAR stays attached to the test
+const BODY_PREVIEW = 2000;
+
+// Calls shown per test in the HTML page; load and performance tests make hundreds
+const CALLS_PER_TEST = 50;
+
+const FAILED_STATUSES = ['failed', 'timedOut', 'interrupted'];
+
+const took = call => (call.time === undefined ? '' : ` (${call.time}ms)`);
+
+const preview = text => (text && text.length > BODY_PREVIEW ? `${text.slice(0, BODY_PREVIEW)}… (${text.length} chars)` : text);
+
+// HAR entries → [{ method, url, path, status, time, requestBody, responseBody, error }]
+export function harToCalls(har) {
+  return (har?.log?.entries ?? []).map(entry => ({
+    method: entry.request.method,
+    url: entry.request.url,
+    path: new URL(entry.request.url).pathname,
+    status: entry.response.status,
+    time: entry.time,
+    requestBody: preview(entry.request.postData?.text),
+    responseBody: preview(entry.response.content?.text),
+    ...(entry.response._error ? { error: entry.response._error } : {})
+  }));
+}
+
+// Fallback when a test has no HAR: the [{ method, path, status }] list from the `api-calls` attachment
+export function attachmentToCalls(calls) {
+  return calls.map(({ method, path, status }) => ({ method, url: path, path, status }));
+}
+
+// Records a test created: POSTs answered with 2xx and a JSON body carrying an id → ['/posts/101']
+export function createdResources(calls) {
+  return calls
+    .filter(call => call.method === 'POST' && call.status >= 200 && call.status < 300 && call.responseBody)
+    .flatMap(call => {
+      try {
+        const { id } = JSON.parse(call.responseBody);
+        return id === undefined ? [] : [`${call.path.replace(/\/$/, '')}/${id}`];
+      } catch {
+        return [];
+      }
+    });
+}
+
+// Calls read from the `api-calls` attachment (no HAR, e.g. API_LOG=off) carry no timing
+function latency(times) {
+  const sorted = times.filter(time => time !== undefined).sort((a, b) => a - b);
+  return { p50: percentile(sorted, 50), p95: percentile(sorted, 95), max: sorted[sorted.length - 1] ?? 0 };
+}
+
+/*
+ * tests: [{ title, file, project, status, flaky, duration, annotations, calls }]
+ * scope: { projects, tests } - what the run selected (see runScope), so trends only compare like runs
+ * Returns { environment, baseURL, scope, generatedAt, totals, endpoints, tests } where each endpoint
+ * ('GET /posts/:id') has its calls, the tests that made them, statuses and latency.
+ */
+export function buildApiReport(tests, inventory, { environment, baseURL, scope, generatedAt = new Date().toISOString() } = {}) {
+  const endpoints = new Map();
+
+  for (const test of tests) {
+    for (const call of test.calls) {
+      const { path, declared } = normalizePath(call.path, inventory);
+      const key = `${call.method} ${path}`;
+      if (!endpoints.has(key)) {
+        endpoints.set(key, { key, method: call.method, path, declared, calls: 0, tests: new Set(), failedTests: new Set(), statuses: {}, times: [] });
+      }
+
+      const endpoint = endpoints.get(key);
+      endpoint.calls += 1;
+      endpoint.tests.add(test.title);
+      if (FAILED_STATUSES.includes(test.status)) endpoint.failedTests.add(test.title);
+      const status = call.error ? 'error' : call.status;
+      endpoint.statuses[status] = (endpoint.statuses[status] ?? 0) + 1;
+      endpoint.times.push(call.time);
+    }
+  }
+
+  const count = status => tests.filter(test => test.status === status).length;
+  const failed = tests.filter(test => FAILED_STATUSES.includes(test.status)).length;
+  const skipped = count('skipped');
+  const calls = tests.flatMap(test => test.calls);
+
+  return {
+    environment,
+    baseURL,
+    scope,
+    generatedAt,
+    totals: {
+      tests: tests.length,
+      passed: count('passed'),
+      failed,
+      flaky: tests.filter(test => test.flaky).length,
+      skipped,
+      passRate: tests.length - skipped === 0 ? 1 : count('passed') / (tests.length - skipped),
+      requests: calls.length,
+      ...latency(calls.map(call => call.time))
+    },
+    endpoints: [...endpoints.values()]
+      .sort((a, b) => a.path.localeCompare(b.path) || a.method.localeCompare(b.method))
+      .map(({ tests: users, failedTests, times, ...endpoint }) => ({
+        ...endpoint,
+        tests: users.size,
+        failedTests: [...failedTests],
+        ...latency(times)
+      })),
+    tests: tests.map(test => ({ ...test, created: createdResources(test.calls) }))
+  };
+}
+
+// Projects and number of tests a run selected; --grep, a single spec or a demo step selects fewer
+export function runScope(tests) {
+  return {
+    projects: [...new Set(tests.map(test => test.project).filter(Boolean))].sort(),
+    tests: tests.length
+  };
+}
+
+// The slice of a report kept across runs
+export function toHistoryEntry(report) {
+  const { totals } = report;
+  return {
+    runAt: report.generatedAt,
+    environment: report.environment,
+    scope: report.scope,
+    tests: totals.tests,
+    passed: totals.passed,
+    failed: totals.failed,
+    passRate: totals.passRate,
+    requests: totals.requests,
+    p50: totals.p50,
+    p95: totals.p95,
+    endpoints: Object.fromEntries(report.endpoints.map(endpoint => [endpoint.key, { calls: endpoint.calls, p95: endpoint.p95 }]))
+  };
+}
+
+export function appendHistory(history, entry, size = HISTORY_SIZE) {
+  return [...history, entry].slice(-size);
+}
+
+const SPARK = '▁▂▃▄▅▆▇█';
+
+// [1, 5, 3] → '▁█▅'; a flat series sits in the middle
+export function sparkline(values) {
+  if (values.length === 0) return '';
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  return values.map(value => (max === min ? SPARK[3] : SPARK[Math.round(((value - min) / (max - min)) * (SPARK.length - 1))])).join('');
+}
+
+const percent = rate => `${Math.round(rate * 1000) / 10}%`;
+
+function delta(current, previous, unit = 'ms') {
+  if (previous === undefined) return '';
+  const change = current - previous;
+  if (change === 0) return '±0';
+  return `${change > 0 ? '+' : ''}${change}${unit}`;
+}
+
+const sameScope = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Entries from runs against the same environment and scope, oldest first; `history` already includes this run
+function comparableRuns(report, history) {
+  return history.filter(entry => entry.environment === report.environment && sameScope(entry.scope, report.scope));
+}
+
+// For CI job summaries ($GITHUB_STEP_SUMMARY) and PR comments
+export function renderMarkdown(report, history = []) {
+  const { totals } = report;
+  const runs = comparableRuns(report, history);
+  const previous = runs.length > 1 ? runs[runs.length - 2] : undefined;
+  const lines = [
+    '## 🌐 API Test Report',
+    '',
+    [`**${report.environment ?? 'default'}**`, report.baseURL, report.generatedAt].filter(Boolean).join(' · '),
+    '',
+    '| Tests | ✅ Passed | ❌ Failed | 🔁 Flaky | ⏭️ Skipped | Pass rate | Requests | p50 | p95 |',
+    '|---:|---:|---:|---:|---:|---:|---:|---:|---:|',
+    `| ${totals.tests} | ${totals.passed} | ${totals.failed} | ${totals.flaky} | ${totals.skipped} | ${percent(totals.passRate)} | ${totals.requests} | ${totals.p50}ms | ${totals.p95}ms |`,
+    '',
+    '### Endpoints',
+    '',
+    '| Endpoint | Calls | Tests | Statuses | p50 | p95 | max | Δ p95 |',
+    '|---|---:|---:|---|---:|---:|---:|---:|'
+  ];
+
+  for (const endpoint of report.endpoints) {
+    const statuses = Object.entries(endpoint.statuses).map(([status, count]) => `${status}×${count}`).join(' ');
+    const marker = endpoint.failedTests.length > 0 ? ' ❌' : endpoint.declared ? '' : ' ⚠️';
+    lines.push(`| \`${endpoint.key}\`${marker} | ${endpoint.calls} | ${endpoint.tests} | ${statuses} | ${endpoint.p50}ms | ${endpoint.p95}ms | ${endpoint.max}ms | ${delta(endpoint.p95, previous?.endpoints[endpoint.key]?.p95)} |`);
+  }
+
+  const failedTests = report.tests.filter(test => FAILED_STATUSES.includes(test.status));
+  if (failedTests.length > 0) {
+    lines.push('', '### ❌ Failed tests', '');
+    for (const test of failedTests) {
+      const calls = test.calls.slice(-5).map(call => `\`${call.method} ${call.path}\` → ${call.error ?? call.status}${took(call)}`);
+      lines.push(`- **${test.title}**${calls.length > 0 ? `<br>${calls.join('<br>')}` : ''}`);
+    }
+  }
+
+  if (runs.length > 1) {
+    const recent = runs.slice(-10);
+    lines.push(
+      '',
+      `### 📈 Trends (last ${recent.length} runs on ${report.environment ?? 'default'})`,
+      '',
+      `- Pass rate: ${sparkline(recent.map(run => run.passRate))} ${percent(previous.passRate)} → ${percent(totals.passRate)}`,
+      `- p95 latency: ${sparkline(recent.map(run => run.p95))} ${previous.p95}ms → ${totals.p95}ms (${delta(totals.p95, previous.p95)})`,
+      '',
+      '| Run | Tests | Failed | Pass rate | Requests | p95 |',
+      '|---|---:|---:|---:|---:|---:|',
+      ...recent.reverse().map(run => `| ${run.runAt} | ${run.tests} | ${run.failed} | ${percent(run.passRate)} | ${run.requests} | ${run.p95}ms |`)
+    );
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, character => `&#${character.charCodeAt(0)};`);
+}
+
+const statusClass = status => (status === 'error' ? 's5xx' : `s${String(status)[0]}xx`);
+
+function renderCall(call) {
+  const status = call.error ?? call.status;
+  const bodies = [
+    call.requestBody && `<h4>Request</h4><pre>${escapeHtml(call.requestBody)}</pre>`,
+    call.responseBody && `<h4>Response</h4><pre>${escapeHtml(call.responseBody)}</pre>`
+  ].filter(Boolean).join('');
+  const summary = `<code>${escapeHtml(call.method)} ${escapeHtml(call.url)}</code> → ` +
+    `<span class="status ${statusClass(call.error ? 'error' : call.status)}">${escapeHtml(status)}</span>${took(call)}`;
+  return bodies ? `<li><details><summary>${summary}</summary>${bodies}</details></li>` : `<li>${summary}</li>`;
+}
+
+function renderTest(test) {
+  const failed = FAILED_STATUSES.includes(test.status);
+  const shown = test.calls.slice(0, CALLS_PER_TEST);
+  const more = test.calls.length - shown.length;
+  const annotations = test.annotations
+    .map(annotation => `<li><strong>${escapeHtml(annotation.type)}</strong> ${escapeHtml(annotation.description ?? '')}</li>`)
+    .join('');
+
+  return `<details class="test ${escapeHtml(test.status)}"${failed ? ' open' : ''}>
+<summary><span class="badge ${escapeHtml(test.status)}">${escapeHtml(test.status)}${test.flaky ? ' (flaky)' : ''}</span> ${escapeHtml(test.title)} <small>${test.duration}ms · ${test.calls.length} call(s)</small></summary>
+${test.created.length > 0 ? `<p>Created: ${test.created.map(created => `<code>${escapeHtml(created)}</code>`).join(', ')}</p>` : ''}
+${annotations ? `<ul class="annotations">${annotations}</ul>` : ''}
+<ol class="calls">${shown.map(renderCall).join('')}</ol>
+${more > 0 ? `<p>… ${more} more call(s) in the test's api-log.har attachment</p>` : ''}
+</details>`;
+}
+
+// Self-contained page: totals, trends, one row per endpoint and every test's request/response pairs
+export function renderHtml(report, history = [], { title = 'API Test Report' } = {}) {
+  const { totals } = report;
+  const runs = comparableRuns(report, history).slice(-HISTORY_SIZE);
+  const endpointRows = report.endpoints.map(endpoint => {
+    const statuses = Object.entries(endpoint.statuses)
+      .map(([status, count]) => `<span class="status ${statusClass(status)}">${status}×${count}</span>`).join(' ');
+    const failed = endpoint.failedTests.length > 0 ? ` <span class="badge failed">${endpoint.failedTests.length} failed</span>` : '';
+    const undeclared = endpoint.declared ? '' : ' <em>(not in inventory)</em>';
+    return `<tr><th class="path">${escapeHtml(endpoint.key)}${undeclared}${failed}</th><td>${endpoint.calls}</td><td>${endpoint.tests}</td>` +
+      `<td>${statuses}</td><td>${endpoint.p50}ms</td><td>${endpoint.p95}ms</td><td>${endpoint.max}ms</td></tr>`;
+  }).join('\n');
+  const trendRows = [...runs].reverse().map(run =>
+    `<tr><td>${escapeHtml(run.runAt)}</td><td>${run.tests}</td><td>${run.failed}</td><td>${percent(run.passRate)}</td><td>${run.requests}</td><td>${run.p95}ms</td></tr>`
+  ).join('\n');
+  const order = ['failed', 'timedOut', 'interrupted', 'passed', 'skipped'];
+  const tests = [...report.tests].sort((a, b) => order.indexOf(a.status) - order.indexOf(b.status));
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }
+  table { border-collapse: collapse; margin-bottom: 1rem; }
+  th, td { border: 1px solid #ccc; padding: 0.4rem 0.6rem; text-align: right; font-size: 0.9rem; }
+  th.path { text-align: left; font-family: monospace; }
+  pre { background: #f6f6f6; padding: 0.5rem; max-height: 20rem; overflow: auto; white-space: pre-wrap; }
+  details.test { border: 1px solid #ddd; border-radius: 4px; margin: 0.3rem 0; padding: 0.3rem 0.6rem; }
+  details.test.failed, details.test.timedOut { border-color: #e0a0a0; }
+  .spark { font-size: 1.4rem; letter-spacing: 1px; }
+  .badge { display: inline-block; padding: 0 0.4rem; border-radius: 3px; font-size: 0.8rem; background: #eee; }
+  .badge.passed { background: #c8ecc8; } .badge.failed, .badge.timedOut, .badge.interrupted { background: #ffc9c9; } .badge.skipped { background: #e6e6e6; }
+  .status { display: inline-block; padding: 0 0.3rem; border-radius: 3px; font-family: monospace; }
+  .s2xx { background: #c8ecc8; } .s3xx { background: #d6e4ff; } .s4xx { background: #ffe2b8; } .s5xx { background: #ffc9c9; } .s0xx { background: #ffc9c9; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p>${[`<strong>${escapeHtml(report.environment ?? 'default')}</strong>`, report.baseURL && escapeHtml(report.baseURL), escapeHtml(report.generatedAt)].filter(Boolean).join(' · ')}</p>
+<p><strong>${totals.passed}/${totals.tests - totals.skipped}</strong> passed (${percent(totals.passRate)}), ${totals.failed} failed, ${totals.flaky} flaky, ${totals.skipped} skipped · ${totals.requests} request(s), p50 ${totals.p50}ms, p95 ${totals.p95}ms</p>
+${runs.length > 1 ? `<h2>Trends</h2>
+<p>Pass rate <span class="spark">${sparkline(runs.map(run => run.passRate))}</span> · p95 <span class="spark">${sparkline(runs.map(run => run.p95))}</span></p>
+<table>
+<tr><th>Run</th><th>Tests</th><th>Failed</th><th>Pass rate</th><th>Requests</th><th>p95</th></tr>
+${trendRows}
+</table>` : ''}
+<h2>Endpoints</h2>
+<table>
+<tr><th>Endpoint</th><th>Calls</th><th>Tests</th><th>Statuses</th><th>p50</th><th>p95</th><th>max</th></tr>
+${endpointRows}
+</table>
+<h2>Tests</h2>
+${tests.map(renderTest).join('\n')}
+</body>
+</html>
+`;
+}
@@ -0,0 +1,112 @@
+// utils/api-reporter.js - Playwright reporter grouping requests by endpoint, with per-test request/response detail and run history
+import fs from 'node:fs';
+import path from 'node:path';
+import { loadInventory, INVENTORY_FILE, API_CALLS_ATTACHMENT } from './endpoint-coverage.js';
+import {
+  harToCalls,
+  attachmentToCalls,
+  buildApiReport,
+  runScope,
+  toHistoryEntry,
+  appendHistory,
+  renderMarkdown,
+  renderHtml,
+  API_LOG_ATTACHMENT,
+  HISTORY_SIZE
+} from './api-report.js';
+
+/*
+ * Reads the api-log.har attachment of every test (or the `api-calls` list when the HAR is off)
+ * and writes to outputDir:
+ *   index.html    - endpoints, trends and every test's request/response pairs
+ *   summary.md    - for CI job summaries; also appended to $GITHUB_STEP_SUMMARY when set
+ *   report.json   - the full report
+ *   history.json  - the last `historySize` runs; keep it between CI runs (cache) for the trends.
+ *                   Trends only compare runs with the same environment, projects and test count.
+ *   reporter: [['./utils/api-reporter.js', { outputDir: 'api-report', historySize: 20 }]]
+ */
+export default class ApiReporter {
+  constructor({ outputDir = 'api-report', inventory = INVENTORY_FILE, historySize = HISTORY_SIZE, quiet = false } = {}) {
+    this.outputDir = outputDir;
+    this.inventory = inventory;
+    this.historySize = historySize;
+    this.quiet = quiet;
+    this.results = new Map();
+  }
+
+  onBegin(config, suite) {
+    this.environment = config.metadata?.environment;
+    this.baseURL = config.projects[0]?.use?.baseURL;
+    // Taken from the selected tests, not the finished ones, so a run stopped by maxFailures keeps its scope
+    this.scope = runScope(suite.allTests().map(test => ({ project: test.parent.project()?.name })));
+  }
+
+  // Called once per attempt; the last attempt of each test is the one reported
+  onTestEnd(test, result) {
+    const har = result.attachments.find(attachment => attachment.name === API_LOG_ATTACHMENT);
+    const listed = result.attachments.find(attachment => attachment.name === API_CALLS_ATTACHMENT && attachment.body);
+    let calls = [];
+    if (har?.path && fs.existsSync(har.path)) {
+      calls = harToCalls(JSON.parse(fs.readFileSync(har.path, 'utf8')));
+    } else if (har?.body) {
+      calls = harToCalls(JSON.parse(har.body.toString('utf8')));
+    } else if (listed) {
+      calls = attachmentToCalls(JSON.parse(listed.body.toString('utf8')));
+    }
+
+    this.results.set(test.id, { test, result, calls });
+  }
+
+  onEnd() {
+    const tests = [...this.results.values()].map(({ test, result, calls }) => ({
+      title: test.titlePath().slice(3).join(' › '),
+      file: path.relative(process.cwd(), test.location.file),
+      project: test.parent.project()?.name,
+      status: result.status,
+      flaky: test.outcome() === 'flaky',
+      duration: result.duration,
+      retry: result.retry,
+      annotations: (result.annotations ?? test.annotations).map(({ type, description }) => ({ type, description })),
+      calls
+    }));
+
+    const report = buildApiReport(tests, loadInventory(this.inventory), { environment: this.environment, baseURL: this.baseURL, scope: this.scope });
+    const historyFile = path.join(this.outputDir, 'history.json');
+    const history = appendHistory(this.readHistory(historyFile), toHistoryEntry(report), this.historySize);
+    const markdown = renderMarkdown(report, history);
+
+    fs.mkdirSync(this.outputDir, { recursive: true });
+    const htmlFile = path.join(this.outputDir, 'index.html');
+    fs.writeFileSync(htmlFile, renderHtml(report, history));
+    fs.writeFileSync(path.join(this.outputDir, 'summary.md'), markdown);
+    fs.writeFileSync(path.join(this.outputDir, 'report.json'), JSON.stringify(report, null, 2));
+    fs.writeFileSync(historyFile, JSON.stringify(history, null, 2));
+
+    if (process.env.GITHUB_STEP_SUMMARY) {
+      fs.appendFileSync(process.env.GITHUB_STEP_SUMMARY, markdown);
+    }
+    if (this.quiet) return;
+
+    const { totals } = report;
+    console.log(`🌐 API report: ${report.endpoints.length} endpoints, ${totals.requests} requests (p50 ${totals.p50}ms, p95 ${totals.p95}ms), ` +
+      `${Math.round(totals.passRate * 100)}% passed`);
+    console.log(`   Report: ${path.relative(process.cwd(), htmlFile)}`);
+  }
+
+  // A truncated or hand-edited history.json must not cost the run its report
+  readHistory(historyFile) {
+    if (!fs.existsSync(historyFile)) return [];
+    try {
+      const history = JSON.parse(fs.readFileSync(historyFile, 'utf8'));
+      if (Array.isArray(history)) return history;
+    } catch {
+      // falls through to a fresh history
+    }
+    console.warn(`⚠️ ${path.relative(process.cwd(), historyFile)} is not a run history; starting a new one`);
+    return [];
+  }
+
+  printsToStdio() {
+    return false;
+  }
+}
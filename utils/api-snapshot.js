@@ -0,0 +1,127 @@
+// utils/api-snapshot.js - Normalized JSON response snapshots with structural diffs
+import fs from 'node:fs';
+import path from 'node:path';
+import { parsePath, matchesPath, formatPath } from './json-path.js';
+
+export const IGNORED = '<ignored>';
+
+// Built-in normalizers: a matching value collapses to a placeholder, anything else
+// is kept as-is so a type change still shows up in the diff
+const NORMALIZERS = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number',
+  boolean: value => typeof value === 'boolean',
+  email: value => typeof value === 'string' && /^[^@\s]+@[^@\s]+$/.test(value),
+  url: value => typeof value === 'string' && /^https?:\/\//.test(value),
+  uuid: value => typeof value === 'string' && /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value),
+  timestamp: value => (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(value))
+    || (typeof value === 'number' && value > 1e12)
+};
+
+function compileRules({ ignore = [], normalize = {} } = {}) {
+  for (const kind of Object.values(normalize)) {
+    if (typeof kind !== 'function' && !NORMALIZERS[kind]) {
+      throw new Error(`Unknown snapshot normalizer "${kind}". Use: ${Object.keys(NORMALIZERS).join(', ')} or a function`);
+    }
+  }
+
+  return {
+    ignore: ignore.map(pattern => parsePath(pattern)),
+    normalize: Object.entries(normalize).map(([pattern, kind]) => ({ pattern: parsePath(pattern), kind }))
+  };
+}
+
+function normalizeValue(value, kind) {
+  if (typeof kind === 'function') return kind(value);
+  return NORMALIZERS[kind](value) ? `<${kind}>` : value;
+}
+
+// Apply ignore/normalize rules and sort object keys so snapshots diff cleanly
+export function normalizeSnapshot(data, options = {}) {
+  const rules = compileRules(options);
+
+  const walk = (value, tokens) => {
+    if (rules.ignore.some(pattern => matchesPath(pattern, tokens))) return IGNORED;
+
+    const rule = rules.normalize.find(({ pattern }) => matchesPath(pattern, tokens));
+    if (rule) return normalizeValue(value, rule.kind);
+
+    if (Array.isArray(value)) return value.map((item, index) => walk(item, [...tokens, index]));
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(
+        Object.keys(value).sort().map(key => [key, walk(value[key], [...tokens, key])])
+      );
+    }
+    return value;
+  };
+
+  return walk(data, []);
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  return Array.isArray(value) ? 'array' : typeof value;
+}
+
+function preview(value) {
+  const text = JSON.stringify(value);
+  return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+}
+
+// Field-level differences: "+" only in actual, "-" only in the snapshot, "~" changed
+export function diffSnapshot(expected, actual, tokens = [], changes = []) {
+  const where = formatPath(tokens);
+
+  if (typeOf(expected) !== typeOf(actual)) {
+    changes.push({ kind: '~', path: where, expected, actual,
+      line: `~ ${where}: ${preview(expected)} (${typeOf(expected)}) → ${preview(actual)} (${typeOf(actual)})` });
+  } else if (Array.isArray(expected)) {
+    for (let index = 0; index < Math.max(expected.length, actual.length); index++) {
+      const next = [...tokens, index];
+      if (index >= actual.length) {
+        changes.push({ kind: '-', path: formatPath(next), expected: expected[index], line: `- ${formatPath(next)}: ${preview(expected[index])}` });
+      } else if (index >= expected.length) {
+        changes.push({ kind: '+', path: formatPath(next), actual: actual[index], line: `+ ${formatPath(next)}: ${preview(actual[index])}` });
+      } else {
+        diffSnapshot(expected[index], actual[index], next, changes);
+      }
+    }
+  } else if (expected && typeof expected === 'object') {
+    const keys = [...new Set([...Object.keys(expected), ...Object.keys(actual)])].sort();
+    for (const key of keys) {
+      const next = [...tokens, key];
+      if (!(key in actual)) {
+        changes.push({ kind: '-', path: formatPath(next), expected: expected[key], line: `- ${formatPath(next)}: ${preview(expected[key])}` });
+      } else if (!(key in expected)) {
+        changes.push({ kind: '+', path: formatPath(next), actual: actual[key], line: `+ ${formatPath(next)}: ${preview(actual[key])}` });
+      } else {
+        diffSnapshot(expected[key], actual[key], next, changes);
+      }
+    }
+  } else if (expected !== actual) {
+    changes.push({ kind: '~', path: where, expected, actual, line: `~ ${where}: ${preview(expected)} → ${preview(actual)}` });
+  }
+
+  return changes;
+}
+
+// Seeded data differs between APIs, so every target gets its own snapshot file
+export function snapshotTarget(baseURL) {
+  if (!baseURL) return 'default';
+  return new URL(baseURL).host.replace(/[^a-zA-Z0-9.]+/g, '-');
+}
+
+// Snapshots sit next to Playwright's own: tests/api/users.spec.js-snapshots/user-1@localhost-3100.json
+export function snapshotFile(testInfo, name, baseURL) {
+  const slug = name.replace(/[^a-zA-Z0-9._-]+/g, '-').replace(/^-|-$/g, '');
+  return path.join(`${testInfo.file}-snapshots`, `${slug}@${snapshotTarget(baseURL)}.json`);
+}
+
+export function readSnapshot(file) {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : undefined;
+}
+
+export function writeSnapshot(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify(data, null, 2)}\n`);
+}
@@ -0,0 +1,184 @@
+// utils/auth.js - Pluggable auth strategies (bearer, API key, basic, OAuth2 client credentials)
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { interceptRequests } from './request-hooks.js';
+
+export const AUTH_DIR = process.env.AUTH_STORAGE_DIR
+  || fileURLToPath(new URL('../.auth', import.meta.url));
+
+export const AUTH_STRATEGIES = ['bearer', 'apiKey', 'basic', 'oauth2'];
+
+// Tokens are renewed this long before they expire (capped at a tenth of their lifetime)
+const REFRESH_MARGIN_MS = 30_000;
+
+export class AuthError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'AuthError';
+    Object.assign(this, details);
+  }
+}
+
+// One token cache per environment, written by global setup and shared by every worker
+export function authStorageFile(environmentName, dir = AUTH_DIR) {
+  const slug = environmentName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return path.join(dir, `${slug}.json`);
+}
+
+export class AuthSession {
+  constructor(config, { baseURL, storageFile } = {}) {
+    if (!AUTH_STRATEGIES.includes(config?.type)) {
+      throw new AuthError(`Unknown auth type "${config?.type}". Use: ${AUTH_STRATEGIES.join(', ')}`);
+    }
+    this.config = config;
+    this.baseURL = baseURL;
+    this.storageFile = storageFile;
+    this.cached = undefined;
+    this.pending = null;
+  }
+
+  // Only OAuth2 tokens can be renewed; static credentials either work or they don't
+  get refreshable() {
+    return this.config.type === 'oauth2';
+  }
+
+  // Headers to add to every request; empty when the credential is not configured
+  async headers() {
+    const { type } = this.config;
+
+    if (type === 'bearer') {
+      return this.config.token ? { Authorization: `Bearer ${this.config.token}` } : {};
+    }
+    if (type === 'apiKey') {
+      return this.config.key ? { [this.config.header ?? 'X-API-Key']: this.config.key } : {};
+    }
+    if (type === 'basic') {
+      if (!this.config.username) return {};
+      const encoded = Buffer.from(`${this.config.username}:${this.config.password ?? ''}`).toString('base64');
+      return { Authorization: `Basic ${encoded}` };
+    }
+
+    const token = await this.token();
+    return { Authorization: `${token.tokenType} ${token.accessToken}` };
+  }
+
+  // Cached token, renewed when missing or about to expire
+  async token() {
+    if (this.cached === undefined) this.cached = this.load();
+
+    if (!this.cached || this.isExpiring(this.cached)) {
+      await this.refresh();
+    }
+    return this.cached;
+  }
+
+  isExpiring(token) {
+    const margin = Math.min(REFRESH_MARGIN_MS, (token.expiresAt - token.issuedAt) / 10);
+    return Date.now() >= token.expiresAt - margin;
+  }
+
+  // Used by global setup: always fetch a fresh token instead of trusting an old cache
+  async login() {
+    if (this.refreshable) await this.refresh();
+    return this.headers();
+  }
+
+  // Concurrent callers share one token request
+  async refresh() {
+    if (!this.refreshable) return null;
+
+    this.pending ??= this.requestToken().finally(() => {
+      this.pending = null;
+    });
+    this.cached = await this.pending;
+    this.save(this.cached);
+    return this.cached;
+  }
+
+  async requestToken() {
+    const { tokenUrl, clientId, clientSecret, scope } = this.config;
+    const url = new URL(tokenUrl, this.baseURL).href;
+    const form = new URLSearchParams({ grant_type: 'client_credentials', client_id: clientId, client_secret: clientSecret });
+    if (scope) form.set('scope', scope);
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+      body: form
+    });
+    const body = await response.json().catch(() => ({}));
+
+    if (!response.ok || !body.access_token) {
+      throw new AuthError(`Token request to ${url} failed with ${response.status}: ${body.error ?? 'no access_token'}`, {
+        status: response.status,
+        body
+      });
+    }
+
+    const issuedAt = Date.now();
+    return {
+      accessToken: body.access_token,
+      tokenType: body.token_type ?? 'Bearer',
+      scope: body.scope ?? scope,
+      issuedAt,
+      expiresAt: issuedAt + (body.expires_in ?? 3600) * 1000
+    };
+  }
+
+  // Tokens cached for another client or API are ignored
+  load() {
+    if (!this.storageFile || !fs.existsSync(this.storageFile)) return null;
+
+    const stored = JSON.parse(fs.readFileSync(this.storageFile, 'utf8'));
+    return stored.clientId === this.config.clientId && stored.baseURL === this.baseURL ? stored.token : null;
+  }
+
+  // Write-then-rename so a worker never reads a half-written cache
+  save(token) {
+    if (!this.storageFile) return;
+
+    fs.mkdirSync(path.dirname(this.storageFile), { recursive: true });
+    const temporary = `${this.storageFile}.${process.pid}.tmp`;
+    fs.writeFileSync(temporary, JSON.stringify({ clientId: this.config.clientId, baseURL: this.baseURL, token }, null, 2));
+    fs.renameSync(temporary, this.storageFile);
+  }
+}
+
+// Sessions are reused within a worker so the token cache is read once
+const sessions = new Map();
+
+export function getAuthSession(environment, baseURL) {
+  if (!environment.auth) return null;
+
+  const storageFile = authStorageFile(environment.name);
+  const key = `${storageFile}|${baseURL}`;
+  if (!sessions.has(key)) {
+    sessions.set(key, new AuthSession(environment.auth, { baseURL, storageFile }));
+  }
+  return sessions.get(key);
+}
+
+function hasAuthHeader(headers = {}) {
+  return Object.keys(headers).some(header => ['authorization', 'x-api-key'].includes(header.toLowerCase()));
+}
+
+// Wrap an APIRequestContext so every call carries the session's credentials;
+// a 401 triggers one token refresh and retry unless the caller set its own credentials
+export function authenticate(request, session) {
+  if (!session) return request;
+
+  return interceptRequests(request, async ({ options, send }) => {
+    const sendAuthenticated = async () => send({
+      ...options,
+      headers: { ...await session.headers(), ...options.headers }
+    });
+
+    const response = await sendAuthenticated();
+    if (response.status() === 401 && session.refreshable && !hasAuthHeader(options.headers)) {
+      await session.refresh();
+      return sendAuthenticated();
+    }
+    return response;
+  });
+}
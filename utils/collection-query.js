@@ -0,0 +1,173 @@
+// utils/collection-query.js - Page walking, sorting, filtering and slicing checks for collection endpoints
+import { getPath } from './json-path.js';
+
+export class PaginationError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'PaginationError';
+    Object.assign(this, details);
+  }
+}
+
+// '<…?_page=2>; rel="next", <…?_page=5>; rel="last"' → { next: '…?_page=2', last: '…?_page=5' }
+export function parseLinkHeader(header) {
+  if (!header) return {};
+
+  return Object.fromEntries(
+    [...header.matchAll(/<([^>]*)>\s*;\s*rel="?([^",]+)"?/g)].map(([, url, rel]) => [rel, url])
+  );
+}
+
+/*
+ * Request ?_page=1, 2, … until a page comes back short. `source` is a ResourceApi (api.posts)
+ * or a function of the query params (params => api.users.todos(1, params)).
+ * `params` (filters, _sort/_order) are sent with every page. Each page keeps its
+ * X-Total-Count and Link header so the walk can be checked with checkPages().
+ */
+export async function fetchAllPages(source, { limit = 10, params = {}, maxPages = 1000 } = {}) {
+  const list = typeof source === 'function' ? source : query => source.list(query);
+  const pages = [];
+
+  for (let page = 1; ; page++) {
+    if (page > maxPages) {
+      throw new PaginationError(`Still receiving full pages of ${limit} after ${maxPages} pages`, { pages });
+    }
+
+    const result = await list({ ...params, _page: page, _limit: limit });
+    if (!result.ok || !Array.isArray(result.body)) {
+      throw new PaginationError(`GET ${result.url} answered ${result.status} instead of a page of records`, { pages, result });
+    }
+
+    const totalCount = result.headers['x-total-count'];
+    pages.push({
+      page,
+      items: result.body,
+      totalCount: totalCount === undefined ? undefined : Number(totalCount),
+      links: parseLinkHeader(result.headers.link)
+    });
+    if (result.body.length < limit) break;
+  }
+
+  return { limit, pages, items: pages.flatMap(page => page.items) };
+}
+
+// Ids that appear more than once, with how often
+export function findDuplicates(items, key = 'id') {
+  const counts = new Map();
+  for (const item of items) {
+    const id = getPath(item, key);
+    counts.set(id, (counts.get(id) ?? 0) + 1);
+  }
+  return [...counts].filter(([, count]) => count > 1).map(([id, count]) => ({ id, count }));
+}
+
+/*
+ * Compare a page walk with the collection it should add up to. Returns a list of
+ * { check, message } problems (empty when consistent):
+ *   duplicate   - a record is served on more than one page
+ *   missing     - a record never shows up on any page (a gap)
+ *   unexpected  - a page serves a record the collection does not have
+ *   order       - pages concatenated are not in the collection's order
+ *   page-size   - a page other than the last is short or oversized
+ *   total-count - X-Total-Count disagrees with the collection size
+ *   links       - a Link header has no "next" on a page that is not the last, or vice versa
+ */
+export function checkPages({ limit, pages, items }, expected, { key = 'id' } = {}) {
+  const problems = [];
+  const ids = items.map(item => getPath(item, key));
+  const expectedIds = expected.map(item => getPath(item, key));
+  const served = new Set(ids);
+  const known = new Set(expectedIds);
+
+  for (const { id, count } of findDuplicates(items, key)) {
+    const on = pages.filter(page => page.items.some(item => getPath(item, key) === id)).map(page => page.page);
+    problems.push({ check: 'duplicate', message: `${key} ${id} served ${count} times (pages ${on.join(', ')})` });
+  }
+
+  const missing = expectedIds.filter(id => !served.has(id));
+  if (missing.length > 0) {
+    problems.push({ check: 'missing', message: `${missing.length} record(s) on no page: ${key} ${missing.slice(0, 10).join(', ')}` });
+  }
+
+  const unexpected = ids.filter(id => !known.has(id));
+  if (unexpected.length > 0) {
+    problems.push({ check: 'unexpected', message: `${unexpected.length} record(s) not in the collection: ${key} ${unexpected.slice(0, 10).join(', ')}` });
+  }
+
+  const firstOutOfOrder = ids.findIndex((id, index) => id !== expectedIds[index]);
+  if (problems.length === 0 && firstOutOfOrder !== -1) {
+    problems.push({ check: 'order', message: `record ${firstOutOfOrder} is ${key} ${ids[firstOutOfOrder]}, expected ${expectedIds[firstOutOfOrder]}` });
+  }
+
+  for (const [index, page] of pages.entries()) {
+    const last = index === pages.length - 1;
+    if (!last && page.items.length !== limit) {
+      problems.push({ check: 'page-size', message: `page ${page.page} has ${page.items.length} records, expected ${limit}` });
+    }
+    if (page.items.length > limit) {
+      problems.push({ check: 'page-size', message: `page ${page.page} has ${page.items.length} records, more than the limit of ${limit}` });
+    }
+    if (page.totalCount !== undefined && page.totalCount !== expected.length) {
+      problems.push({ check: 'total-count', message: `page ${page.page} reports X-Total-Count ${page.totalCount}, collection has ${expected.length}` });
+    }
+    if (Object.keys(page.links).length > 0 && Boolean(page.links.next) === last) {
+      problems.push({ check: 'links', message: `page ${page.page} ${last ? 'links a next page after the last one' : 'has no next link'}` });
+    }
+  }
+
+  return problems;
+}
+
+// Accepts the query form ('userId,title' / 'desc,asc') or arrays
+function sortSpec({ sort, order = [] }) {
+  const fields = Array.isArray(sort) ? sort : String(sort).split(',');
+  const orders = Array.isArray(order) ? order : String(order).split(',');
+  return fields.map((field, index) => ({ field, descending: orders[index]?.toLowerCase() === 'desc' }));
+}
+
+// Comparator for _sort/_order; missing values sort last in either direction
+export function compareBy(spec) {
+  const keys = sortSpec(spec);
+
+  return (a, b) => {
+    for (const { field, descending } of keys) {
+      const left = getPath(a, field);
+      const right = getPath(b, field);
+      if (left === right) continue;
+      if (left === undefined || left === null) return 1;
+      if (right === undefined || right === null) return -1;
+      if (left < right) return descending ? 1 : -1;
+      if (left > right) return descending ? -1 : 1;
+    }
+    return 0;
+  };
+}
+
+// Client-side expectation for ?_sort=…&_order=… (stable, like the server's)
+export function sortRecords(items, spec) {
+  return [...items].sort(compareBy(spec));
+}
+
+// Adjacent pairs that break the requested order: [{ index, previous, current }]
+export function findOrderViolations(items, spec) {
+  const compare = compareBy(spec);
+  const violations = [];
+  for (let index = 1; index < items.length; index++) {
+    if (compare(items[index - 1], items[index]) > 0) {
+      violations.push({ index, previous: items[index - 1], current: items[index] });
+    }
+  }
+  return violations;
+}
+
+// Client-side expectation for field filters: { userId: 1 } or { userId: [1, 2] }, compared as strings like a query
+export function filterRecords(items, filters) {
+  return items.filter(item => Object.entries(filters).every(([field, wanted]) =>
+    [wanted].flat().map(String).includes(String(getPath(item, field)))
+  ));
+}
+
+// Client-side expectation for ?_start=&_end= or ?_start=&_limit=
+export function sliceRecords(items, { start = 0, end, limit }) {
+  return items.slice(start, end ?? (limit === undefined ? undefined : start + limit));
+}
@@ -0,0 +1,58 @@
+// utils/coverage-reporter.js - Playwright reporter writing the endpoint coverage matrix (JSON + HTML)
+import fs from 'node:fs';
+import path from 'node:path';
+import {
+  loadInventory,
+  buildCoverageMatrix,
+  renderCoverageHtml,
+  INVENTORY_FILE,
+  API_CALLS_ATTACHMENT
+} from './endpoint-coverage.js';
+
+/*
+ * Collects the `api-calls` attachment the request fixture adds to every test and
+ * compares the calls with endpoint-inventory.json:
+ *   reporter: [['./utils/coverage-reporter.js', { outputDir: 'coverage', inventory: 'endpoint-inventory.json' }]]
+ * `quiet: true` writes the files without the console summary.
+ */
+export default class EndpointCoverageReporter {
+  constructor({ outputDir = 'coverage', inventory = INVENTORY_FILE, quiet = false } = {}) {
+    this.outputDir = outputDir;
+    this.inventory = inventory;
+    this.quiet = quiet;
+    this.calls = [];
+  }
+
+  onTestEnd(test, result) {
+    for (const attachment of result.attachments) {
+      if (attachment.name === API_CALLS_ATTACHMENT && attachment.body) {
+        this.calls.push(...JSON.parse(attachment.body.toString('utf8')));
+      }
+    }
+  }
+
+  onEnd() {
+    const matrix = buildCoverageMatrix(loadInventory(this.inventory), this.calls);
+
+    fs.mkdirSync(this.outputDir, { recursive: true });
+    const jsonFile = path.join(this.outputDir, 'api-coverage.json');
+    const htmlFile = path.join(this.outputDir, 'api-coverage.html');
+    fs.writeFileSync(jsonFile, JSON.stringify({ generatedAt: new Date().toISOString(), ...matrix }, null, 2));
+    fs.writeFileSync(htmlFile, renderCoverageHtml(matrix));
+    if (this.quiet) return;
+
+    const { totals } = matrix;
+    console.log(`📊 Endpoint coverage: ${totals.tested}/${totals.declared} declared endpoint methods tested (${totals.calls} requests)`);
+    if (matrix.untested.length > 0) {
+      console.log(`   Untested: ${matrix.untested.join(', ')}`);
+    }
+    if (matrix.undeclared.length > 0) {
+      console.warn(`⚠️ Called but not in the inventory: ${matrix.undeclared.join(', ')}`);
+    }
+    console.log(`   Matrix: ${path.relative(process.cwd(), htmlFile)}`);
+  }
+
+  printsToStdio() {
+    return false;
+  }
+}
@@ -1,29 +1,123 @@
 // utils/data-generator.js
-import { faker } from '@faker-js/faker';
+import { Faker, allLocales, base, en } from '@faker-js/faker';
 
 class DataGenerator {
+  static DEFAULT_LOCALE = 'en';
+
+  // Locales used for internationalized edge cases when none are named
+  static I18N_LOCALES = ['de', 'ja', 'ar', 'zh_CN', 'ru', 'he'];
+
+  static locale = this.DEFAULT_LOCALE;
+
+  // Dedicated faker instance so seeding never leaks into other faker users
+  static faker = this.createFaker(this.DEFAULT_LOCALE);
+
+  // One faker per locale, so switching back and forth keeps each sequence intact
+  static fakers = { [this.locale]: this.faker };
+
+  static currentSeed = null;
+
+  static _baseSeed;
+
+  // Missing locale entries fall back to English, then to faker's locale-independent base data
+  static createFaker(locale) {
+    const definitions = allLocales[locale];
+    if (!definitions) {
+      throw new Error(`Unsupported faker locale "${locale}". Use one of: ${Object.keys(allLocales).join(', ')}`);
+    }
+    return new Faker({ locale: [definitions, en, base] });
+  }
+
+  // Seed every following generate* call; returns the seed in use
+  static seed(seed) {
+    this.currentSeed = seed;
+    this.fakers = { [this.locale]: this.faker };
+    this.faker.seed(seed);
+    return seed;
+  }
+
+  // Switch the locale used by every generate* call, e.g. 'de', 'ja', 'ar'
+  static setLocale(locale) {
+    if (!this.fakers[locale]) {
+      const faker = this.createFaker(locale);
+      if (this.currentSeed !== null) {
+        faker.seed(this.deriveSeed(this.currentSeed, locale));
+      }
+      this.fakers[locale] = faker;
+    }
+
+    this.locale = locale;
+    this.faker = this.fakers[locale];
+    return locale;
+  }
+
+  // Run a generator once per locale and restore the previous locale afterwards
+  static forLocales(locales, generate) {
+    const previousLocale = this.locale;
+    try {
+      return locales.map(locale => {
+        this.setLocale(locale);
+        return generate(locale);
+      });
+    } finally {
+      this.setLocale(previousLocale);
+    }
+  }
+
+  // Base seed for the run: DATA_SEED when set, otherwise random once per process
+  static baseSeed() {
+    if (this._baseSeed === undefined) {
+      const fromEnv = process.env.DATA_SEED;
+      if (fromEnv !== undefined && !/^\d+$/.test(fromEnv)) {
+        throw new Error(`DATA_SEED must be a non-negative integer, got "${fromEnv}"`);
+      }
+      this._baseSeed = fromEnv !== undefined
+        ? Number(fromEnv)
+        : Math.floor(Math.random() * 2 ** 32);
+    }
+    return this._baseSeed;
+  }
+
+  // Stable 32-bit sub-seed per test title (FNV-1a), independent of run order and worker
+  static deriveSeed(baseSeed, title) {
+    let hash = 0x811c9dc5;
+    for (const char of `${baseSeed}:${title}`) {
+      hash ^= char.codePointAt(0);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  // Seeded replacement for picking a random element with Math.random
+  static pick(items) {
+    return this.faker.helpers.arrayElement(items);
+  }
+
   // Generate user data
   static generateUser() {
+    const firstName = this.faker.person.firstName();
+    const lastName = this.faker.person.lastName();
+
     return {
-      name: faker.name.fullName(),
-      username: faker.internet.userName(),
-      email: faker.internet.email(),
-      phone: faker.phone.number(),
-      website: faker.internet.url(),
+      name: this.faker.person.fullName({ firstName, lastName }),
+      username: this.faker.internet.username({ firstName, lastName }),
+      email: this.faker.internet.email({ firstName, lastName }),
+      phone: this.faker.phone.number(),
+      website: this.faker.internet.url(),
       address: {
-        street: faker.address.streetAddress(),
-        suite: faker.address.secondaryAddress(),
-        city: faker.address.city(),
-        zipcode: faker.address.zipCode(),
+        street: this.faker.location.streetAddress(),
+        suite: this.faker.location.secondaryAddress(),
+        city: this.faker.location.city(),
+        zipcode: this.faker.location.zipCode(),
         geo: {
-          lat: faker.address.latitude(),
-          lng: faker.address.longitude()
+          lat: String(this.faker.location.latitude()),
+          lng: String(this.faker.location.longitude())
         }
       },
       company: {
-        name: faker.company.name(),
-        catchPhrase: faker.company.catchPhrase(),
-        bs: faker.company.bs()
+        name: this.faker.company.name(),
+        catchPhrase: this.faker.company.catchPhrase(),
+        bs: this.faker.company.buzzPhrase()
       }
     };
   }
@@ -31,50 +125,51 @@ class DataGenerator {
   // Generate post data
   static generatePost(userId = null) {
     return {
-      title: faker.lorem.sentence(3, 7),
-      body: faker.lorem.paragraphs(2, '\n\n'),
-      userId: userId || faker.number.int({ min: 1, max: 10 })
+      title: this.faker.lorem.sentence({ min: 3, max: 7 }),
+      body: this.faker.lorem.paragraphs(2, '\n\n'),
+      userId: userId || this.faker.number.int({ min: 1, max: 10 })
     };
   }
 
   // Generate comment data
   static generateComment(postId = null) {
     return {
-      name: faker.lorem.sentence(2, 4),
-      email: faker.internet.email(),
-      body: faker.lorem.paragraph(),
-      postId: postId || faker.number.int({ min: 1, max: 100 })
+      name: this.faker.lorem.sentence({ min: 2, max: 4 }),
+      email: this.faker.internet.email(),
+      body: this.faker.lorem.paragraph(),
+      postId: postId || this.faker.number.int({ min: 1, max: 100 })
     };
   }
 
   // Generate todo data
   static generateTodo(userId = null) {
     return {
-      title: faker.lorem.sentence(3, 6),
-      completed: faker.datatype.boolean(),
-      userId: userId || faker.number.int({ min: 1, max: 10 })
+      title: this.faker.lorem.sentence({ min: 3, max: 6 }),
+      completed: this.faker.datatype.boolean(),
+      userId: userId || this.faker.number.int({ min: 1, max: 10 })
     };
   }
 
-  // Generate test scenarios for Claude
+  // Generate test scenarios for Claude and the scenario runner (utils/scenario-runner.js)
   static generateTestScenarios(apiEndpoint) {
     const scenarios = {
       '/posts': [
-        { method: 'GET', description: 'Fetch all posts' },
-        { method: 'GET', path: '/1', description: 'Fetch specific post' },
-        { method: 'POST', data: this.generatePost(), description: 'Create new post' },
-        { method: 'PUT', path: '/1', data: this.generatePost(1), description: 'Update post' },
-        { method: 'DELETE', path: '/1', description: 'Delete post' }
+        { method: 'GET', description: 'Fetch all posts', expect: { status: 200, fields: { length: { gt: 0 } } } },
+        { method: 'GET', path: '/1', description: 'Fetch specific post', expect: { status: 200, schema: 'post', fields: { id: 1 } } },
+        { method: 'POST', data: this.generatePost(), description: 'Create new post', expect: { status: 201, schema: 'post', echo: true } },
+        // Writes go to a post created for the scenario on the stateful mock, so seeded posts stay untouched
+        { method: 'PUT', path: '/{{id}}', create: true, seededId: 1, data: this.generatePost(1), description: 'Update post', expect: { status: 200, schema: 'post', echo: true, fields: { id: '{{id}}' } } },
+        { method: 'DELETE', path: '/{{id}}', create: true, seededId: 100, description: 'Delete post', expect: { status: 200 } }
       ],
       '/users': [
-        { method: 'GET', description: 'Fetch all users' },
-        { method: 'GET', path: '/1', description: 'Fetch specific user' },
-        { method: 'POST', data: this.generateUser(), description: 'Create new user' }
+        { method: 'GET', description: 'Fetch all users', expect: { status: 200, schema: 'user', fields: { length: { gt: 0 } } } },
+        { method: 'GET', path: '/1', description: 'Fetch specific user', expect: { status: 200, schema: 'user', fields: { id: 1 } } },
+        { method: 'POST', data: this.generateUser(), description: 'Create new user', expect: { status: 201, schema: 'user', echo: true } }
       ],
       '/comments': [
-        { method: 'GET', description: 'Fetch all comments' },
-        { method: 'GET', path: '/1', description: 'Fetch specific comment' },
-        { method: 'POST', data: this.generateComment(), description: 'Create new comment' }
+        { method: 'GET', description: 'Fetch all comments', expect: { status: 200, fields: { length: { gt: 0 } } } },
+        { method: 'GET', path: '/1', description: 'Fetch specific comment', expect: { status: 200, schema: 'comment', fields: { id: 1 } } },
+        { method: 'POST', data: this.generateComment(), description: 'Create new comment', expect: { status: 201, schema: 'comment', echo: true } }
       ]
     };
     
@@ -93,10 +188,19 @@ class DataGenerator {
     return dataMap[endpoint] ? dataMap[endpoint]() : {};
   }
 
+  // Real names and addresses in each locale (non-Latin scripts, RTL text, umlauts)
+  static generateInternationalStrings(locales = this.I18N_LOCALES) {
+    return this.forLocales(locales, () => [
+      this.faker.person.fullName(),
+      this.faker.location.streetAddress(),
+      this.faker.location.city()
+    ]).flat();
+  }
+
   // Generate realistic test edge cases
-  static generateEdgeCases(dataType) {
+  static generateEdgeCases(dataType, locales = this.I18N_LOCALES) {
     const edgeCases = {
-      string: ['', ' ', 'a'.repeat(1000), '特殊字符测试', '🚀💫✨'],
+      string: ['', ' ', 'a'.repeat(1000), '🚀💫✨', ...this.generateInternationalStrings(locales)],
       number: [0, -1, 999999999, -999999999, 1.5, -1.5],
       email: ['invalid-email', '@domain.com', 'user@', 'user@domain'],
       boolean: [true, false, 'true', 'false', 1, 0]
@@ -0,0 +1,158 @@
+// utils/doctor.js - Environment checks behind `npm run setup`, each with an actionable fix
+import fs from 'node:fs';
+import net from 'node:net';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { loadEnvironment, listEnvironments } from './environments.js';
+
+// Playwright 1.4x and the global fetch used by setup need Node 18 or newer
+export const MIN_NODE_MAJOR = 18;
+
+export const PROJECT_ROOT = fileURLToPath(new URL('..', import.meta.url));
+
+const pass = (name, detail) => ({ name, status: 'pass', detail });
+const warn = (name, detail, fix) => ({ name, status: 'warn', detail, fix });
+const fail = (name, detail, fix) => ({ name, status: 'fail', detail, fix });
+
+export function checkNodeVersion(version = process.versions.node, minMajor = MIN_NODE_MAJOR) {
+  const major = Number(version.split('.')[0]);
+  return major >= minMajor
+    ? pass('Node.js', `v${version}`)
+    : fail('Node.js', `v${version} is older than ${minMajor}`, `Install Node ${minMajor} or newer (e.g. nvm install ${minMajor})`);
+}
+
+// Every dependency and devDependency in package.json must be present in node_modules
+export function checkDependencies(root = PROJECT_ROOT) {
+  const manifest = JSON.parse(fs.readFileSync(path.join(root, 'package.json'), 'utf8'));
+  const wanted = { ...manifest.dependencies, ...manifest.devDependencies };
+  const installed = [];
+  const missing = [];
+
+  for (const name of Object.keys(wanted)) {
+    const file = path.join(root, 'node_modules', name, 'package.json');
+    if (fs.existsSync(file)) {
+      installed.push(`${name}@${JSON.parse(fs.readFileSync(file, 'utf8')).version}`);
+    } else {
+      missing.push(name);
+    }
+  }
+
+  return missing.length === 0
+    ? pass('Dependencies', installed.join(', '))
+    : fail('Dependencies', `Not installed: ${missing.join(', ')}`, 'Run npm install');
+}
+
+export function isPortFree(port) {
+  return new Promise(resolve => {
+    const probe = net.createServer()
+      .once('error', () => resolve(false))
+      .once('listening', () => probe.close(() => resolve(true)))
+      .listen(port);
+  });
+}
+
+/*
+ * The API the suite will hit. For the local mock, global setup starts the server itself,
+ * so the port has to be free; any other base URL must answer GET /posts/1.
+ */
+export async function checkApiTarget(environment, { timeoutMs = 5000 } = {}) {
+  // Imported here so the Node and dependency checks run even before npm install
+  const { default: MockServer } = await import('./mock-server.js');
+  const { name, baseURL } = environment;
+  const target = `${baseURL} (${name}${process.env.API_BASE_URL ? ', from API_BASE_URL' : ''})`;
+
+  if (MockServer.handles(baseURL)) {
+    const { port } = new URL(baseURL);
+    return await isPortFree(port)
+      ? pass('API target', `${target} - global setup starts the local mock server`)
+      : fail('API target', `${target} - port ${port} is already in use, so global setup cannot start the mock`,
+        `Stop whatever listens on port ${port} (e.g. a running npm run mock:server) or set MOCK_SERVER_PORT`);
+  }
+
+  const startTime = Date.now();
+  let response;
+  try {
+    response = await fetch(`${baseURL}/posts/1`, { headers: environment.headers, signal: AbortSignal.timeout(timeoutMs) });
+  } catch (error) {
+    return fail('API target', `${target} - unreachable: ${error.cause?.code ?? error.message}`,
+      'Check the URL and your network or proxy, or run offline with npm run test:local');
+  }
+
+  const detail = `${target} - GET /posts/1 answered ${response.status} in ${Date.now() - startTime}ms`;
+  if (response.ok) return pass('API target', detail);
+  if ([401, 403].includes(response.status)) {
+    // Profiles with an auth block get their credentials from global setup, not from here
+    return environment.auth
+      ? warn('API target', detail, `Global setup signs in with ${environment.auth.type}; make sure its credentials are set`)
+      : fail('API target', detail, 'Set the token the profile\'s headers reference, or pick another TEST_ENV');
+  }
+  return fail('API target', detail, 'Check that API_BASE_URL (or the profile\'s baseURL) points at a JSONPlaceholder-compatible API');
+}
+
+// Directories the configured reporters write to: Playwright's outputDir plus every outputFile/outputDir option
+export function reporterOutputDirs(config) {
+  const dirs = new Set([config.outputDir ?? 'test-results']);
+  for (const reporter of config.reporter ?? []) {
+    const [name, options = {}] = [reporter].flat();
+    if (name === 'html') dirs.add(options.outputFolder ?? 'playwright-report');
+    if (options.outputFile) dirs.add(path.dirname(options.outputFile));
+    if (options.outputDir) dirs.add(options.outputDir);
+  }
+  return [...dirs];
+}
+
+// Create missing output directories and make sure they are writable
+export function checkOutputDirs(dirs, root = PROJECT_ROOT) {
+  const created = [];
+  const unwritable = [];
+
+  for (const dir of dirs) {
+    const absolute = path.resolve(root, dir);
+    try {
+      if (!fs.existsSync(absolute)) {
+        fs.mkdirSync(absolute, { recursive: true });
+        created.push(dir);
+      }
+      fs.accessSync(absolute, fs.constants.W_OK);
+    } catch {
+      unwritable.push(dir);
+    }
+  }
+
+  if (unwritable.length > 0) {
+    return fail('Report directories', `Not writable: ${unwritable.join(', ')}`, `Fix the permissions (e.g. chmod u+w ${unwritable.join(' ')})`);
+  }
+  return pass('Report directories', `${dirs.join(', ')}${created.length > 0 ? ` (created ${created.join(', ')})` : ''}`);
+}
+
+// Run every check; the environment and config are loaded here so a broken profile is reported, not thrown
+export async function runDoctor({
+  root = PROJECT_ROOT,
+  loadConfig = async () => (await import('../playwright.config.js')).default
+} = {}) {
+  const checks = [checkNodeVersion(), checkDependencies(root)];
+  // The mock server and the Playwright config cannot even be loaded without the packages
+  if (checks.some(check => check.status === 'fail')) {
+    return { checks, ok: false };
+  }
+
+  try {
+    checks.push(await checkApiTarget(loadEnvironment()));
+  } catch (error) {
+    checks.push(fail('API target', error.message, `Export the variable or choose another TEST_ENV (${listEnvironments().join(', ')})`));
+  }
+
+  try {
+    checks.push(checkOutputDirs(reporterOutputDirs(await loadConfig()), root));
+  } catch (error) {
+    checks.push(fail('Report directories', `Could not read playwright.config.js: ${error.message}`, 'Fix the error above in playwright.config.js'));
+  }
+
+  return { checks, ok: checks.every(check => check.status !== 'fail') };
+}
+
+const ICONS = { pass: '✅', warn: '⚠️', fail: '❌' };
+
+export function formatCheck({ name, status, detail, fix }) {
+  return `${ICONS[status]} ${name}: ${detail}${fix ? `\n   💡 ${fix}` : ''}`;
+}
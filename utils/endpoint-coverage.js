@@ -0,0 +1,150 @@
+// utils/endpoint-coverage.js - Endpoint × method × status coverage against a declared inventory
+import fs from 'node:fs';
+import { observeResponses } from './request-hooks.js';
+
+export const INVENTORY_FILE = new URL('../endpoint-inventory.json', import.meta.url);
+
+// Name of the per-test attachment the coverage reporter collects
+export const API_CALLS_ATTACHMENT = 'api-calls';
+
+const METHOD_ORDER = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'];
+
+// Segments that look like record ids when a call matches no declared template
+const ID_SEGMENT = /^(\d+|[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})$/i;
+
+// "/posts/:id/comments" → /^\/posts\/[^/]+\/comments$/
+function templatePattern(template) {
+  const source = template
+    .split('/')
+    .map(segment => segment.startsWith(':') ? '[^/]+' : segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('/');
+  return new RegExp(`^${source}/?$`);
+}
+
+export function loadInventory(file = INVENTORY_FILE) {
+  const { endpoints } = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return endpoints.map(endpoint => ({
+    path: endpoint.path,
+    methods: endpoint.methods.map(method => method.toUpperCase()),
+    pattern: templatePattern(endpoint.path)
+  }));
+}
+
+// Map a concrete path to its template; literal templates win over parameterised ones
+export function normalizePath(pathname, inventory) {
+  const candidates = [...inventory].sort((a, b) =>
+    (a.path.match(/:/g) ?? []).length - (b.path.match(/:/g) ?? []).length);
+  const declared = candidates.find(endpoint => endpoint.pattern.test(pathname));
+  if (declared) return { path: declared.path, declared: true };
+
+  const guessed = pathname.replace(/\/$/, '').split('/').map(segment => ID_SEGMENT.test(segment) ? ':id' : segment).join('/');
+  return { path: guessed || '/', declared: false };
+}
+
+// Wrap an APIRequestContext so every call is appended to `calls` as { method, path, status }
+export function recordApiCalls(request, calls) {
+  return observeResponses(request, (response, { method }) => {
+    calls.push({ method, path: new URL(response.url()).pathname, status: response.status() });
+  });
+}
+
+function methodOrder(a, b) {
+  const rank = method => (METHOD_ORDER.indexOf(method) + 1) || METHOD_ORDER.length + 1;
+  return rank(a) - rank(b) || a.localeCompare(b);
+}
+
+// Every declared endpoint/method with the statuses seen, plus calls the inventory does not list
+export function buildCoverageMatrix(inventory, calls) {
+  const rows = new Map(inventory.map(endpoint => [endpoint.path, {
+    path: endpoint.path,
+    declared: true,
+    methods: Object.fromEntries(endpoint.methods.map(method => [method, { declared: true, calls: 0, statuses: {} }]))
+  }]));
+
+  for (const call of calls) {
+    const { path, declared } = normalizePath(call.path, inventory);
+    if (!rows.has(path)) rows.set(path, { path, declared, methods: {} });
+
+    const row = rows.get(path);
+    row.methods[call.method] ??= { declared: false, calls: 0, statuses: {} };
+    const cell = row.methods[call.method];
+    cell.calls += 1;
+    cell.statuses[call.status] = (cell.statuses[call.status] ?? 0) + 1;
+  }
+
+  const endpoints = [...rows.values()];
+  const cells = endpoints.flatMap(row => Object.entries(row.methods).map(([method, cell]) => ({ method, path: row.path, ...cell })));
+  const declaredCells = cells.filter(cell => cell.declared);
+
+  return {
+    methods: [...new Set(cells.map(cell => cell.method))].sort(methodOrder),
+    endpoints,
+    totals: {
+      declared: declaredCells.length,
+      tested: declaredCells.filter(cell => cell.calls > 0).length,
+      calls: calls.length
+    },
+    untested: declaredCells.filter(cell => cell.calls === 0).map(cell => `${cell.method} ${cell.path}`),
+    undeclared: cells.filter(cell => !cell.declared).map(cell => `${cell.method} ${cell.path}`)
+  };
+}
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, character => `&#${character.charCodeAt(0)};`);
+}
+
+function renderCell(cell) {
+  if (!cell) return '<td class="none"></td>';
+
+  const statuses = Object.entries(cell.statuses)
+    .map(([status, count]) => `<span class="status s${String(status)[0]}xx">${status}×${count}</span>`)
+    .join(' ');
+  const state = !cell.declared ? 'undeclared' : cell.calls > 0 ? 'tested' : 'untested';
+  return `<td class="${state}">${statuses || 'untested'}</td>`;
+}
+
+// Self-contained page: one row per endpoint, one column per method
+export function renderCoverageHtml(matrix, { title = 'API Endpoint Coverage' } = {}) {
+  const { totals } = matrix;
+  const percent = totals.declared === 0 ? 0 : Math.round((totals.tested / totals.declared) * 100);
+  const header = matrix.methods.map(method => `<th>${method}</th>`).join('');
+  const rows = matrix.endpoints.map(row => {
+    const cells = matrix.methods.map(method => renderCell(row.methods[method])).join('');
+    const marker = row.declared ? '' : ' <em>(not in inventory)</em>';
+    return `<tr><th class="path">${escapeHtml(row.path)}${marker}</th>${cells}</tr>`;
+  }).join('\n');
+  const list = items => items.length === 0 ? '<p>None</p>' : `<ul>${items.map(item => `<li><code>${escapeHtml(item)}</code></li>`).join('')}</ul>`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }
+  table { border-collapse: collapse; }
+  th, td { border: 1px solid #ccc; padding: 0.4rem 0.6rem; text-align: center; font-size: 0.9rem; }
+  th.path { text-align: left; font-family: monospace; }
+  td.tested { background: #e3f6e3; }
+  td.untested { background: #fde2e1; color: #a61b1b; font-weight: bold; }
+  td.undeclared { background: #fff4d6; }
+  td.none { background: #f4f4f4; }
+  .status { display: inline-block; padding: 0 0.3rem; border-radius: 3px; font-family: monospace; }
+  .s2xx { background: #c8ecc8; } .s3xx { background: #d6e4ff; } .s4xx { background: #ffe2b8; } .s5xx { background: #ffc9c9; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p><strong>${totals.tested}/${totals.declared}</strong> declared endpoint methods tested (${percent}%) from ${totals.calls} request(s).</p>
+<table>
+<tr><th>Endpoint</th>${header}</tr>
+${rows}
+</table>
+<h2>Untested</h2>
+${list(matrix.untested)}
+<h2>Called but not in the inventory</h2>
+${list(matrix.undeclared)}
+</body>
+</html>
+`;
+}
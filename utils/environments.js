@@ -0,0 +1,72 @@
+// utils/environments.js - Named environment profiles (local, dev, staging, prod-readonly)
+import fs from 'node:fs';
+import { interceptRequests } from './request-hooks.js';
+
+export const ENVIRONMENTS_FILE = new URL('../environments.json', import.meta.url);
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// "${VAR}" or "${VAR:-fallback}"; credentials stay out of the file and come from the shell or CI secrets
+function interpolate(value, profileName) {
+  return value.replace(/\$\{(\w+)(?::-([^}]*))?\}/g, (_, name, fallback) => {
+    if (process.env[name] !== undefined) return process.env[name];
+    if (fallback !== undefined) return fallback;
+    throw new Error(`Environment profile "${profileName}" needs ${name} to be set`);
+  });
+}
+
+function interpolateAll(value, profileName) {
+  if (typeof value === 'string') return interpolate(value, profileName);
+  if (!value || typeof value !== 'object') return value;
+  return Object.fromEntries(Object.entries(value).map(([key, child]) => [key, interpolateAll(child, profileName)]));
+}
+
+export function listEnvironments(file = ENVIRONMENTS_FILE) {
+  return Object.keys(JSON.parse(fs.readFileSync(file, 'utf8')).profiles);
+}
+
+// Resolve TEST_ENV (or the file's default) into a profile; API_BASE_URL still overrides the baseURL.
+// `auth` is handed to utils/auth.js (bearer, apiKey, basic or oauth2)
+export function loadEnvironment(name = process.env.TEST_ENV, file = ENVIRONMENTS_FILE) {
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const profileName = name || config.default;
+  const profile = config.profiles[profileName];
+
+  if (!profile) {
+    throw new Error(`Unknown environment "${profileName}". Available: ${Object.keys(config.profiles).join(', ')}`);
+  }
+
+  // Headers whose variable is unset (e.g. no token locally) are dropped instead of sent empty
+  const headers = Object.fromEntries(
+    Object.entries(profile.headers ?? {})
+      .map(([header, value]) => [header, interpolate(value, profileName)])
+      .filter(([, value]) => value !== '')
+  );
+  const allowedOperations = (profile.allowedOperations ?? ['GET', ...MUTATING_METHODS]).map(method => method.toUpperCase());
+
+  return {
+    ...profile,
+    name: profileName,
+    baseURL: process.env.API_BASE_URL || interpolate(profile.baseURL, profileName),
+    headers,
+    auth: profile.auth ? interpolateAll(profile.auth, profileName) : null,
+    timeouts: { test: 30000, expect: 10000, ...profile.timeouts },
+    expectedCounts: profile.expectedCounts ?? {},
+    allowedOperations,
+    readOnly: !allowedOperations.some(method => MUTATING_METHODS.includes(method))
+  };
+}
+
+export function isOperationAllowed(environment, method) {
+  return environment.allowedOperations.includes(String(method).toUpperCase());
+}
+
+// Wrap an APIRequestContext so calls the profile forbids reach onBlocked(method, url) instead of the API
+export function guardRequest(request, environment, onBlocked) {
+  return interceptRequests(request, ({ method, url, send }) => {
+    if (!isOperationAllowed(environment, method)) {
+      onBlocked(method, url);
+    }
+    return send();
+  });
+}
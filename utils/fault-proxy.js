@@ -0,0 +1,184 @@
+// utils/fault-proxy.js - Local HTTP proxy that injects latency, 5xx bursts, dropped connections and malformed JSON
+import http from 'node:http';
+import https from 'node:https';
+import { pathToFileURL } from 'node:url';
+
+export const FAULT_TYPES = ['latency', 'status', 'drop', 'malformed-json'];
+
+const HOP_BY_HOP_HEADERS = ['connection', 'keep-alive', 'transfer-encoding', 'upgrade', 'proxy-connection'];
+
+/*
+ * Rules are checked in order; the first one whose filters match and that still has
+ * budget left applies (latency rules also let the next rule apply):
+ *   { type: 'latency', ms: 300 }
+ *   { type: 'status', status: 503, times: 2, retryAfter: 1 }   - a burst of two 503s
+ *   { type: 'drop', method: 'GET', path: '/users', after: 1 }  - skip one match, then reset the socket
+ *   { type: 'malformed-json', path: /^\/posts\/\d+$/ }        - forward, then truncate the body
+ * `path` is a prefix string or a RegExp; `times` defaults to every matching request.
+ */
+export class FaultProxy {
+  constructor({ target, port = 0, faults = [] } = {}) {
+    if (!target) throw new Error('FaultProxy needs a target URL');
+    this.target = new URL(target);
+    this.port = Number(port);
+    this.server = null;
+    this.rules = [];
+    this.log = [];
+    faults.forEach(fault => this.inject(fault));
+  }
+
+  get url() {
+    return `http://localhost:${this.port}`;
+  }
+
+  inject(fault) {
+    if (!FAULT_TYPES.includes(fault.type)) {
+      throw new Error(`Unknown fault type "${fault.type}". Use: ${FAULT_TYPES.join(', ')}`);
+    }
+    const rule = { times: Infinity, after: 0, ...fault, seen: 0, applied: 0 };
+    this.rules.push(rule);
+    return rule;
+  }
+
+  clear() {
+    this.rules = [];
+    this.log = [];
+  }
+
+  // Faults that were applied, per type
+  get stats() {
+    const stats = Object.fromEntries(FAULT_TYPES.map(type => [type, 0]));
+    for (const entry of this.log) {
+      for (const type of entry.faults) stats[type] += 1;
+    }
+    return { requests: this.log.length, ...stats };
+  }
+
+  matches(rule, req, pathname) {
+    if (rule.method && rule.method.toUpperCase() !== req.method) return false;
+    if (rule.path instanceof RegExp) return rule.path.test(pathname);
+    return !rule.path || pathname.startsWith(rule.path);
+  }
+
+  // Count the request against every matching rule, return the ones that fire
+  select(req, pathname) {
+    const selected = [];
+    for (const rule of this.rules) {
+      if (!this.matches(rule, req, pathname)) continue;
+
+      rule.seen += 1;
+      if (rule.seen <= rule.after || rule.applied >= rule.times) continue;
+
+      rule.applied += 1;
+      selected.push(rule);
+      if (rule.type !== 'latency') break;
+    }
+    return selected;
+  }
+
+  async start() {
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch(error => {
+        if (!res.headersSent) res.writeHead(502, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: `Fault proxy: ${error.message}` }));
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, () => {
+        this.server.off('error', reject);
+        this.port = this.server.address().port;
+        resolve();
+      });
+    });
+
+    return this;
+  }
+
+  async stop() {
+    if (!this.server) return;
+
+    this.server.closeAllConnections();
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+  }
+
+  async handle(req, res) {
+    const { pathname } = new URL(req.url, this.url);
+    const rules = this.select(req, pathname);
+    this.log.push({ method: req.method, path: pathname, faults: rules.map(rule => rule.type) });
+
+    const body = await this.readRaw(req);
+
+    for (const rule of rules.filter(candidate => candidate.type === 'latency')) {
+      await new Promise(resolve => setTimeout(resolve, rule.ms ?? 0));
+    }
+
+    const fault = rules.find(rule => rule.type !== 'latency');
+    if (fault?.type === 'drop') {
+      req.socket.destroy();
+      return;
+    }
+    if (fault?.type === 'status') {
+      const headers = { 'Content-Type': 'application/json; charset=utf-8' };
+      if (fault.retryAfter !== undefined) headers['Retry-After'] = String(fault.retryAfter);
+      res.writeHead(fault.status ?? 503, headers);
+      res.end(JSON.stringify(fault.body ?? { error: 'Injected fault' }));
+      return;
+    }
+
+    const upstream = await this.forward(req, body);
+    const headers = Object.fromEntries(
+      Object.entries(upstream.headers).filter(([name]) => !HOP_BY_HOP_HEADERS.includes(name) && name !== 'content-length')
+    );
+
+    // Cut the JSON in half and leave a dangling brace so parsers fail
+    const payload = fault?.type === 'malformed-json'
+      ? Buffer.from(`${upstream.body.toString('utf8').slice(0, Math.floor(upstream.body.length / 2))}{"truncated":`)
+      : upstream.body;
+
+    res.writeHead(upstream.status, { ...headers, 'Content-Length': payload.length });
+    res.end(payload);
+  }
+
+  forward(req, body) {
+    const client = this.target.protocol === 'https:' ? https : http;
+    const url = new URL(req.url, this.target);
+    const headers = Object.fromEntries(
+      Object.entries(req.headers).filter(([name]) => !HOP_BY_HOP_HEADERS.includes(name))
+    );
+    headers.host = this.target.host;
+
+    return new Promise((resolve, reject) => {
+      const upstream = client.request(url, { method: req.method, headers }, response => {
+        const chunks = [];
+        response.on('data', chunk => chunks.push(chunk));
+        response.on('end', () => resolve({ status: response.statusCode, headers: response.headers, body: Buffer.concat(chunks) }));
+        response.on('error', reject);
+      });
+      upstream.on('error', reject);
+      upstream.end(body);
+    });
+  }
+
+  async readRaw(req) {
+    const chunks = [];
+    for await (const chunk of req) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+}
+
+// Allow running standalone: FAULT_TARGET=http://localhost:3100 FAULTS='[{"type":"latency","ms":300}]' npm run fault:proxy
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const proxy = await new FaultProxy({
+    target: process.env.FAULT_TARGET || 'http://localhost:3100',
+    port: Number(process.env.FAULT_PORT) || 3200,
+    faults: JSON.parse(process.env.FAULTS || '[]')
+  }).start();
+  console.log(`💥 Fault proxy listening on ${proxy.url} → ${proxy.target.origin}`);
+  console.log(`   Faults: ${proxy.rules.map(rule => rule.type).join(', ') || 'none (pass-through)'}`);
+  console.log(`   Point the suite at it with API_BASE_URL=${proxy.url}`);
+}
@@ -0,0 +1,161 @@
+// utils/fixtures.js - Custom Playwright fixtures for API tests
+import fs from 'node:fs';
+import { test as base } from '@playwright/test';
+import ApiClient from './api-client.js';
+import DataGenerator from './data-generator.js';
+import { loadEnvironment, guardRequest } from './environments.js';
+import { getAuthSession, authenticate } from './auth.js';
+import { TeardownRegistry, trackResources, recordOrphans, CLEANUP_SCOPES } from './teardown-registry.js';
+import { loadOpenApi, CoverageRecorder, recordCoverage } from './openapi.js';
+import { recordApiCalls, API_CALLS_ATTACHMENT } from './endpoint-coverage.js';
+import { RequestLog, captureRequests, REDACTION_DEFAULTS, API_LOG_MODES } from './request-log.js';
+import { RetryPolicy, withRetries } from './retry-policy.js';
+import { readDiscovery } from './preflight.js';
+
+export { expect } from './matchers.js';
+
+export const test = base.extend({
+  // Base seed for generated data; override per file or describe with test.use({ dataSeed: 42 })
+  dataSeed: [undefined, { option: true }],
+
+  // Faker locale for generated data; DATA_LOCALE=de or test.use({ dataLocale: 'ja' })
+  dataLocale: [process.env.DATA_LOCALE || DataGenerator.DEFAULT_LOCALE, { option: true }],
+
+  // Seeds DataGenerator before every test and records the seed so failures can be replayed
+  testSeed: [async ({ dataSeed, dataLocale }, use, testInfo) => {
+    const baseSeed = dataSeed ?? DataGenerator.baseSeed();
+    DataGenerator.setLocale(dataLocale);
+    const seed = DataGenerator.seed(
+      DataGenerator.deriveSeed(baseSeed, testInfo.titlePath.join(' › '))
+    );
+
+    const localeHint = dataLocale === DataGenerator.DEFAULT_LOCALE ? '' : ` DATA_LOCALE=${dataLocale}`;
+    testInfo.annotations.push({
+      type: 'data-seed',
+      description: `DATA_SEED=${baseSeed}${localeHint} (test seed ${seed})`
+    });
+
+    await use(seed);
+  }, { auto: true }],
+
+  // Active environment profile (TEST_ENV); exposes baseURL, expectedCounts, allowedOperations, readOnly
+  environment: [loadEnvironment(), { option: true }],
+
+  // Credentials from the profile's `auth` block; null when the environment is open
+  authSession: async ({ environment, baseURL }, use) => {
+    await use(getAuthSession(environment, baseURL));
+  },
+
+  // Record counts and valid ids global setup found before the run; saves refetching whole collections per test
+  discovered: [async ({}, use) => {
+    await use(readDiscovery());
+  }, { scope: 'worker' }],
+
+  // When created resources are deleted: after each 'test' (default), once per 'worker', or 'off'
+  cleanupScope: [process.env.CLEANUP_SCOPE || 'test', { option: true }],
+
+  // Resources deferred with cleanupScope 'worker', deleted when the worker shuts down
+  workerTeardown: [async ({ playwright }, use, workerInfo) => {
+    const registry = new TeardownRegistry();
+    await use(registry);
+    if (registry.size === 0) return;
+
+    const { baseURL, extraHTTPHeaders } = workerInfo.project.use;
+    const context = await playwright.request.newContext({ baseURL, extraHTTPHeaders });
+    const summary = await registry.cleanup(authenticate(context, getAuthSession(loadEnvironment(), baseURL)));
+    await context.dispose();
+
+    console.log(`🧹 Worker ${workerInfo.workerIndex}: deleted ${summary.deleted.length} resource(s), ${summary.orphans.length} orphan(s)`);
+    recordOrphans(summary.orphans, workerInfo.project.outputDir);
+  }, { scope: 'worker' }],
+
+  // Responses matched against the OpenAPI document (OPENAPI_SPEC); global teardown reports what was never exercised
+  openApiCoverage: [async ({}, use, workerInfo) => {
+    const recorder = new CoverageRecorder(loadOpenApi());
+    await use(recorder);
+    recorder.flush(workerInfo.project.outputDir);
+  }, { scope: 'worker' }],
+
+  // Attach a HAR of every call to each test: 'on' (default), 'retain-on-failure' or 'off'; or API_LOG=off
+  apiLog: [process.env.API_LOG || 'on', { option: true }],
+
+  // Header names and body/query fields masked in the HAR; test.use({ logRedaction: { headers, fields } })
+  logRedaction: [REDACTION_DEFAULTS, { option: true }],
+
+  // Raw calls of this test, written to <outputDir>/api-log.har and attached as "api-log.har"
+  requestLog: async ({ apiLog, logRedaction, baseURL }, use, testInfo) => {
+    if (!API_LOG_MODES.includes(apiLog)) {
+      throw new Error(`Unknown apiLog "${apiLog}". Use: ${API_LOG_MODES.join(', ')}`);
+    }
+
+    const log = new RequestLog({ redaction: logRedaction, baseURL, defaultHeaders: testInfo.project.use.extraHTTPHeaders });
+    await use(log);
+
+    const failed = testInfo.status !== testInfo.expectedStatus;
+    if (log.size === 0 || apiLog === 'off' || (apiLog === 'retain-on-failure' && !failed)) return;
+
+    const file = testInfo.outputPath('api-log.har');
+    fs.writeFileSync(file, JSON.stringify(log.toHar({ comment: testInfo.titlePath.join(' › ') }), null, 2));
+    await testInfo.attach('api-log.har', { path: file, contentType: 'application/json' });
+  },
+
+  // Client-side retries (see RETRY_DEFAULTS); off unless set, e.g. test.use({ retryPolicy: { retries: 2 } }) or API_RETRIES=3
+  retryPolicy: [process.env.API_RETRIES ? { retries: Number(process.env.API_RETRIES) } : null, { option: true }],
+
+  // Resources this test created through POST; call teardown.track(url) for anything created elsewhere
+  teardown: async ({}, use) => {
+    await use(new TeardownRegistry());
+  },
+
+  // Every request carries the session's credentials and is logged, created resources are tracked for cleanup,
+  // and tests that write data are skipped automatically when the profile does not allow the method
+  request: async ({ request, environment, authSession, teardown, cleanupScope, workerTeardown, openApiCoverage, requestLog, apiLog, retryPolicy }, use, testInfo) => {
+    if (!CLEANUP_SCOPES.includes(cleanupScope)) {
+      throw new Error(`Unknown cleanupScope "${cleanupScope}". Use: ${CLEANUP_SCOPES.join(', ')}`);
+    }
+
+    // Every attempt is logged, so the HAR shows retries and the credentials sent (redacted);
+    // with apiLog 'off' nothing is captured, which keeps long load runs from filling memory
+    const logged = apiLog === 'off' ? request : captureRequests(request, requestLog);
+    const retried = withRetries(logged, retryPolicy && new RetryPolicy(retryPolicy), {
+      onRetry: ({ method, url, attempt, delay, status, error }) => {
+        const description = `${method} ${url} ${error ?? `answered ${status}`}, retry ${attempt} in ${delay}ms`;
+        testInfo.annotations.push({ type: 'api-retry', description });
+        console.log(`🔁 ${description}`);
+      }
+    });
+    const authenticated = authenticate(retried, authSession);
+    const tracked = cleanupScope === 'off'
+      ? authenticated
+      : trackResources(authenticated, teardown, { createdBy: testInfo.titlePath.join(' › ') });
+
+    // Every call this test makes, collected by utils/coverage-reporter.js
+    const calls = [];
+    const recorded = recordApiCalls(recordCoverage(tracked, openApiCoverage), calls);
+
+    await use(guardRequest(recorded, environment, method => {
+      testInfo.skip(true, `${method} requests are not allowed in the "${environment.name}" environment`);
+    }));
+
+    if (calls.length > 0) {
+      await testInfo.attach(API_CALLS_ATTACHMENT, { body: JSON.stringify(calls), contentType: 'application/json' });
+    }
+
+    if (cleanupScope === 'worker') {
+      teardown.transferTo(workerTeardown);
+    } else if (cleanupScope === 'test' && teardown.size > 0) {
+      const summary = await teardown.cleanup(authenticated);
+      if (summary.orphans.length > 0) {
+        testInfo.annotations.push({ type: 'teardown-orphans', description: summary.orphans.map(orphan => orphan.path).join(', ') });
+        await testInfo.attach('teardown-orphans', { body: JSON.stringify(summary.orphans, null, 2), contentType: 'application/json' });
+        console.warn(`⚠️ Could not delete ${summary.orphans.length} resource(s): ${summary.orphans.map(orphan => orphan.path).join(', ')}`);
+        recordOrphans(summary.orphans, testInfo.project.outputDir);
+      }
+    }
+  },
+
+  // Resource clients bound to this test's request context: ({ api }) => api.users.get(1)
+  api: async ({ request }, use) => {
+    await use(new ApiClient(request));
+  }
+});
@@ -1,43 +1,76 @@
-// utils/global-setup.js - Global Setup for Demo
+// utils/global-setup.js - Global Setup: mock server, credentials, health gate and discovered data
+import path from 'node:path';
+import MockServer from './mock-server.js';
+import { loadEnvironment } from './environments.js';
+import { AuthSession, authStorageFile } from './auth.js';
+import { checkApiHealth, formatHealthSummary, healthGate, toDiscovery, writeDiscovery, HealthCheckError } from './preflight.js';
+
+// Kept for global teardown, which runs in the same process
+let mockServer = null;
+
 export default async function globalSetup(config) {
   console.log('🚀 Setting up API Automation Demo Environment');
   console.log('==========================================');
-  
-  // Test API connectivity
-  console.log('🔗 Testing API connectivity...');
-  try {
-    const response = await fetch('https://jsonplaceholder.typicode.com/posts/1');
-    if (response.ok) {
-      console.log('✅ JSONPlaceholder API is accessible');
-    } else {
-      console.warn('⚠️ JSONPlaceholder API returned:', response.status);
+
+  const environment = loadEnvironment(config.metadata?.environment);
+  const baseURL = config.projects[0]?.use?.baseURL || environment.baseURL;
+  console.log(`🌍 Environment: ${environment.name} (${environment.readOnly ? 'read-only' : environment.allowedOperations.join(', ')})`);
+
+  // Start the local mock server when the suite is pointed at it
+  if (MockServer.handles(baseURL)) {
+    // The mock enforces auth only when the profile brings credentials for it
+    mockServer = await new MockServer({ port: new URL(baseURL).port, auth: Boolean(environment.auth) }).start();
+    console.log(`🧪 Local mock server started at ${mockServer.url}${mockServer.auth ? ' (auth required)' : ''}`);
+  }
+
+  // Obtain credentials once and cache them for the workers
+  let authHeaders = {};
+  if (environment.auth) {
+    console.log(`🔐 Authenticating with ${environment.auth.type}...`);
+    try {
+      const session = new AuthSession(environment.auth, { baseURL, storageFile: authStorageFile(environment.name) });
+      authHeaders = await session.login();
+      console.log(`✅ Credentials ready${session.refreshable ? ` (token cached in ${session.storageFile})` : ''}`);
+    } catch (error) {
+      console.error('❌ Authentication failed:', error.message);
     }
-  } catch (error) {
-    console.error('❌ API connectivity test failed:', error.message);
   }
-  
-  // Verify test data structure
-  console.log('📊 Verifying test data structure...');
-  try {
-    const endpoints = [
-      { path: '/users', name: 'Users' },
-      { path: '/posts', name: 'Posts' },
-      { path: '/comments', name: 'Comments' }
-    ];
-    
-    for (const endpoint of endpoints) {
-      const response = await fetch(`https://jsonplaceholder.typicode.com${endpoint.path}`);
-      const data = await response.json();
-      console.log(`✅ ${endpoint.name}: ${Array.isArray(data) ? data.length : 1} records available`);
+  const headers = { ...environment.headers, ...authHeaders };
+
+  // Health gate: every collection must answer before a single test runs
+  console.log(`🩺 Checking API health (${baseURL})...`);
+  const gate = healthGate();
+  const health = await checkApiHealth(baseURL, { headers, expectedCounts: environment.expectedCounts });
+  console.log(formatHealthSummary(health, baseURL));
+
+  if (!health.ok) {
+    if (gate === 'fail') {
+      await stopMockServer();
+      const failures = health.checks.filter(check => check.error).map(check => `GET ${check.path} ${check.error}`);
+      throw new HealthCheckError(
+        `API at ${baseURL} (${environment.name}) is not healthy, aborting the run:\n  ${failures.join('\n  ')}\n` +
+        'Check the API or run offline with npm run test:local; HEALTH_GATE=warn runs the tests anyway.',
+        { health }
+      );
     }
-  } catch (error) {
-    console.warn('⚠️ Data structure verification failed:', error.message);
+    console.warn('⚠️ Continuing despite failed health checks (HEALTH_GATE=warn)');
   }
-  
+
+  // Counts and valid ids for the workers, so tests need not refetch whole collections
+  const discoveryFile = writeDiscovery(config.projects[0].outputDir, toDiscovery(health, { environment: environment.name, baseURL }));
+  process.env.API_DISCOVERY_FILE = discoveryFile;
+  console.log(`🗂️ Discovered data written to ${path.relative(process.cwd(), discoveryFile)}`);
+
   console.log('🎭 Demo environment ready');
   console.log('📋 Available test commands:');
   console.log('  npm run test:users     - Run user API tests');
   console.log('  npm run test:posts     - Run post API tests');
   console.log('  npm run test:workflow  - Run workflow tests');
   console.log('==========================================');
+}
+
+// Called by global teardown, or here when the health gate aborts the run
+export async function stopMockServer() {
+  await mockServer?.stop();
+  mockServer = null;
 }
\ No newline at end of file
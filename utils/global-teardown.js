@@ -0,0 +1,52 @@
+// utils/global-teardown.js - Global Teardown: cleanup orphans, OpenAPI coverage and the local mock server
+import fs from 'node:fs';
+import path from 'node:path';
+import { stopMockServer } from './global-setup.js';
+import { readOrphanReport } from './teardown-registry.js';
+import { loadOpenApi, readCoverage, summarizeCoverage, OPENAPI_COVERAGE_SUMMARY } from './openapi.js';
+
+// Runs once after all tests, in the same process as global setup (which stops the mock itself when it aborts)
+export default async function globalTeardown(config) {
+  const outputDirs = [...new Set(config.projects.map(project => project.outputDir))];
+
+  // Resources the teardown registry could not delete, from every worker
+  const orphans = outputDirs.flatMap(readOrphanReport);
+  if (orphans.length > 0) {
+    console.warn(`⚠️ ${orphans.length} resource(s) could not be cleaned up:`);
+    for (const orphan of orphans) {
+      console.warn(`   ${orphan.path} (${orphan.error}) created by ${orphan.createdBy}`);
+    }
+  }
+
+  reportOpenApiCoverage(outputDirs);
+
+  await stopMockServer();
+}
+
+// Operations and response codes from the OpenAPI document that no test exercised
+function reportOpenApiCoverage(outputDirs) {
+  const hits = outputDirs.flatMap(readCoverage);
+  if (hits.length === 0) return;
+
+  const spec = loadOpenApi();
+  const summary = summarizeCoverage(spec, hits);
+  const { totals } = summary;
+  const reportFile = path.join(outputDirs[0], OPENAPI_COVERAGE_SUMMARY);
+  fs.writeFileSync(reportFile, JSON.stringify(summary, null, 2));
+
+  console.log(`📘 OpenAPI coverage (${path.relative(process.cwd(), spec.file)}): ` +
+    `${totals.exercisedOperations}/${totals.operations} operations, ${totals.exercisedResponses}/${totals.responses} response codes`);
+  if (summary.unexercisedOperations.length > 0) {
+    console.log(`   Never called: ${summary.unexercisedOperations.join(', ')}`);
+  }
+  if (summary.missingResponses.length > 0) {
+    console.log(`   Response codes never seen: ${summary.missingResponses.map(({ operation, status }) => `${operation} ${status}`).join(', ')}`);
+  }
+  if (summary.undocumented.length > 0) {
+    console.warn(`⚠️ ${summary.undocumented.length} call(s) not described by the document:`);
+    for (const call of summary.undocumented) {
+      console.warn(`   ${call.method} ${call.path} → ${call.status} (${call.calls}x)`);
+    }
+  }
+  console.log(`   Full report: ${path.relative(process.cwd(), reportFile)}`);
+}
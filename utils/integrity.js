@@ -0,0 +1,163 @@
+// utils/integrity.js - Referential integrity checks across related resources
+import { ResourceApi } from './api-client.js';
+
+export class IntegrityError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'IntegrityError';
+    Object.assign(this, details);
+  }
+}
+
+// Every foreign key in the JSONPlaceholder model; children are also served at /<parent>/:id/<resource>
+export const RELATIONS = [
+  { resource: 'posts', key: 'userId', parent: 'users' },
+  { resource: 'todos', key: 'userId', parent: 'users' },
+  { resource: 'albums', key: 'userId', parent: 'users' },
+  { resource: 'comments', key: 'postId', parent: 'posts' },
+  { resource: 'photos', key: 'albumId', parent: 'albums' }
+];
+
+export const INTEGRITY_RESOURCES = ['users', 'posts', 'comments', 'todos', 'albums', 'photos'];
+
+export const relationName = ({ resource, key, parent }) => `${resource}.${key} → ${parent}`;
+
+// GET every collection once: { users: [...], posts: [...], ... }
+export async function loadResources(request, resources = INTEGRITY_RESOURCES) {
+  const data = {};
+  for (const resource of resources) {
+    const result = await new ResourceApi(request, resource).list();
+    if (!result.ok || !Array.isArray(result.body)) {
+      throw new IntegrityError(`GET /${resource} answered ${result.status} instead of a collection`, { resource, result });
+    }
+    data[resource] = result.body;
+  }
+  return data;
+}
+
+// Records whose foreign key does not resolve to a loaded parent: [{ id, value }]
+export function findOrphans(records, key, parents) {
+  const parentIds = new Set(parents.map(parent => String(parent.id)));
+  return records
+    .filter(record => !parentIds.has(String(record[key])))
+    .map(record => ({ id: record.id, value: record[key] }));
+}
+
+// Ids one listing has that the other lacks, compared as strings like a query would
+export function diffIds(actual, expected) {
+  const actualIds = new Set(actual.map(String));
+  const expectedIds = new Set(expected.map(String));
+  return {
+    missing: expected.filter(id => !actualIds.has(String(id))),
+    unexpected: actual.filter(id => !expectedIds.has(String(id)))
+  };
+}
+
+// Up to `max` ids spread evenly from first to last, so sampled checks still reach both ends
+export function pickParents(ids, max = Infinity) {
+  if (ids.length <= max) return ids;
+  if (max <= 1) return ids.slice(0, max);
+
+  const step = (ids.length - 1) / (max - 1);
+  return [...new Set(Array.from({ length: max }, (_, index) => ids[Math.round(index * step)]))];
+}
+
+/*
+ * Compare /<parent>/:id/<resource> with /<resource>?<key>=:id and with the loaded
+ * collection grouped by the key, for each sampled parent. Returns the mismatches:
+ * [{ parentId, route, query, error } | { parentId, route, query, counts, differences }]
+ * where each difference names the source the nested route disagrees with and the
+ * ids it is missing or serves unexpectedly.
+ */
+export async function compareNestedRoutes(request, relation, data, { maxParents = Infinity } = {}) {
+  const { resource, key, parent } = relation;
+  const parentIds = pickParents(data[parent].map(record => record.id), maxParents);
+  const parentApi = new ResourceApi(request, parent);
+  const childApi = new ResourceApi(request, resource);
+  const mismatches = [];
+
+  for (const parentId of parentIds) {
+    const route = `/${parent}/${parentId}/${resource}`;
+    const query = `/${resource}?${key}=${parentId}`;
+    const nested = await parentApi.related(parentId, resource);
+    const filtered = await childApi.list({ [key]: parentId });
+
+    const failed = [nested, filtered].find(result => !result.ok || !Array.isArray(result.body));
+    if (failed) {
+      mismatches.push({ parentId, route, query, error: `GET ${failed.url} answered ${failed.status}` });
+      continue;
+    }
+
+    const ids = records => records.map(record => record.id);
+    const expected = data[resource].filter(record => String(record[key]) === String(parentId));
+    const differences = [
+      { source: 'filtered', ...diffIds(ids(nested.body), ids(filtered.body)) },
+      { source: 'collection', ...diffIds(ids(nested.body), ids(expected)) }
+    ].filter(difference => difference.missing.length > 0 || difference.unexpected.length > 0);
+
+    if (differences.length > 0) {
+      mismatches.push({
+        parentId,
+        route,
+        query,
+        counts: { nested: nested.body.length, filtered: filtered.body.length, collection: expected.length },
+        differences
+      });
+    }
+  }
+
+  return { parentsChecked: parentIds.length, mismatches };
+}
+
+/*
+ * Load the collections (or take `data`), resolve every foreign key and compare each
+ * relation's nested route with the filtered collection. `maxParents` caps the nested
+ * route checks per relation for slow or rate-limited APIs. The report:
+ *   {
+ *     resources: { users: 10, ... },
+ *     relations: [{ relation, resource, key, parent, checked, orphans, route, parentsChecked, mismatches }],
+ *     totals: { orphans, mismatches },
+ *     ok
+ *   }
+ */
+export async function checkIntegrity(request, { resources = INTEGRITY_RESOURCES, relations = RELATIONS, maxParents, data } = {}) {
+  const loaded = data ?? await loadResources(request, resources);
+  const report = {
+    resources: Object.fromEntries(Object.entries(loaded).map(([resource, records]) => [resource, records.length])),
+    relations: []
+  };
+
+  // A relation is only checked when both ends were loaded
+  for (const relation of relations.filter(({ resource, parent }) => loaded[resource] && loaded[parent])) {
+    const { resource, key, parent } = relation;
+    const nested = await compareNestedRoutes(request, relation, loaded, { maxParents });
+
+    report.relations.push({
+      relation: relationName(relation),
+      resource,
+      key,
+      parent,
+      checked: loaded[resource].length,
+      orphans: findOrphans(loaded[resource], key, loaded[parent]),
+      route: `/${parent}/:id/${resource}`,
+      ...nested
+    });
+  }
+
+  report.totals = {
+    orphans: report.relations.reduce((sum, relation) => sum + relation.orphans.length, 0),
+    mismatches: report.relations.reduce((sum, relation) => sum + relation.mismatches.length, 0)
+  };
+  report.ok = report.totals.orphans === 0 && report.totals.mismatches === 0;
+  return report;
+}
+
+// One line per relation for the console
+export function formatIntegrityReport(report) {
+  return report.relations.map(relation => {
+    const icon = relation.orphans.length === 0 && relation.mismatches.length === 0 ? '✅' : '❌';
+    const agreeing = relation.parentsChecked - relation.mismatches.length;
+    return `${icon} ${relation.relation}: ${relation.checked} checked, ${relation.orphans.length} orphans, ` +
+      `${agreeing}/${relation.parentsChecked} ${relation.route} routes agree`;
+  }).join('\n');
+}
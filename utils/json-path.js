@@ -0,0 +1,53 @@
+// utils/json-path.js - Minimal JSON path lookups like $.address.geo.lat or [0].id
+
+// Split "$.posts[0].title" into ['posts', 0, 'title']; [*] becomes the '*' wildcard
+export function parsePath(path) {
+  const tokens = [];
+  const pattern = /\.?([^.[\]]+)|\[(\d+|\*)\]/g;
+  const expression = String(path).replace(/^\$/, '');
+
+  let match;
+  while ((match = pattern.exec(expression)) !== null) {
+    const index = match[2];
+    tokens.push(index === undefined ? match[1] : index === '*' ? '*' : Number(index));
+  }
+  return tokens;
+}
+
+// Resolve a path against parsed JSON; returns undefined when any segment is missing
+export function getPath(data, path) {
+  return parsePath(path).reduce(
+    (value, token) => (value === null || value === undefined ? undefined : value[token]),
+    data
+  );
+}
+
+// Does a concrete path (['posts', 0, 'id']) match a pattern like "[*].id" or "**.createdAt"?
+// '*' matches exactly one key or index, '**' matches any number of them
+export function matchesPath(pattern, tokens) {
+  const patternTokens = Array.isArray(pattern) ? pattern : parsePath(pattern);
+
+  const match = (p, t) => {
+    if (p === patternTokens.length) return t === tokens.length;
+    const token = patternTokens[p];
+
+    if (token === '**') {
+      for (let skip = t; skip <= tokens.length; skip++) {
+        if (match(p + 1, skip)) return true;
+      }
+      return false;
+    }
+    if (t === tokens.length) return false;
+    return (token === '*' || String(token) === String(tokens[t])) && match(p + 1, t + 1);
+  };
+
+  return match(0, 0);
+}
+
+// Render ['address', 'geo', 0] back as "$.address.geo[0]"
+export function formatPath(tokens) {
+  return tokens.reduce(
+    (path, token) => (typeof token === 'number' ? `${path}[${token}]` : `${path}.${token}`),
+    '$'
+  );
+}
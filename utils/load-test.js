@@ -0,0 +1,264 @@
+// utils/load-test.js - Ramp virtual users through a workflow and gate the run on errors, 429s and latency
+import fs from 'node:fs';
+import { sendRequest } from './api-client.js';
+import { getPath } from './json-path.js';
+import { resolveRequest } from './workflow.js';
+import { BUDGETS_FILE, percentile, summarize, findBudgetBreaches } from './performance.js';
+
+export const LOAD_GATE_MODES = ['fail', 'warn', 'off'];
+
+// How often the controller adjusts the number of running virtual users
+const TICK_MS = 50;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// The "load" section of performance-budgets.json; LOAD_VUS / LOAD_DURATION_MS / LOAD_ITERATIONS / LOAD_GATE override it
+export function loadProfile(file = BUDGETS_FILE) {
+  const { load = {} } = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const profile = {
+    ...load,
+    ...(process.env.LOAD_VUS && { vus: Number(process.env.LOAD_VUS) }),
+    ...(process.env.LOAD_DURATION_MS && { durationMs: Number(process.env.LOAD_DURATION_MS) }),
+    ...(process.env.LOAD_ITERATIONS && { iterations: Number(process.env.LOAD_ITERATIONS) }),
+    ...(process.env.LOAD_GATE && { gate: process.env.LOAD_GATE })
+  };
+  profile.gate ??= 'fail';
+
+  if (!LOAD_GATE_MODES.includes(profile.gate)) {
+    throw new Error(`Unknown load gate "${profile.gate}". Use: ${LOAD_GATE_MODES.join(', ')}`);
+  }
+  return profile;
+}
+
+/*
+ * Stages describe the VU target over time; the count ramps linearly within each stage:
+ *   [{ durationMs: 2000, target: 10 }, { durationMs: 5000, target: 10 }, { durationMs: 1000, target: 0 }]
+ * The shorthand { vus, rampUpMs, durationMs } ramps up to `vus` and holds until `durationMs`.
+ * Without a duration the run lasts until `iterations` have been started.
+ */
+export function toStages({ stages, vus = 1, rampUpMs = 0, durationMs, iterations }) {
+  if (stages) return stages;
+  if (durationMs === undefined && iterations === undefined) {
+    throw new Error('A load run needs stages, a durationMs or an iteration count');
+  }
+  // Without VUs an iteration-only run would never start an iteration, and so never end
+  if (durationMs === undefined && !(vus >= 1)) {
+    throw new Error(`An iteration-only load run needs stages, a durationMs or at least 1 VU (got vus: ${vus})`);
+  }
+
+  const total = durationMs ?? Infinity;
+  const ramp = Math.min(rampUpMs, total);
+  return [
+    ...(ramp > 0 ? [{ durationMs: ramp, target: vus }] : []),
+    { durationMs: total - ramp, target: vus }
+  ];
+}
+
+// VU target `elapsed` ms into the run; each stage starts from the previous stage's target
+export function targetVus(stages, elapsed) {
+  let from = 0;
+  let offset = 0;
+
+  for (const { durationMs, target } of stages) {
+    if (elapsed < offset + durationMs) {
+      const progress = durationMs === Infinity ? 1 : (elapsed - offset) / durationMs;
+      return Math.ceil(from + (target - from) * progress);
+    }
+    from = target;
+    offset += durationMs;
+  }
+  return 0;
+}
+
+function stagesDuration(stages) {
+  return stages.reduce((total, stage) => total + stage.durationMs, 0);
+}
+
+// One bucket per `intervalMs`: active VUs, requests, errors, 429s and latency percentiles
+function buildTimeline(samples, vuSamples, intervalMs) {
+  const buckets = new Map();
+  const bucketFor = t => {
+    const index = Math.floor(t / intervalMs);
+    if (!buckets.has(index)) buckets.set(index, { t: index * intervalMs, vus: 0, durations: [], errors: 0, throttled: 0 });
+    return buckets.get(index);
+  };
+
+  for (const { t, vus } of vuSamples) {
+    const bucket = bucketFor(t);
+    bucket.vus = Math.max(bucket.vus, vus);
+  }
+  for (const sample of samples) {
+    const bucket = bucketFor(sample.t);
+    bucket.durations.push(sample.duration);
+    if (!sample.ok) bucket.errors += 1;
+    if (sample.status === 429) bucket.throttled += 1;
+  }
+
+  return [...buckets.entries()].sort(([a], [b]) => a - b).map(([, { durations, ...bucket }]) => {
+    const sorted = durations.sort((a, b) => a - b);
+    return { ...bucket, requests: sorted.length, p50: percentile(sorted, 50), p95: percentile(sorted, 95) };
+  });
+}
+
+function summarizeSamples(samples, elapsed) {
+  const stats = summarize(samples.map(sample => sample.duration), {
+    errors: samples.filter(sample => !sample.ok).length,
+    elapsed
+  });
+  const sorted = samples.map(sample => sample.duration).sort((a, b) => a - b);
+  const throttled = samples.filter(sample => sample.status === 429).length;
+
+  return {
+    ...stats,
+    p95: percentile(sorted, 95),
+    throttled,
+    rate429: samples.length ? throttled / samples.length : 0
+  };
+}
+
+/*
+ * Run `steps` (the runWorkflow step shape: request, expect.status, extract) once per iteration
+ * on every virtual user until the stages end or `iterations` have started. An iteration stops at
+ * its first failed step. Each VU context starts from `context` plus { vu, iteration }.
+ * Returns the summary, per-step stats, a timeline and the most frequent errors.
+ */
+export async function runLoad(request, {
+  name = 'load',
+  steps,
+  context: initialContext = {},
+  iterations,
+  thinkTimeMs = 0,
+  intervalMs = 1000,
+  ...shape
+}) {
+  const stages = toStages({ ...shape, iterations });
+  const duration = stagesDuration(stages);
+  const samples = [];
+  const vuSamples = [];
+  const errors = new Map();
+  const counts = { started: 0, completed: 0, failed: 0 };
+  const running = new Map();
+  const startTime = Date.now();
+  const elapsed = () => Date.now() - startTime;
+  const exhausted = () => iterations !== undefined && counts.started >= iterations;
+
+  const recordError = (step, message) => {
+    const key = `${step}: ${message}`;
+    errors.set(key, { step, message, count: (errors.get(key)?.count ?? 0) + 1 });
+  };
+
+  const runIteration = async (vu, iteration) => {
+    const context = { ...initialContext, vu, iteration };
+
+    for (const [index, step] of steps.entries()) {
+      const stepName = step.name ?? `step ${index + 1}`;
+      const { method, path, data, query, headers } = resolveRequest(step.request, context, `step "${stepName}"`);
+      const t = elapsed();
+
+      let result;
+      try {
+        result = await sendRequest(request, method, path, { params: query, data, headers });
+      } catch (error) {
+        samples.push({ t, step: stepName, status: 0, duration: elapsed() - t, ok: false });
+        recordError(stepName, error.message.split('\n')[0]);
+        return false;
+      }
+
+      const expected = step.expect?.status;
+      const ok = expected === undefined ? result.ok : result.status === expected;
+      samples.push({ t, step: stepName, status: result.status, duration: result.duration, ok });
+      if (!ok) {
+        recordError(stepName, `answered ${result.status}`);
+        return false;
+      }
+
+      for (const [key, expression] of Object.entries(step.extract ?? {})) {
+        context[key] = getPath(result.body, expression);
+        if (context[key] === undefined) {
+          recordError(stepName, `could not extract "${key}" from ${expression}`);
+          return false;
+        }
+      }
+    }
+    return true;
+  };
+
+  // Higher-numbered VUs leave first when the target drops
+  const runVu = async vu => {
+    while (elapsed() < duration && vu < targetVus(stages, elapsed()) && !exhausted()) {
+      counts.started += 1;
+      try {
+        counts[await runIteration(vu, counts.started) ? 'completed' : 'failed'] += 1;
+      } catch (error) {
+        counts.failed += 1;
+        recordError('iteration', error.message.split('\n')[0]);
+      }
+      if (thinkTimeMs) await sleep(thinkTimeMs);
+    }
+    running.delete(vu);
+  };
+
+  while (elapsed() < duration && !exhausted()) {
+    const target = targetVus(stages, elapsed());
+    for (let vu = 0; vu < target; vu++) {
+      if (!running.has(vu)) running.set(vu, runVu(vu));
+    }
+    vuSamples.push({ t: elapsed(), vus: running.size });
+    await sleep(TICK_MS);
+  }
+  await Promise.all(running.values());
+
+  const total = elapsed();
+  const stepNames = [...new Set(samples.map(sample => sample.step))];
+
+  return {
+    name,
+    stages,
+    summary: {
+      ...summarizeSamples(samples, total),
+      vus: Math.max(0, ...vuSamples.map(sample => sample.vus)),
+      iterations: counts
+    },
+    steps: Object.fromEntries(stepNames.map(step => [
+      step,
+      summarizeSamples(samples.filter(sample => sample.step === step), total)
+    ])),
+    timeline: buildTimeline(samples, vuSamples, intervalMs),
+    errors: [...errors.values()].sort((a, b) => b.count - a.count)
+  };
+}
+
+// Performance budget metrics plus p95, rate429 (upper bounds) and minIterations (completed iterations)
+export function findLoadBreaches(summary, thresholds = {}) {
+  const breaches = findBudgetBreaches(summary, thresholds);
+
+  for (const metric of ['p95', 'rate429']) {
+    if (thresholds[metric] !== undefined && summary[metric] > thresholds[metric]) {
+      breaches.push({ metric, actual: summary[metric], limit: thresholds[metric] });
+    }
+  }
+
+  if (thresholds.minIterations !== undefined && summary.iterations.completed < thresholds.minIterations) {
+    breaches.push({ metric: 'iterations', actual: summary.iterations.completed, limit: thresholds.minIterations });
+  }
+
+  return breaches;
+}
+
+function percent(rate) {
+  return `${Math.round(rate * 1000) / 10}%`;
+}
+
+export function formatLoadSummary(name, summary) {
+  const { iterations } = summary;
+  return `${name}: ${summary.vus} VUs | ${iterations.completed}/${iterations.started} iterations | ` +
+    `${summary.requests} requests (${summary.throughput} req/s) | p50 ${summary.p50}ms | p95 ${summary.p95}ms | ` +
+    `errors ${percent(summary.errorRate)} | 429s ${percent(summary.rate429)}`;
+}
+
+export function formatTimeline(timeline) {
+  return timeline.map(bucket =>
+    `  ${String(bucket.t / 1000).padStart(5)}s  ${String(bucket.vus).padStart(3)} VUs  ${String(bucket.requests).padStart(5)} req  ` +
+    `${bucket.errors} err  ${bucket.throttled} 429  p50 ${bucket.p50}ms  p95 ${bucket.p95}ms`
+  ).join('\n');
+}
@@ -0,0 +1,164 @@
+// utils/matchers.js - Custom Playwright matchers for API assertions
+import path from 'node:path';
+import { expect as baseExpect, test } from '@playwright/test';
+import { validateSchema } from './schemas.js';
+import { ApiResult } from './api-client.js';
+import { normalizeSnapshot, diffSnapshot, snapshotFile, readSnapshot, writeSnapshot } from './api-snapshot.js';
+import { matchOperation, validateResponse } from './openapi.js';
+import { findOrderViolations } from './collection-query.js';
+
+// Accept an ApiResult, a Playwright APIResponse or already-parsed JSON
+async function toJson(received) {
+  if (received instanceof ApiResult) return received.body;
+  return typeof received?.json === 'function' ? received.json() : received;
+}
+
+function toStatus(received) {
+  if (received instanceof ApiResult) return received.status;
+  return typeof received?.status === 'function' ? received.status() : undefined;
+}
+
+// Unnamed snapshots are numbered per test: "<test title>-1", "<test title>-2", ...
+const snapshotCounters = new WeakMap();
+
+function nextSnapshotName(testInfo) {
+  const count = (snapshotCounters.get(testInfo) ?? 0) + 1;
+  snapshotCounters.set(testInfo, count);
+  return `${testInfo.title}-${count}`;
+}
+
+export const expect = baseExpect.extend({
+  // await expect(response).toMatchSchema('user') - arrays are validated item by item
+  async toMatchSchema(received, schemaName, options = {}) {
+    const assertionName = 'toMatchSchema';
+    const data = await toJson(received);
+    const violations = validateSchema(schemaName, data, options);
+    const pass = violations.length === 0;
+    const label = options.payload ? `${schemaName} payload` : schemaName;
+
+    const message = () => {
+      const hint = this.utils.matcherHint(assertionName, undefined, undefined, { isNot: this.isNot });
+      if (pass) {
+        return `${hint}\n\nExpected value not to match the "${label}" schema`;
+      }
+
+      const details = violations.map(({ path, message }) => `  ${path} ${message}`).join('\n');
+      return `${hint}\n\n${violations.length} violation(s) of the "${label}" schema:\n${details}`;
+    };
+
+    return { pass, message, name: assertionName, expected: schemaName, actual: data };
+  },
+
+  // await expect(response).toMatchApiSnapshot('user-1', { ignore: ['id'], normalize: { email: 'email' } })
+  // Follows Playwright's --update-snapshots modes; missing snapshots are written and fail once
+  async toMatchApiSnapshot(received, nameOrOptions, maybeOptions) {
+    const assertionName = 'toMatchApiSnapshot';
+    const testInfo = test.info();
+    const [name, options] = typeof nameOrOptions === 'string'
+      ? [nameOrOptions, maybeOptions ?? {}]
+      : [nextSnapshotName(testInfo), nameOrOptions ?? {}];
+
+    const status = toStatus(received);
+    const body = normalizeSnapshot(await toJson(received), options);
+    const actual = status === undefined ? body : { status, body };
+
+    const file = snapshotFile(testInfo, name, testInfo.project.use.baseURL);
+    const relative = path.relative(process.cwd(), file);
+    const expected = readSnapshot(file);
+    const updateMode = testInfo.config.updateSnapshots;
+    const hint = this.utils.matcherHint(assertionName, undefined, undefined, { isNot: this.isNot });
+
+    if (expected === undefined) {
+      if (updateMode === 'none') {
+        return { pass: this.isNot, name: assertionName, message: () => `${hint}\n\nSnapshot ${relative} doesn't exist` };
+      }
+      writeSnapshot(file, actual);
+      if (updateMode === 'all' || updateMode === 'changed') {
+        console.log(`📸 Wrote API snapshot ${relative}`);
+        return { pass: !this.isNot, name: assertionName, message: () => `${hint}\n\nSnapshot ${relative} was written` };
+      }
+      return { pass: this.isNot, name: assertionName, message: () => `${hint}\n\nSnapshot ${relative} doesn't exist, writing actual` };
+    }
+
+    const changes = diffSnapshot(expected, actual);
+    if (changes.length > 0 && (updateMode === 'all' || updateMode === 'changed')) {
+      writeSnapshot(file, actual);
+      console.log(`📸 Updated API snapshot ${relative} (${changes.length} change(s))`);
+      return { pass: !this.isNot, name: assertionName, message: () => `${hint}\n\nSnapshot ${relative} was updated` };
+    }
+
+    const pass = changes.length === 0;
+    const message = () => {
+      if (pass) {
+        return `${hint}\n\nExpected response not to match snapshot ${relative}`;
+      }
+      const details = changes.map(change => `  ${change.line}`).join('\n');
+      return `${hint}\n\n${changes.length} difference(s) from snapshot ${relative}:\n${details}\n\n` +
+        'Run with --update-snapshots to accept the new response';
+    };
+
+    return { pass, message, name: assertionName, expected, actual };
+  },
+
+  // await expect(result).toMatchOpenApi(spec) - status, content type, body and headers of the matching operation;
+  // a Playwright APIResponse carries no method, so pass the operation itself for those
+  async toMatchOpenApi(received, specOrOperation) {
+    const assertionName = 'toMatchOpenApi';
+    const hint = this.utils.matcherHint(assertionName, undefined, undefined, { isNot: this.isNot });
+    const isResult = received instanceof ApiResult;
+    const url = isResult ? received.url : received.url();
+
+    let operation = specOrOperation;
+    if (!specOrOperation.responses) {
+      const matched = isResult ? matchOperation(specOrOperation, received.method, url) : null;
+      if (!matched) {
+        const call = isResult ? `${received.method} ${new URL(url).pathname}` : url;
+        return { pass: this.isNot, name: assertionName, message: () => `${hint}\n\nNo operation in the OpenAPI document matches ${call}` };
+      }
+      operation = matched.operation;
+    }
+
+    const violations = validateResponse(operation, {
+      status: toStatus(received),
+      headers: isResult ? received.headers : received.headers(),
+      body: await toJson(received)
+    });
+    const pass = violations.length === 0;
+
+    const message = () => {
+      if (pass) {
+        return `${hint}\n\nExpected response not to match ${operation.id} (${operation.method} ${operation.path})`;
+      }
+      const details = violations.map(({ path, message }) => `  ${path} ${message}`).join('\n');
+      return `${hint}\n\n${violations.length} violation(s) of ${operation.id} (${operation.method} ${operation.path}):\n${details}`;
+    };
+
+    return { pass, message, name: assertionName, expected: operation.id, actual: violations };
+  },
+
+  // await expect(result).toBeSortedBy('userId,title', 'desc,asc') - same field/order syntax as ?_sort=&_order=
+  async toBeSortedBy(received, sort, order) {
+    const assertionName = 'toBeSortedBy';
+    const hint = this.utils.matcherHint(assertionName, undefined, undefined, { isNot: this.isNot });
+    const items = await toJson(received);
+    const label = `${sort}${order ? ` (${order})` : ''}`;
+
+    if (!Array.isArray(items)) {
+      return { pass: this.isNot, name: assertionName, message: () => `${hint}\n\nExpected an array, received ${typeof items}` };
+    }
+
+    const violations = findOrderViolations(items, { sort, order });
+    const pass = violations.length === 0;
+
+    const message = () => {
+      if (pass) {
+        return `${hint}\n\nExpected ${items.length} record(s) not to be sorted by ${label}`;
+      }
+      const details = violations.slice(0, 5).map(({ index, previous, current }) =>
+        `  [${index - 1}] ${this.utils.printReceived(previous)}\n  [${index}] ${this.utils.printReceived(current)}`).join('\n');
+      return `${hint}\n\n${violations.length} pair(s) out of order by ${label}:\n${details}`;
+    };
+
+    return { pass, message, name: assertionName, expected: label, actual: violations.length };
+  }
+});
@@ -0,0 +1,117 @@
+// utils/mock-data.js - Seeded fixtures for the local JSONPlaceholder stand-in
+import { Faker, en } from '@faker-js/faker';
+
+export const DEFAULT_SEED = 20240101;
+
+// Same record counts and relationships as jsonplaceholder.typicode.com
+const COUNTS = {
+  users: 10,
+  postsPerUser: 10,
+  commentsPerPost: 5,
+  todosPerUser: 20,
+  albumsPerUser: 10,
+  photosPerAlbum: 50
+};
+
+function buildUser(faker, id) {
+  const firstName = faker.person.firstName();
+  const lastName = faker.person.lastName();
+
+  return {
+    id,
+    name: `${firstName} ${lastName}`,
+    username: faker.internet.username({ firstName, lastName }),
+    email: faker.internet.email({ firstName, lastName }),
+    address: {
+      street: faker.location.street(),
+      suite: faker.location.secondaryAddress(),
+      city: faker.location.city(),
+      zipcode: faker.location.zipCode(),
+      geo: {
+        lat: String(faker.location.latitude()),
+        lng: String(faker.location.longitude())
+      }
+    },
+    phone: faker.phone.number(),
+    website: faker.internet.domainName(),
+    company: {
+      name: faker.company.name(),
+      catchPhrase: faker.company.catchPhrase(),
+      bs: faker.company.buzzPhrase()
+    }
+  };
+}
+
+// Build the full data set; the same seed always yields the same records
+export function createSeedData(seed = DEFAULT_SEED) {
+  const faker = new Faker({ locale: [en] });
+  faker.seed(seed);
+
+  const users = [];
+  const posts = [];
+  const comments = [];
+  const todos = [];
+
+  for (let userId = 1; userId <= COUNTS.users; userId++) {
+    users.push(buildUser(faker, userId));
+
+    for (let i = 0; i < COUNTS.postsPerUser; i++) {
+      posts.push({
+        userId,
+        id: posts.length + 1,
+        title: faker.lorem.sentence({ min: 3, max: 7 }).toLowerCase(),
+        body: faker.lorem.sentences(4, '\n').toLowerCase()
+      });
+    }
+
+    for (let i = 0; i < COUNTS.todosPerUser; i++) {
+      todos.push({
+        userId,
+        id: todos.length + 1,
+        title: faker.lorem.sentence({ min: 2, max: 6 }).toLowerCase(),
+        completed: faker.datatype.boolean()
+      });
+    }
+  }
+
+  for (const post of posts) {
+    for (let i = 0; i < COUNTS.commentsPerPost; i++) {
+      comments.push({
+        postId: post.id,
+        id: comments.length + 1,
+        name: faker.lorem.sentence({ min: 3, max: 6 }).toLowerCase(),
+        email: faker.internet.email(),
+        body: faker.lorem.sentences(3, '\n').toLowerCase()
+      });
+    }
+  }
+
+  // Generated last so adding them left the records above unchanged for existing seeds
+  const albums = [];
+  const photos = [];
+
+  for (const user of users) {
+    for (let i = 0; i < COUNTS.albumsPerUser; i++) {
+      albums.push({
+        userId: user.id,
+        id: albums.length + 1,
+        title: faker.lorem.sentence({ min: 2, max: 5 }).toLowerCase()
+      });
+    }
+  }
+
+  for (const album of albums) {
+    for (let i = 0; i < COUNTS.photosPerAlbum; i++) {
+      const color = faker.string.hexadecimal({ length: 6, casing: 'lower', prefix: '' });
+      photos.push({
+        albumId: album.id,
+        id: photos.length + 1,
+        title: faker.lorem.sentence({ min: 3, max: 8 }).toLowerCase(),
+        url: `https://via.placeholder.com/600/${color}`,
+        thumbnailUrl: `https://via.placeholder.com/150/${color}`
+      });
+    }
+  }
+
+  return { users, posts, comments, todos, albums, photos };
+}
@@ -0,0 +1,524 @@
+// utils/mock-server.js - Local stateful JSONPlaceholder stand-in
+import http from 'node:http';
+import { randomUUID } from 'node:crypto';
+import { pathToFileURL } from 'node:url';
+import { createSeedData } from './mock-data.js';
+import { schemas, validateSchema } from './schemas.js';
+
+export const MOCK_SERVER_PORT = Number(process.env.MOCK_SERVER_PORT) || 3100;
+export const MOCK_SERVER_URL = `http://localhost:${MOCK_SERVER_PORT}`;
+
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+// Demo credentials accepted when auth is enabled; GET/HEAD/OPTIONS need "read", everything else "write"
+export const MOCK_AUTH = {
+  clients: {
+    'demo-client': { secret: 'demo-secret', scopes: ['read', 'write'] },
+    'readonly-client': { secret: 'readonly-secret', scopes: ['read'] }
+  },
+  bearerTokens: { 'demo-static-token': ['read', 'write'] },
+  apiKeys: { 'demo-api-key': ['read', 'write'] },
+  users: { demo: { password: 'demo-password', scopes: ['read', 'write'] } },
+  tokenTtl: 3600
+};
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Like JSONPlaceholder (json-server): bodies up to 10 MB, any origin reflected with credentials
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+const CORS_METHODS = 'GET,HEAD,PUT,PATCH,POST,DELETE';
+
+// What a strict API enforces when validation is on; override per server, e.g. { maxBodyBytes: 1024 }
+export const MOCK_VALIDATION = {
+  maxBodyBytes: 100 * 1024,
+  corsOrigins: ['http://localhost:3000']
+};
+
+// Methods each route shape supports; anything else is 405 under validation
+const ROUTE_METHODS = {
+  collection: ['GET', 'HEAD', 'POST'],
+  record: ['GET', 'HEAD', 'PUT', 'PATCH', 'DELETE'],
+  nested: ['GET', 'HEAD', 'POST']
+};
+
+class MockServer {
+  // auth: false (open), true (MOCK_AUTH) or overrides such as { tokenTtl: 1 }
+  // rateLimit: { limit: 100, windowMs: 1000 } answers 429 once a window's budget is spent
+  // validation: false (lenient like JSONPlaceholder) or true / MOCK_VALIDATION overrides to answer
+  // 400/405/413/415/422 the way a strict API would, and only trust listed CORS origins
+  constructor({ port = MOCK_SERVER_PORT, seed, auth = false, rateLimit = null, validation = false } = {}) {
+    this.port = Number(port);
+    this.seed = seed;
+    this.auth = auth ? { ...MOCK_AUTH, ...(auth === true ? {} : auth) } : null;
+    this.rateLimit = rateLimit;
+    this.validation = validation ? { ...MOCK_VALIDATION, ...(validation === true ? {} : validation) } : null;
+    this.issuedTokens = new Map();
+    this.server = null;
+    this.reset();
+  }
+
+  // True when the given base URL targets the bundled mock server
+  static handles(baseURL) {
+    if (!baseURL) return false;
+
+    const { hostname, port } = new URL(baseURL);
+    return LOOPBACK_HOSTS.includes(hostname) && Number(port) === MOCK_SERVER_PORT;
+  }
+
+  get url() {
+    return `http://localhost:${this.port}`;
+  }
+
+  // Restore the seeded fixtures, discarding every write made so far, and open a fresh rate-limit window
+  reset() {
+    this.rateWindow = { startedAt: 0, count: 0 };
+    this.db = createSeedData(this.seed);
+    this.sequences = Object.fromEntries(
+      Object.entries(this.db).map(([resource, records]) => [resource, Math.max(0, ...records.map(record => record.id))])
+    );
+  }
+
+  async start() {
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch(error => {
+        this.send(res, 500, { error: error.message });
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, () => {
+        this.server.off('error', reject);
+        this.port = this.server.address().port;
+        resolve();
+      });
+    });
+
+    return this;
+  }
+
+  async stop() {
+    if (!this.server) return;
+
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+  }
+
+  async handle(req, res) {
+    const url = new URL(req.url, this.url);
+    const [resource, id, child, ...rest] = url.pathname.split('/').filter(Boolean);
+
+    // The token endpoint is always served so clients can be configured before auth is enforced
+    if (url.pathname === '/oauth/token') {
+      return this.handleToken(req, res);
+    }
+
+    // Preflights carry no credentials, so they are answered before rate limiting and auth
+    for (const [name, value] of Object.entries(this.corsHeaders(req.headers.origin))) {
+      res.setHeader(name, value);
+    }
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, { Allow: CORS_METHODS });
+      return res.end();
+    }
+
+    if (this.rateLimit) {
+      const throttled = this.throttle();
+      if (throttled) return this.send(res, 429, { error: 'Too many requests' }, throttled.headers);
+    }
+
+    if (this.auth) {
+      const denied = this.authorize(req);
+      if (denied) return this.send(res, denied.status, denied.body, denied.headers);
+    }
+
+    if (!resource) {
+      return this.send(res, 200, { resources: Object.keys(this.db) });
+    }
+
+    if (!this.db[resource] || rest.length > 0) {
+      return this.send(res, 404, {});
+    }
+
+    if (this.validation) {
+      const allowed = ROUTE_METHODS[id === undefined ? 'collection' : child === undefined ? 'record' : 'nested'];
+      if (!allowed.includes(req.method)) {
+        return this.send(res, 405, { error: `${req.method} is not supported here` }, { Allow: allowed.join(', ') });
+      }
+      if (id !== undefined && !/^\d+$/.test(id)) {
+        return this.send(res, 400, { error: 'Ids are positive integers' });
+      }
+    }
+
+    let body;
+    if (['POST', 'PUT', 'PATCH'].includes(req.method)) {
+      const raw = await this.readRaw(req);
+      const limit = this.validation?.maxBodyBytes ?? MAX_BODY_BYTES;
+      if (Buffer.byteLength(raw) > limit) {
+        return this.send(res, 413, { error: `Body exceeds ${limit} bytes` });
+      }
+      if (this.validation && raw.trim() && !String(req.headers['content-type']).includes('application/json')) {
+        return this.send(res, 415, { error: 'Content-Type must be application/json' });
+      }
+
+      body = this.parseBody(raw);
+      if (body === undefined) {
+        return this.send(res, 400, { error: 'Malformed JSON body' });
+      }
+    }
+
+    // HEAD is answered as GET; Node drops the body of a HEAD response but keeps status and headers
+    const method = req.method === 'HEAD' ? 'GET' : req.method;
+
+    if (id === undefined) {
+      return this.handleCollection(res, method, resource, url, body);
+    }
+
+    if (child === undefined) {
+      return this.handleRecord(res, method, resource, id, body);
+    }
+
+    return this.handleNested(res, method, resource, id, child, url, body);
+  }
+
+  // Lenient mode reflects any origin with credentials (as json-server does); validation trusts only corsOrigins
+  corsHeaders(origin) {
+    if (!origin) return {};
+    if (this.validation && !this.validation.corsOrigins.includes(origin)) return { Vary: 'Origin' };
+
+    return {
+      'Access-Control-Allow-Origin': origin,
+      'Access-Control-Allow-Credentials': 'true',
+      'Access-Control-Allow-Methods': CORS_METHODS,
+      'Access-Control-Allow-Headers': 'Authorization, Content-Type, X-API-Key',
+      'Access-Control-Expose-Headers': 'X-Total-Count, Link',
+      Vary: 'Origin'
+    };
+  }
+
+  // 422 details when validation is on and a write breaks the resource's payload schema
+  rejectPayload(resource, record) {
+    const name = resource.replace(/s$/, '');
+    if (!this.validation || !schemas[name]) return null;
+
+    const violations = validateSchema(name, record, { payload: true });
+    return violations.length > 0 ? { error: 'Validation failed', violations } : null;
+  }
+
+  // Fixed window shared by all clients; Retry-After points at the start of the next window
+  throttle() {
+    const { limit, windowMs = 1000 } = this.rateLimit;
+    const now = Date.now();
+    if (now - this.rateWindow.startedAt >= windowMs) {
+      this.rateWindow = { startedAt: now, count: 0 };
+    }
+
+    this.rateWindow.count += 1;
+    if (this.rateWindow.count <= limit) return null;
+
+    const resetSeconds = Math.max(1, Math.ceil((this.rateWindow.startedAt + windowMs - now) / 1000));
+    return {
+      headers: {
+        'Retry-After': String(resetSeconds),
+        'X-RateLimit-Limit': String(limit),
+        'X-RateLimit-Remaining': '0'
+      }
+    };
+  }
+
+  // OAuth2 client-credentials grant; client id/secret come from the form body or a Basic header
+  async handleToken(req, res) {
+    if (req.method !== 'POST') {
+      return this.send(res, 405, { error: 'invalid_request' });
+    }
+
+    const raw = await this.readRaw(req);
+    let params;
+    try {
+      params = String(req.headers['content-type']).includes('application/json')
+        ? JSON.parse(raw || '{}')
+        : Object.fromEntries(new URLSearchParams(raw));
+    } catch {
+      return this.send(res, 400, { error: 'invalid_request' });
+    }
+
+    const basic = this.parseBasic(req.headers.authorization);
+    const clientId = params.client_id ?? basic?.username;
+    const clientSecret = params.client_secret ?? basic?.password;
+
+    if (params.grant_type !== 'client_credentials') {
+      return this.send(res, 400, { error: 'unsupported_grant_type' });
+    }
+
+    const clients = (this.auth ?? MOCK_AUTH).clients;
+    const client = clients[clientId];
+    if (!client || client.secret !== clientSecret) {
+      return this.send(res, 401, { error: 'invalid_client' });
+    }
+
+    const requested = params.scope ? String(params.scope).split(/\s+/).filter(Boolean) : client.scopes;
+    if (requested.some(scope => !client.scopes.includes(scope))) {
+      return this.send(res, 400, { error: 'invalid_scope' });
+    }
+
+    const ttl = (this.auth ?? MOCK_AUTH).tokenTtl;
+    const accessToken = `mock_${randomUUID()}`;
+    this.issuedTokens.set(accessToken, { scopes: requested, expiresAt: Date.now() + ttl * 1000 });
+
+    return this.send(res, 200, {
+      access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: ttl,
+      scope: requested.join(' ')
+    });
+  }
+
+  // Returns a 401/403 response description, or null when the request may proceed
+  authorize(req) {
+    const scopes = this.scopesFor(req.headers);
+    if (!scopes) {
+      return {
+        status: 401,
+        body: { error: 'unauthorized' },
+        headers: { 'WWW-Authenticate': 'Bearer realm="mock", error="invalid_token"' }
+      };
+    }
+
+    const required = READ_METHODS.includes(req.method) ? 'read' : 'write';
+    if (!scopes.includes(required)) {
+      return {
+        status: 403,
+        body: { error: 'insufficient_scope', required },
+        headers: { 'WWW-Authenticate': `Bearer realm="mock", error="insufficient_scope", scope="${required}"` }
+      };
+    }
+    return null;
+  }
+
+  scopesFor(headers) {
+    const apiKey = headers['x-api-key'];
+    if (apiKey) return this.auth.apiKeys[apiKey] ?? null;
+
+    const [scheme, credentials] = String(headers.authorization ?? '').split(' ');
+    if (/^bearer$/i.test(scheme)) {
+      const issued = this.issuedTokens.get(credentials);
+      if (issued) return issued.expiresAt > Date.now() ? issued.scopes : null;
+      return this.auth.bearerTokens[credentials] ?? null;
+    }
+
+    const basic = this.parseBasic(headers.authorization);
+    const user = basic && this.auth.users[basic.username];
+    return user && user.password === basic.password ? user.scopes : null;
+  }
+
+  parseBasic(header) {
+    const [scheme, encoded] = String(header ?? '').split(' ');
+    if (!/^basic$/i.test(scheme) || !encoded) return null;
+
+    const decoded = Buffer.from(encoded, 'base64').toString('utf8');
+    const separator = decoded.indexOf(':');
+    return separator === -1 ? null : { username: decoded.slice(0, separator), password: decoded.slice(separator + 1) };
+  }
+
+  handleCollection(res, method, resource, url, body) {
+    if (method === 'GET') {
+      return this.list(res, this.db[resource], url);
+    }
+
+    if (method === 'POST') {
+      const rejected = this.rejectPayload(resource, body);
+      if (rejected) return this.send(res, 422, rejected);
+      return this.send(res, 201, this.insert(resource, body));
+    }
+
+    return this.send(res, 404, {});
+  }
+
+  handleRecord(res, method, resource, id, body) {
+    const index = this.db[resource].findIndex(record => String(record.id) === id);
+    if (index === -1) {
+      return this.send(res, 404, {});
+    }
+
+    const existing = this.db[resource][index];
+
+    // PATCH is checked as the record it would produce
+    if (method === 'PUT' || method === 'PATCH') {
+      const { id: _, ...fields } = method === 'PUT' ? body : { ...existing, ...body };
+      const rejected = this.rejectPayload(resource, fields);
+      if (rejected) return this.send(res, 422, rejected);
+    }
+
+    switch (method) {
+      case 'GET':
+        return this.send(res, 200, existing);
+      case 'PUT':
+        this.db[resource][index] = { ...body, id: existing.id };
+        return this.send(res, 200, this.db[resource][index]);
+      case 'PATCH':
+        this.db[resource][index] = { ...existing, ...body, id: existing.id };
+        return this.send(res, 200, this.db[resource][index]);
+      case 'DELETE':
+        this.db[resource].splice(index, 1);
+        return this.send(res, 200, {});
+      default:
+        return this.send(res, 404, {});
+    }
+  }
+
+  // Nested routes such as /users/1/posts filter the child by its foreign key
+  handleNested(res, method, resource, id, child, url, body) {
+    if (!this.db[child]) {
+      return this.send(res, 404, {});
+    }
+
+    const foreignKey = `${resource.replace(/s$/, '')}Id`;
+
+    if (method === 'GET') {
+      const related = this.db[child].filter(record => String(record[foreignKey]) === id);
+      return this.list(res, related, url);
+    }
+
+    if (method === 'POST') {
+      const record = { ...body, [foreignKey]: Number(id) };
+      const rejected = this.rejectPayload(child, record);
+      if (rejected) return this.send(res, 422, rejected);
+      return this.send(res, 201, this.insert(child, record));
+    }
+
+    return this.send(res, 404, {});
+  }
+
+  /*
+   * JSONPlaceholder (json-server) collection queries, applied in this order:
+   *   ?userId=1&userId=2          field filters
+   *   ?_sort=userId,title&_order=desc,asc
+   *   ?_page=2&_limit=10          pages (limit defaults to 10), with Link and X-Total-Count headers
+   *   ?_start=5&_end=15 or ?_start=5&_limit=10 or ?_limit=10   slices, with X-Total-Count
+   */
+  list(res, records, url) {
+    const query = url.searchParams;
+    const matched = this.sort(this.filter(records, query), query);
+    const whole = value => (/^\d+$/.test(value ?? '') ? Number(value) : undefined);
+
+    if (query.has('_page')) {
+      const limit = whole(query.get('_limit')) || 10;
+      const page = whole(query.get('_page')) || 1;
+      const lastPage = Math.max(1, Math.ceil(matched.length / limit));
+      return this.send(res, 200, matched.slice((page - 1) * limit, page * limit), {
+        'X-Total-Count': String(matched.length),
+        Link: this.pageLinks(url, page, limit, lastPage),
+        'Access-Control-Expose-Headers': 'X-Total-Count, Link'
+      });
+    }
+
+    if (['_start', '_end', '_limit'].some(key => query.has(key))) {
+      const start = whole(query.get('_start')) ?? 0;
+      const end = query.has('_end') ? whole(query.get('_end')) : start + whole(query.get('_limit'));
+      return this.send(res, 200, matched.slice(start, Number.isNaN(end) ? undefined : end), {
+        'X-Total-Count': String(matched.length),
+        'Access-Control-Expose-Headers': 'X-Total-Count'
+      });
+    }
+
+    return this.send(res, 200, matched);
+  }
+
+  // RFC 8288 links to the first, previous, next and last pages
+  pageLinks(url, page, limit, lastPage) {
+    const link = (target, rel) => {
+      const href = new URL(url);
+      href.searchParams.set('_page', String(target));
+      href.searchParams.set('_limit', String(limit));
+      return `<${href.href}>; rel="${rel}"`;
+    };
+
+    return [
+      link(1, 'first'),
+      ...(page > 1 ? [link(page - 1, 'prev')] : []),
+      ...(page < lastPage ? [link(page + 1, 'next')] : []),
+      link(lastPage, 'last')
+    ].join(', ');
+  }
+
+  // Stable multi-field sort; missing values go last whatever the direction
+  sort(records, query) {
+    if (!query.has('_sort')) return records;
+
+    const fields = query.get('_sort').split(',');
+    const orders = (query.get('_order') ?? '').split(',');
+    const valueOf = (record, field) => field.split('.').reduce((value, key) => value?.[key], record);
+
+    return [...records].sort((a, b) => {
+      for (const [index, field] of fields.entries()) {
+        const [left, right] = [valueOf(a, field), valueOf(b, field)];
+        if (left === right) continue;
+        if (left === undefined || left === null) return 1;
+        if (right === undefined || right === null) return -1;
+
+        const direction = orders[index]?.toLowerCase() === 'desc' ? -1 : 1;
+        if (left < right) return -direction;
+        if (left > right) return direction;
+      }
+      return 0;
+    });
+  }
+
+  // Field filters like ?userId=1; repeated keys match any of the values
+  filter(records, query) {
+    const fields = [...new Set(query.keys())].filter(key => !key.startsWith('_'));
+
+    return records.filter(record =>
+      fields.every(field => query.getAll(field).includes(String(record[field])))
+    );
+  }
+
+  // Ids come from a per-resource sequence so deleted ids are never handed out again
+  insert(resource, data) {
+    const nextId = ++this.sequences[resource];
+    const record = { ...data, id: nextId };
+    this.db[resource].push(record);
+    return record;
+  }
+
+  async readRaw(req) {
+    const chunks = [];
+    for await (const chunk of req) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+  }
+
+  // The parsed JSON object, {} for an empty body, or undefined when malformed
+  parseBody(raw) {
+    if (!raw.trim()) return {};
+
+    try {
+      const parsed = JSON.parse(raw);
+      return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : undefined;
+    } catch {
+      return undefined;
+    }
+  }
+
+  send(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+    res.end(JSON.stringify(body, null, 2));
+  }
+}
+
+// Allow running standalone: `npm run mock:server`
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const rateLimit = Number(process.env.MOCK_RATE_LIMIT) ? { limit: Number(process.env.MOCK_RATE_LIMIT), windowMs: 1000 } : null;
+  const server = await new MockServer({
+    auth: Boolean(process.env.MOCK_AUTH),
+    rateLimit,
+    validation: Boolean(process.env.MOCK_VALIDATION)
+  }).start();
+  console.log(`🧪 Mock JSONPlaceholder API listening on ${server.url}${server.auth ? ' (auth required)' : ''}`);
+  if (server.validation) console.log('   Validation enforced (400/405/413/415/422, trusted CORS origins only)');
+  if (rateLimit) console.log(`   Rate limited to ${rateLimit.limit} requests per second`);
+  console.log(`   Run the suite against it with TEST_ENV=local (or API_BASE_URL=${server.url})`);
+}
+
+export default MockServer;
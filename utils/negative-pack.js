@@ -0,0 +1,301 @@
+// utils/negative-pack.js - Reusable negative and security checks: injection, oversized bodies, method/header abuse, CORS
+import { test, expect } from './fixtures.js';
+import { sendRequest } from './api-client.js';
+import DataGenerator from './data-generator.js';
+
+export const INJECTION_STRINGS = {
+  sql: ["' OR '1'='1", "1; DROP TABLE users; --", '" OR ""="', "1' UNION SELECT NULL, version() --"],
+  nosql: ['{"$gt": ""}', "'; return true; var x='", '[$ne]=1'],
+  script: ['<script>alert(1)</script>', '"><img src=x onerror=alert(1)>', 'javascript:alert(1)', '{{7*7}}', '${7*7}']
+};
+
+// Operator objects where a scalar belongs (MongoDB-style query injection through a JSON body)
+export const NOSQL_OPERATORS = [{ $gt: '' }, { $ne: null }, { $where: 'sleep(100)' }];
+
+// Encoded so the client does not normalize them away; the last one is resolved client-side to /etc/passwd
+export const TRAVERSAL_PATHS = [
+  '..%2F..%2F..%2Fetc%2Fpasswd',
+  '%2e%2e%2f%2e%2e%2fetc%2fpasswd',
+  '....%2F%2F....%2F%2Fetc%2Fpasswd',
+  '1%2F..%2F..%2Fadmin',
+  '1%00.json',
+  '../../etc/passwd'
+];
+
+// No response, whatever its status, may reveal these
+export const LEAK_PATTERNS = [
+  { name: 'SQL error', pattern: /SQLSTATE|syntax error at or near|ORA-\d{5}|SQLITE_ERROR|You have an error in your SQL syntax/i },
+  { name: 'NoSQL error', pattern: /MongoError|MongoServerError|CastError/ },
+  { name: 'stack trace', pattern: /\n\s+at \S.*\(?\S+:\d+:\d+\)?|Traceback \(most recent call last\)/ },
+  { name: 'file contents', pattern: /root:x?:0:0:/ }
+];
+
+/*
+ * Allowed statuses per check. 'lenient' matches JSONPlaceholder and the default mock, which store
+ * almost anything; 'strict' is what a validating API (or new MockServer({ validation: true })) answers.
+ * Any 5xx not listed fails a check.
+ */
+export const NEGATIVE_PRESETS = {
+  lenient: {
+    status: {
+      invalidPayload: [201, 400, 422],
+      injectionBody: [201, 400, 422],
+      injectionId: [400, 404],
+      injectionQuery: [200, 400],
+      nosqlOperators: [201, 400, 422],
+      oversizedBody: [201, 400, 413],
+      wrongContentType: [201, 400, 415],
+      malformedJson: [400],
+      unsupportedMethod: [404, 405],
+      pathTraversal: [400, 404]
+    },
+    // Operator-style keys (?id[$ne]=0) may be parsed into objects and match records
+    operatorQueriesMatchNothing: false,
+    // Untrusted origins may be reflected, as JSONPlaceholder does
+    rejectUntrustedOrigins: false,
+    oversizedBodyBytes: 1024 * 1024,
+    trustedOrigin: 'http://localhost:3000',
+    untrustedOrigin: 'https://evil.example'
+  },
+  strict: {
+    status: {
+      invalidPayload: [400, 422],
+      injectionBody: [201, 400, 422],
+      injectionId: [400, 404],
+      injectionQuery: [200, 400],
+      nosqlOperators: [400, 422],
+      oversizedBody: [413],
+      wrongContentType: [415],
+      malformedJson: [400],
+      unsupportedMethod: [405],
+      pathTraversal: [400, 404]
+    },
+    operatorQueriesMatchNothing: true,
+    rejectUntrustedOrigins: true,
+    oversizedBodyBytes: 1024 * 1024,
+    trustedOrigin: 'http://localhost:3000',
+    untrustedOrigin: 'https://evil.example'
+  }
+};
+
+export const NEGATIVE_CHECKS = [...Object.keys(NEGATIVE_PRESETS.strict.status), 'corsPreflight'];
+
+/*
+ * Expectations for an environment profile's "negativeTests" block:
+ *   { "preset": "strict", "status": { "unsupportedMethod": [404] }, "oversizedBodyBytes": 65536 }
+ * NEGATIVE_PRESET=strict switches the preset without editing the profile.
+ */
+export function negativeExpectations(environment = {}) {
+  const { preset: profilePreset = 'lenient', status = {}, ...overrides } = environment.negativeTests ?? {};
+  const preset = process.env.NEGATIVE_PRESET || profilePreset;
+  const base = NEGATIVE_PRESETS[preset];
+  if (!base) {
+    throw new Error(`Unknown negative test preset "${preset}". Use: ${Object.keys(NEGATIVE_PRESETS).join(', ')}`);
+  }
+  return { ...base, ...overrides, preset, status: { ...base.status, ...status } };
+}
+
+const FOREIGN_KEYS = ['userId', 'postId'];
+
+// The payload field injection strings go into, and the one operator objects replace
+function targetFields(sample) {
+  const text = Object.keys(sample).find(key => typeof sample[key] === 'string');
+  const scalar = Object.keys(sample).find(key => FOREIGN_KEYS.includes(key)) ?? text;
+  return { text, scalar };
+}
+
+/*
+ * Requests for one check against /<resource>. Each case is
+ *   { name, method, path, params, headers, data, verify }
+ * where `verify(result, expectations)` adds soft assertions beyond the allowed statuses.
+ */
+export function buildNegativeCases(check, resource, { expectations, sample = DataGenerator.generateApiTestData(`/${resource}`) }) {
+  const collection = `/${resource}`;
+  const { text, scalar } = targetFields(sample);
+  const json = { 'Content-Type': 'application/json' };
+
+  switch (check) {
+    case 'invalidPayload':
+      return [
+        { name: 'empty object', method: 'POST', path: collection, data: {} },
+        { name: 'only one field', method: 'POST', path: collection, data: { [text]: sample[text] } },
+        { name: `${scalar} of the wrong type`, method: 'POST', path: collection, data: { ...sample, [scalar]: [true] } }
+      ];
+
+    case 'injectionBody':
+      return Object.entries(INJECTION_STRINGS).flatMap(([family, strings]) => strings.map(value => ({
+        name: `${family} in ${text}: ${value}`,
+        method: 'POST',
+        path: collection,
+        data: { ...sample, [text]: value },
+        // Accepted input must be stored as inert text, not evaluated or altered
+        verify: result => {
+          if (result.ok) expect.soft(result.body[text], `${text} echoed verbatim`).toBe(value);
+        }
+      })));
+
+    case 'injectionId':
+      return Object.entries(INJECTION_STRINGS).flatMap(([family, strings]) => strings.map(value => ({
+        name: `${family} as id: ${value}`,
+        method: 'GET',
+        path: `${collection}/${encodeURIComponent(value)}`
+      })));
+
+    case 'injectionQuery':
+      return [
+        ...Object.entries(INJECTION_STRINGS).flatMap(([family, strings]) => strings.map(value => ({
+          name: `${family} in ?id=: ${value}`,
+          method: 'GET',
+          path: collection,
+          params: { id: value },
+          verify: result => {
+            if (result.ok) expect.soft(result.body, 'records matched by an injected filter').toEqual([]);
+          }
+        }))),
+        {
+          name: 'operator key ?id[$ne]=0',
+          method: 'GET',
+          path: collection,
+          params: { 'id[$ne]': '0' },
+          verify: (result, { operatorQueriesMatchNothing }) => {
+            if (result.ok && operatorQueriesMatchNothing) expect.soft(result.body, 'records matched by ?id[$ne]=0').toEqual([]);
+          }
+        }
+      ];
+
+    case 'nosqlOperators':
+      return NOSQL_OPERATORS.map(operator => ({
+        name: `${scalar}: ${JSON.stringify(operator)}`,
+        method: 'POST',
+        path: collection,
+        data: { ...sample, [scalar]: operator }
+      }));
+
+    case 'oversizedBody':
+      return [{
+        name: `${Math.round(expectations.oversizedBodyBytes / 1024)} KB ${text}`,
+        method: 'POST',
+        path: collection,
+        data: { ...sample, [text]: 'x'.repeat(expectations.oversizedBodyBytes) }
+      }];
+
+    case 'wrongContentType':
+      return [
+        { name: 'JSON sent as text/plain', method: 'POST', path: collection, headers: { 'Content-Type': 'text/plain' }, data: JSON.stringify(sample) },
+        { name: 'XML body', method: 'POST', path: collection, headers: { 'Content-Type': 'application/xml' }, data: `<${text}>x</${text}>` }
+      ];
+
+    case 'malformedJson':
+      return [
+        { name: 'truncated object', method: 'POST', path: collection, headers: json, data: `{"${text}": "x"` },
+        { name: 'single quotes', method: 'POST', path: collection, headers: json, data: `{'${text}': 'x'}` },
+        { name: 'trailing comma', method: 'PUT', path: `${collection}/1`, headers: json, data: `{"${text}": "x",}` }
+      ];
+
+    case 'unsupportedMethod':
+      return [
+        { name: `DELETE ${collection}`, method: 'DELETE', path: collection },
+        { name: `PUT ${collection}`, method: 'PUT', path: collection, data: sample },
+        { name: `PATCH ${collection}`, method: 'PATCH', path: collection, data: sample },
+        { name: `POST ${collection}/1`, method: 'POST', path: `${collection}/1`, data: sample }
+      ];
+
+    case 'pathTraversal':
+      return TRAVERSAL_PATHS.map(segment => ({ name: segment, method: 'GET', path: `${collection}/${segment}` }));
+
+    default:
+      throw new Error(`Unknown negative check "${check}". Use: ${NEGATIVE_CHECKS.join(', ')}`);
+  }
+}
+
+function findLeaks(result) {
+  const text = typeof result.body === 'string' ? result.body : JSON.stringify(result.body ?? '');
+  return LEAK_PATTERNS.filter(({ pattern }) => pattern.test(text)).map(({ name }) => name);
+}
+
+// Send every case of a check; soft assertions report all offending cases at once
+export async function runNegativeCheck(request, check, resource, { expectations, sample }) {
+  const allowed = expectations.status[check];
+  const outcomes = [];
+
+  for (const testCase of buildNegativeCases(check, resource, { expectations, sample })) {
+    const result = await sendRequest(request, testCase.method, testCase.path, {
+      params: testCase.params,
+      data: testCase.data,
+      headers: testCase.headers
+    });
+    outcomes.push({ case: testCase.name, method: testCase.method, path: testCase.path, status: result.status });
+
+    expect.soft(allowed, `${testCase.method} ${testCase.path} (${testCase.name}) answered ${result.status}`).toContain(result.status);
+    expect.soft(findLeaks(result), `${testCase.name}: response leaks internals`).toEqual([]);
+    testCase.verify?.(result, expectations);
+  }
+
+  return outcomes;
+}
+
+// Preflight from a trusted origin must succeed; an untrusted one must not be granted access under rejectUntrustedOrigins
+export async function runCorsChecks(request, resource, expectations) {
+  const preflight = origin => request.fetch(`/${resource}`, {
+    method: 'OPTIONS',
+    headers: {
+      Origin: origin,
+      'Access-Control-Request-Method': 'POST',
+      'Access-Control-Request-Headers': 'content-type'
+    }
+  });
+
+  const trusted = await preflight(expectations.trustedOrigin);
+  const trustedHeaders = trusted.headers();
+  expect.soft(trusted.status(), `preflight from ${expectations.trustedOrigin}`).toBeLessThan(300);
+  expect.soft([expectations.trustedOrigin, '*'], 'Access-Control-Allow-Origin for a trusted origin')
+    .toContain(trustedHeaders['access-control-allow-origin']);
+  if (trustedHeaders['access-control-allow-methods']) {
+    expect.soft(trustedHeaders['access-control-allow-methods'].toUpperCase(), 'Access-Control-Allow-Methods').toContain('POST');
+  }
+
+  const untrusted = await preflight(expectations.untrustedOrigin);
+  const untrustedHeaders = untrusted.headers();
+  const allowOrigin = untrustedHeaders['access-control-allow-origin'];
+  const grantsAccess = allowOrigin === expectations.untrustedOrigin ||
+    (allowOrigin === '*' && untrustedHeaders['access-control-allow-credentials'] === 'true');
+  if (expectations.rejectUntrustedOrigins) {
+    expect.soft(grantsAccess, `${expectations.untrustedOrigin} is granted cross-origin access`).toBe(false);
+  } else if (grantsAccess) {
+    console.warn(`⚠️ /${resource} grants cross-origin access to ${expectations.untrustedOrigin}`);
+  }
+
+  return {
+    trusted: { status: trusted.status(), allowOrigin: trustedHeaders['access-control-allow-origin'] },
+    untrusted: { status: untrusted.status(), allowOrigin, grantsAccess }
+  };
+}
+
+/*
+ * Register one test per resource and check:
+ *   runNegativePack({ resources: ['posts', 'users'], checks: ['injectionBody', 'corsPreflight'] })
+ * Expectations come from the environment profile unless `expectations` is given;
+ * `request` replaces the fixture (e.g. a context for a private mock).
+ */
+export function runNegativePack({ resources, checks = NEGATIVE_CHECKS, expectations: fixed, request: override }) {
+  for (const resource of resources) {
+    test.describe(`/${resource}`, () => {
+      for (const check of checks) {
+        test(check, async ({ request, environment }, testInfo) => {
+          const expectations = fixed ?? negativeExpectations(environment);
+          const target = typeof override === 'function' ? override() : request;
+
+          const outcome = check === 'corsPreflight'
+            ? await runCorsChecks(target, resource, expectations)
+            : await runNegativeCheck(target, check, resource, { expectations });
+
+          await testInfo.attach(`negative-${resource}-${check}`, {
+            body: JSON.stringify({ preset: expectations.preset, allowed: expectations.status[check], outcome }, null, 2),
+            contentType: 'application/json'
+          });
+          console.log(`🛡️ /${resource} ${check} (${expectations.preset}): ${Array.isArray(outcome) ? `${outcome.length} case(s)` : 'preflight checked'}`);
+        });
+      }
+    });
+  }
+}
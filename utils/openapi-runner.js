@@ -0,0 +1,121 @@
+// utils/openapi-runner.js - Generate a baseline test for every operation in an OpenAPI document
+import { test, expect } from './fixtures.js';
+import { sendRequest } from './api-client.js';
+import MockServer from './mock-server.js';
+import { loadOpenApi, declaredResponse } from './openapi.js';
+
+// Path parameter used for the generated "unknown id → 404" tests
+const MISSING_ID = 999999;
+
+function exampleOf(definition) {
+  if (!definition) return undefined;
+  if (definition.example !== undefined) return definition.example;
+
+  const [first] = Object.values(definition.examples ?? {});
+  return first?.value ?? definition.schema?.example ?? definition.schema?.default;
+}
+
+// Lowest declared 2xx code, e.g. 201 for a create
+function successStatus(operation) {
+  return Object.keys(operation.responses)
+    .filter(code => /^2\d\d$/.test(code))
+    .map(Number)
+    .sort((a, b) => a - b)[0];
+}
+
+function requestBodyExample(operation) {
+  const content = operation.requestBody?.content ?? {};
+  return exampleOf(content['application/json'] ?? Object.values(content)[0]);
+}
+
+// Fill path, query and header parameters from their examples; `values` overrides path parameters
+export function buildOperationRequest(operation, values = {}) {
+  let path = operation.path;
+  const params = {};
+  const headers = {};
+
+  for (const parameter of operation.parameters) {
+    const value = values[parameter.name] ?? exampleOf(parameter);
+    if (parameter.in === 'path') {
+      if (value === undefined) return { missing: parameter.name };
+      path = path.replace(`{${parameter.name}}`, encodeURIComponent(value));
+    } else if (value !== undefined && parameter.in === 'query') {
+      params[parameter.name] = value;
+    } else if (value !== undefined && parameter.in === 'header') {
+      headers[parameter.name] = String(value);
+    }
+  }
+
+  return { method: operation.method, path, params, headers, data: requestBodyExample(operation) };
+}
+
+// "PUT /posts/{id}" is created through "POST /posts"
+function createOperationFor(spec, operation) {
+  const collection = operation.path.replace(/\/\{[^}]+\}$/, '');
+  if (collection === operation.path) return undefined;
+  return spec.operations.find(candidate => candidate.method === 'POST' && candidate.path === collection);
+}
+
+async function sendOperation(request, operation, values) {
+  const call = buildOperationRequest(operation, values);
+  test.skip(Boolean(call.missing), `${operation.id} has no example for path parameter "${call.missing}"`);
+
+  const result = await sendRequest(request, call.method, call.path, {
+    params: call.params,
+    data: call.data,
+    headers: call.headers
+  });
+  return { call, result };
+}
+
+// OPENAPI_SEEDED_WRITES=1 lets PUT/PATCH/DELETE write to their example ids on an API other than the mock
+const seededWritesAllowed = () => Boolean(process.env.OPENAPI_SEEDED_WRITES);
+
+/*
+ * Register one test per operation: send its examples, expect the lowest declared 2xx code
+ * and validate status, content type, body and headers against the document.
+ * GET operations declaring 404 also get an unknown-id test. On the stateful mock,
+ * PUT/PATCH/DELETE first create a fresh record so seeded data stays untouched; elsewhere
+ * (JSONPlaceholder does not keep the record) they use the example id, but only with
+ * OPENAPI_SEEDED_WRITES set.
+ */
+export function runOpenApiTests(spec = loadOpenApi(), { title = `OpenAPI - ${spec.info.title ?? 'operations'}` } = {}) {
+  test.describe(title, () => {
+    for (const operation of spec.operations) {
+      const status = successStatus(operation);
+      const lastParameter = operation.pathParameters.at(-1);
+
+      if (status) {
+        test(`${operation.id}: ${operation.method} ${operation.path} → ${status}`, async ({ request, baseURL }) => {
+          const values = {};
+          const mutating = ['PUT', 'PATCH', 'DELETE'].includes(operation.method);
+          test.skip(
+            mutating && !MockServer.handles(baseURL) && !seededWritesAllowed(),
+            `${operation.id} would write to a seeded record (set OPENAPI_SEEDED_WRITES=1 to allow)`
+          );
+          const create = mutating && MockServer.handles(baseURL) ? createOperationFor(spec, operation) : undefined;
+
+          if (create) {
+            const { result: created } = await sendOperation(request, create);
+            expect(created.ok, `setup: ${create.id} answered ${created.status}`).toBe(true);
+            values[lastParameter] = created.body.id;
+          }
+
+          const { call, result } = await sendOperation(request, operation, values);
+          expect(result.status, `${call.method} ${call.path} status`).toBe(status);
+          await expect(result).toMatchOpenApi(operation);
+          console.log(`📘 ${operation.id}: ${call.method} ${call.path} → ${result.status} in ${result.duration}ms`);
+        });
+      }
+
+      if (operation.method === 'GET' && lastParameter && declaredResponse(operation, 404)?.key === '404') {
+        test(`${operation.id}: unknown ${lastParameter} → 404`, async ({ request }) => {
+          const { call, result } = await sendOperation(request, operation, { [lastParameter]: MISSING_ID });
+          expect(result.status, `${call.method} ${call.path} status`).toBe(404);
+          await expect(result).toMatchOpenApi(operation);
+          console.log(`📘 ${operation.id}: ${call.method} ${call.path} → 404 as declared`);
+        });
+      }
+    }
+  });
+}
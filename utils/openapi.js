@@ -0,0 +1,280 @@
+// utils/openapi.js - Load an OpenAPI 3 document, match calls to its operations and check responses
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import YAML from 'yaml';
+import { validateAgainst } from './schemas.js';
+import { observeResponses } from './request-hooks.js';
+
+export const OPENAPI_SPEC = process.env.OPENAPI_SPEC
+  || fileURLToPath(new URL('../openapi/jsonplaceholder.yaml', import.meta.url));
+
+export const OPENAPI_COVERAGE = 'openapi-coverage.jsonl';
+export const OPENAPI_COVERAGE_SUMMARY = 'openapi-coverage.json';
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+export class OpenApiError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'OpenApiError';
+    Object.assign(this, details);
+  }
+}
+
+// Inline local "#/components/..." references; external files are not supported
+function resolveRefs(node, document, trail = []) {
+  if (Array.isArray(node)) return node.map(item => resolveRefs(item, document, trail));
+  if (!node || typeof node !== 'object') return node;
+
+  if (typeof node.$ref === 'string') {
+    const ref = node.$ref;
+    if (!ref.startsWith('#/')) {
+      throw new OpenApiError(`Only local $refs are supported, found "${ref}"`);
+    }
+    if (trail.includes(ref)) {
+      throw new OpenApiError(`Circular $ref: ${[...trail, ref].join(' → ')}`);
+    }
+
+    const target = ref.slice(2).split('/').reduce((current, segment) => {
+      const key = segment.replace(/~1/g, '/').replace(/~0/g, '~');
+      return current?.[key];
+    }, document);
+    if (target === undefined) {
+      throw new OpenApiError(`Unresolved $ref "${ref}"`);
+    }
+    return resolveRefs(target, document, [...trail, ref]);
+  }
+
+  return Object.fromEntries(
+    Object.entries(node).map(([key, value]) => [key, resolveRefs(value, document, trail)])
+  );
+}
+
+// "/users/{id}/posts" → /^\/users\/([^/]+)\/posts$/
+function templatePattern(template) {
+  const source = template
+    .split(/\{[^}]+\}/)
+    .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('([^/]+)');
+  return new RegExp(`^${source}/?$`);
+}
+
+// Operation-level parameters override path-level ones with the same name and location
+function mergeParameters(pathParameters = [], operationParameters = []) {
+  const merged = new Map();
+  for (const parameter of [...pathParameters, ...operationParameters]) {
+    merged.set(`${parameter.in}:${parameter.name}`, parameter);
+  }
+  return [...merged.values()];
+}
+
+export function listOperations(document) {
+  return Object.entries(document.paths ?? {}).flatMap(([template, pathItem]) =>
+    HTTP_METHODS.filter(method => pathItem[method]).map(method => {
+      const operation = pathItem[method];
+      return {
+        id: operation.operationId ?? `${method.toUpperCase()} ${template}`,
+        method: method.toUpperCase(),
+        path: template,
+        pattern: templatePattern(template),
+        pathParameters: (template.match(/\{([^}]+)\}/g) ?? []).map(name => name.slice(1, -1)),
+        parameters: mergeParameters(pathItem.parameters, operation.parameters),
+        requestBody: operation.requestBody,
+        responses: operation.responses ?? {},
+        tags: operation.tags ?? []
+      };
+    })
+  );
+}
+
+// Parse and resolve a document; accepts a file path (YAML or JSON) or an already-parsed object
+export function loadOpenApi(source = OPENAPI_SPEC) {
+  const file = typeof source === 'string' ? source : null;
+  let raw = source;
+  if (file) {
+    if (!fs.existsSync(file)) {
+      throw new OpenApiError(`OpenAPI document not found: ${file}`);
+    }
+    const text = fs.readFileSync(file, 'utf8');
+    raw = path.extname(file) === '.json' ? JSON.parse(text) : YAML.parse(text);
+  }
+
+  if (!String(raw?.openapi ?? '').startsWith('3.')) {
+    throw new OpenApiError(`${file ?? 'OpenAPI document'}: expected an OpenAPI 3 document, found openapi: ${raw?.openapi}`);
+  }
+
+  const document = resolveRefs(raw, raw);
+  return { file, info: document.info ?? {}, document, operations: listOperations(document) };
+}
+
+// Find the operation serving a call; literal paths win over templated ones (/users/me before /users/{id})
+export function matchOperation(spec, method, url) {
+  const { pathname } = new URL(url, 'http://openapi.local');
+  const candidates = spec.operations
+    .filter(operation => operation.method === method.toUpperCase())
+    .sort((a, b) => a.pathParameters.length - b.pathParameters.length);
+
+  for (const operation of candidates) {
+    const match = pathname.match(operation.pattern);
+    if (match) {
+      const params = Object.fromEntries(
+        operation.pathParameters.map((name, index) => [name, decodeURIComponent(match[index + 1])])
+      );
+      return { operation, params };
+    }
+  }
+  return null;
+}
+
+// Exact code first, then a 4XX-style range, then `default`
+export function declaredResponse(operation, status) {
+  const key = [String(status), `${String(status)[0]}XX`, 'default']
+    .find(candidate => operation.responses[candidate] || operation.responses[candidate.toLowerCase()]);
+  return key ? { key, response: operation.responses[key] ?? operation.responses[key.toLowerCase()] } : null;
+}
+
+// "application/json; charset=utf-8" matches application/json, application/* and */*
+function declaredMediaType(content, contentType) {
+  const mediaType = String(contentType ?? '').split(';')[0].trim().toLowerCase();
+  const [type] = mediaType.split('/');
+  const key = [mediaType, `${type}/*`, '*/*'].find(candidate => content[candidate]);
+  return key ? { key, media: content[key] } : null;
+}
+
+// Header values arrive as strings; coerce them before checking numeric or boolean schemas
+function headerValue(value, schema = {}) {
+  if (['integer', 'number'].includes(schema.type) && value !== '' && !Number.isNaN(Number(value))) return Number(value);
+  if (schema.type === 'boolean' && ['true', 'false'].includes(value)) return value === 'true';
+  return value;
+}
+
+// Check status, content type, body schema and declared headers; returns [{ path, message }], [] when valid
+export function validateResponse(operation, { status, headers = {}, body }) {
+  const declared = declaredResponse(operation, status);
+  if (!declared) {
+    return [{
+      path: 'status',
+      message: `${status} is not declared for ${operation.id} (declared: ${Object.keys(operation.responses).join(', ')})`
+    }];
+  }
+
+  const violations = [];
+  const { response } = declared;
+  const lowerHeaders = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+
+  for (const [name, header] of Object.entries(response.headers ?? {})) {
+    const value = lowerHeaders[name.toLowerCase()];
+    if (value === undefined) {
+      if (header.required) violations.push({ path: `header ${name}`, message: 'is required but missing' });
+      continue;
+    }
+    if (header.schema) {
+      violations.push(...validateAgainst(header.schema, headerValue(value, header.schema), `header ${name}`));
+    }
+  }
+
+  if (response.content && Object.keys(response.content).length > 0) {
+    const contentType = lowerHeaders['content-type'];
+    const matched = declaredMediaType(response.content, contentType);
+    if (!matched) {
+      violations.push({
+        path: 'header content-type',
+        message: `"${contentType ?? ''}" is not declared (declared: ${Object.keys(response.content).join(', ')})`
+      });
+    } else if (matched.media.schema && /json/.test(matched.key)) {
+      violations.push(...validateAgainst(matched.media.schema, body));
+    }
+  }
+
+  return violations;
+}
+
+// Responses the suite has seen, matched to operations; one recorder per worker
+export class CoverageRecorder {
+  constructor(spec) {
+    this.spec = spec;
+    this.hits = [];
+  }
+
+  record(method, url, status) {
+    const matched = matchOperation(this.spec, method, url);
+    this.hits.push({
+      operation: matched?.operation.id ?? null,
+      method: method.toUpperCase(),
+      path: matched?.operation.path ?? new URL(url, 'http://openapi.local').pathname,
+      status
+    });
+  }
+
+  // One JSON line per hit so parallel workers can append to the same file
+  flush(outputDir) {
+    if (this.hits.length === 0) return;
+
+    fs.mkdirSync(outputDir, { recursive: true });
+    fs.appendFileSync(path.join(outputDir, OPENAPI_COVERAGE), this.hits.map(hit => `${JSON.stringify(hit)}\n`).join(''));
+    this.hits = [];
+  }
+}
+
+// Wrap an APIRequestContext so every response is recorded for the coverage report
+export function recordCoverage(request, recorder) {
+  return observeResponses(request, (response, { method }) => {
+    recorder.record(method, response.url(), response.status());
+  });
+}
+
+export function readCoverage(outputDir) {
+  const file = path.join(outputDir, OPENAPI_COVERAGE);
+  if (!fs.existsSync(file)) return [];
+
+  return fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+// Which operations and declared response codes were never exercised, and which calls the document does not describe
+export function summarizeCoverage(spec, hits) {
+  const undocumented = new Map();
+  const seen = new Map(spec.operations.map(operation => [operation.id, new Set()]));
+
+  for (const hit of hits) {
+    const operation = spec.operations.find(candidate => candidate.id === hit.operation);
+    const declared = operation && declaredResponse(operation, hit.status);
+    if (declared) {
+      seen.get(operation.id).add(declared.key);
+    } else {
+      const key = `${hit.method} ${hit.path} → ${hit.status}`;
+      undocumented.set(key, { method: hit.method, path: hit.path, status: hit.status, calls: (undocumented.get(key)?.calls ?? 0) + 1 });
+    }
+  }
+
+  const operations = spec.operations.map(operation => {
+    const declaredCodes = Object.keys(operation.responses);
+    const exercised = declaredCodes.filter(code => seen.get(operation.id).has(code));
+    return {
+      id: operation.id,
+      method: operation.method,
+      path: operation.path,
+      exercised: exercised.length > 0,
+      responses: { declared: declaredCodes, exercised, missing: declaredCodes.filter(code => !exercised.includes(code)) }
+    };
+  });
+
+  const responseCount = operations.reduce((total, operation) => total + operation.responses.declared.length, 0);
+  const exercisedResponses = operations.reduce((total, operation) => total + operation.responses.exercised.length, 0);
+
+  return {
+    spec: spec.file,
+    operations,
+    totals: {
+      operations: operations.length,
+      exercisedOperations: operations.filter(operation => operation.exercised).length,
+      responses: responseCount,
+      exercisedResponses
+    },
+    unexercisedOperations: operations.filter(operation => !operation.exercised).map(operation => operation.id),
+    missingResponses: operations
+      .filter(operation => operation.exercised)
+      .flatMap(operation => operation.responses.missing.map(status => ({ operation: operation.id, status }))),
+    undocumented: [...undocumented.values()]
+  };
+}
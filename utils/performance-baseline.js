@@ -0,0 +1,118 @@
+// utils/performance-baseline.js - Per-endpoint latency baselines and regression detection
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+export const BASELINE_DIR = process.env.PERF_BASELINE_DIR
+  || fileURLToPath(new URL('../performance-baselines', import.meta.url));
+
+export const REGRESSION_DEFAULTS = {
+  tolerance: 0.25,
+  alpha: 0.01,
+  minDeltaMs: 20,
+  mode: 'warn'
+};
+
+// One file per endpoint so parallel workers never write the same baseline
+export function baselinePath(name, dir = BASELINE_DIR) {
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return path.join(dir, `${slug}.json`);
+}
+
+// Baselines recorded against another API are meaningless here, so they count as missing
+export function readBaseline(name, baseURL, dir = BASELINE_DIR) {
+  const file = baselinePath(name, dir);
+  if (!fs.existsSync(file)) return null;
+
+  const baseline = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return baseline.baseURL === baseURL ? baseline : null;
+}
+
+export function writeBaseline(name, baseURL, stats, dir = BASELINE_DIR) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  const baseline = { endpoint: name, baseURL, recordedAt: new Date().toISOString(), stats };
+  fs.writeFileSync(baselinePath(name, dir), JSON.stringify(baseline, null, 2));
+  return baseline;
+}
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26)
+function normalCdf(z) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-(z * z) / 2);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// One-sided Mann-Whitney U test: p-value for "current samples are slower than baseline"
+export function mannWhitneyU(baseline, current) {
+  const n1 = current.length;
+  const n2 = baseline.length;
+  if (n1 === 0 || n2 === 0) return { u: 0, z: 0, pValue: 1 };
+
+  const values = [
+    ...current.map(value => ({ value, current: true })),
+    ...baseline.map(value => ({ value, current: false }))
+  ].sort((a, b) => a.value - b.value);
+
+  // Average ranks across ties and collect the tie correction term
+  let rankSum = 0;
+  let tieTerm = 0;
+  for (let i = 0; i < values.length;) {
+    let j = i;
+    while (j < values.length && values[j].value === values[i].value) j++;
+
+    const averageRank = (i + 1 + j) / 2;
+    const ties = j - i;
+    tieTerm += ties ** 3 - ties;
+    for (let k = i; k < j; k++) {
+      if (values[k].current) rankSum += averageRank;
+    }
+    i = j;
+  }
+
+  const n = n1 + n2;
+  const u = rankSum - (n1 * (n1 + 1)) / 2;
+  const mean = (n1 * n2) / 2;
+  const variance = ((n1 * n2) / 12) * ((n + 1) - tieTerm / (n * (n - 1)));
+  if (variance <= 0) return { u, z: 0, pValue: 1 };
+
+  const z = (u - mean - 0.5) / Math.sqrt(variance);
+  return { u, z, pValue: 1 - normalCdf(z) };
+}
+
+// Classify current stats against a stored baseline: 'new', 'ok', 'improved' or 'regression'
+export function compareToBaseline(current, baseline, options = {}) {
+  const { tolerance, alpha, minDeltaMs } = { ...REGRESSION_DEFAULTS, ...options };
+  if (!baseline) return { status: 'new' };
+
+  const previous = baseline.stats;
+  const ratio = previous.p50 ? current.p50 / previous.p50 : 1;
+  const delta = current.p50 - previous.p50;
+  const { pValue } = mannWhitneyU(previous.samples ?? [], current.samples ?? []);
+
+  const comparison = {
+    ratio: Math.round(ratio * 100) / 100,
+    delta,
+    pValue: Math.round(pValue * 10000) / 10000,
+    baselineP50: previous.p50,
+    baselineP90: previous.p90,
+    recordedAt: baseline.recordedAt
+  };
+
+  if (ratio > 1 + tolerance && delta >= minDeltaMs && pValue < alpha) {
+    return { status: 'regression', ...comparison };
+  }
+  if (ratio < 1 - tolerance && -delta >= minDeltaMs) {
+    return { status: 'improved', ...comparison };
+  }
+  return { status: 'ok', ...comparison };
+}
+
+export function formatComparison(name, comparison) {
+  if (comparison.status === 'new') {
+    return `${name}: no baseline yet, recording this run`;
+  }
+  return `${name}: p50 ${comparison.baselineP50}ms → ${comparison.baselineP50 + comparison.delta}ms ` +
+    `(x${comparison.ratio}, p=${comparison.pValue}) - ${comparison.status}`;
+}
@@ -0,0 +1,119 @@
+// utils/performance.js - Latency sampling, percentiles and budget checks
+import fs from 'node:fs';
+import { sendRequest } from './api-client.js';
+import DataGenerator from './data-generator.js';
+
+export const BUDGETS_FILE = new URL('../performance-budgets.json', import.meta.url);
+
+// Nearest-rank percentile over an ascending list of durations
+export function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length, Math.max(rank, 1)) - 1];
+}
+
+export function summarize(durations, { errors = 0, elapsed = 0 } = {}) {
+  const sorted = [...durations].sort((a, b) => a - b);
+  const total = sorted.length;
+  const mean = total ? sorted.reduce((sum, value) => sum + value, 0) / total : 0;
+
+  return {
+    requests: total,
+    errors,
+    errorRate: total ? errors / total : 0,
+    min: sorted[0] ?? 0,
+    mean: Math.round(mean * 100) / 100,
+    p50: percentile(sorted, 50),
+    p90: percentile(sorted, 90),
+    p99: percentile(sorted, 99),
+    max: sorted[total - 1] ?? 0,
+    throughput: elapsed ? Math.round((total / (elapsed / 1000)) * 100) / 100 : 0,
+    elapsed
+  };
+}
+
+// Load defaults and per-endpoint budgets; PERF_ITERATIONS / PERF_CONCURRENCY / PERF_REGRESSION_MODE override the file
+export function loadBudgets(file = BUDGETS_FILE) {
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const defaults = {
+    ...config.defaults,
+    iterations: Number(process.env.PERF_ITERATIONS) || config.defaults.iterations,
+    concurrency: Number(process.env.PERF_CONCURRENCY) || config.defaults.concurrency
+  };
+  const regression = {
+    ...config.regression,
+    ...(process.env.PERF_REGRESSION_MODE && { mode: process.env.PERF_REGRESSION_MODE })
+  };
+
+  return config.endpoints.map(endpoint => ({
+    ...defaults,
+    ...endpoint,
+    name: endpoint.name ?? `${endpoint.method ?? 'GET'} ${endpoint.path}`,
+    method: endpoint.method ?? 'GET',
+    budget: { ...defaults.budget, ...endpoint.budget },
+    regression: { ...regression, ...endpoint.regression }
+  }));
+}
+
+// Fire `iterations` requests with up to `concurrency` in flight and collect timings
+export async function measureEndpoint(request, {
+  method = 'GET',
+  path,
+  data,
+  generate,
+  iterations = 50,
+  concurrency = 5,
+  warmup = 2
+}) {
+  const payload = () => (generate ? DataGenerator.generateApiTestData(generate) : data);
+
+  for (let i = 0; i < warmup; i++) {
+    await sendRequest(request, method, path, { data: payload() });
+  }
+
+  const durations = [];
+  let errors = 0;
+  let next = 0;
+
+  const runner = async () => {
+    while (next < iterations) {
+      next++;
+      try {
+        const result = await sendRequest(request, method, path, { data: payload() });
+        durations.push(result.duration);
+        if (!result.ok) errors++;
+      } catch {
+        errors++;
+      }
+    }
+  };
+
+  const startTime = Date.now();
+  await Promise.all(Array.from({ length: Math.min(concurrency, iterations) }, runner));
+  const elapsed = Date.now() - startTime;
+
+  // Raw samples are kept for baseline significance tests
+  return { ...summarize(durations, { errors, elapsed }), samples: durations };
+}
+
+// List every budget the stats exceed; upper bounds for latency/errors, lower bound for throughput
+export function findBudgetBreaches(stats, budget) {
+  const breaches = [];
+
+  for (const metric of ['p50', 'p90', 'p99', 'max', 'errorRate']) {
+    if (budget[metric] !== undefined && stats[metric] > budget[metric]) {
+      breaches.push({ metric, actual: stats[metric], limit: budget[metric] });
+    }
+  }
+
+  if (budget.minThroughput !== undefined && stats.throughput < budget.minThroughput) {
+    breaches.push({ metric: 'throughput', actual: stats.throughput, limit: budget.minThroughput });
+  }
+
+  return breaches;
+}
+
+export function formatStats(name, stats) {
+  return `${name}: p50 ${stats.p50}ms | p90 ${stats.p90}ms | p99 ${stats.p99}ms | max ${stats.max}ms | ` +
+    `${stats.throughput} req/s | ${stats.errors}/${stats.requests} errors`;
+}
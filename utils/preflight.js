@@ -0,0 +1,115 @@
+// utils/preflight.js - Pre-flight health gate and the discovered-data file shared with every worker
+import fs from 'node:fs';
+import path from 'node:path';
+import { loadInventory } from './endpoint-coverage.js';
+
+// 'fail' aborts the run when a health check fails; 'warn' only reports it
+export const HEALTH_GATE_MODES = ['fail', 'warn'];
+
+// Written to the first project's outputDir; global setup exports its path as API_DISCOVERY_FILE
+export const DISCOVERY_FILE = 'api-discovery.json';
+
+export class HealthCheckError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'HealthCheckError';
+    Object.assign(this, details);
+  }
+}
+
+export function healthGate(mode = process.env.HEALTH_GATE || 'fail') {
+  if (!HEALTH_GATE_MODES.includes(mode)) {
+    throw new Error(`Unknown HEALTH_GATE "${mode}". Use one of: ${HEALTH_GATE_MODES.join(', ')}`);
+  }
+  return mode;
+}
+
+// Collections the inventory declares a GET for: /users, /posts, ...
+export function collectionPaths(inventory = loadInventory()) {
+  return inventory
+    .filter(endpoint => !endpoint.path.includes(':') && endpoint.methods.includes('GET'))
+    .map(endpoint => endpoint.path);
+}
+
+/*
+ * GET every collection once. A check fails when the API is unreachable, answers
+ * non-2xx or does not return a JSON array; a count that differs from the profile's
+ * expectedCounts is only a warning, since stateful APIs grow and shrink.
+ * Returns { ok, checks: [{ path, resource, status, durationMs, count, expected, ids, error, warning }] }
+ */
+export async function checkApiHealth(baseURL, { headers = {}, paths = collectionPaths(), expectedCounts = {}, timeoutMs = 10000 } = {}) {
+  const checks = [];
+
+  for (const collectionPath of paths) {
+    const resource = collectionPath.slice(1);
+    const check = { path: collectionPath, resource, expected: expectedCounts[resource] };
+    const startTime = Date.now();
+
+    try {
+      const response = await fetch(`${baseURL}${collectionPath}`, { headers, signal: AbortSignal.timeout(timeoutMs) });
+      check.status = response.status;
+      check.durationMs = Date.now() - startTime;
+
+      const body = response.ok ? await response.json().catch(() => undefined) : undefined;
+      if (!response.ok) {
+        check.error = `answered ${response.status}`;
+      } else if (!Array.isArray(body)) {
+        check.error = 'did not return a JSON array';
+      } else {
+        check.count = body.length;
+        check.ids = body.map(record => record.id);
+        if (check.expected !== undefined && check.count !== check.expected) {
+          check.warning = `${check.count} records, the profile expects ${check.expected}`;
+        }
+      }
+    } catch (error) {
+      check.durationMs = Date.now() - startTime;
+      check.error = `unreachable (${error.cause?.code ?? error.name}: ${error.cause?.message ?? error.message})`;
+    }
+
+    checks.push(check);
+  }
+
+  return { ok: checks.every(check => !check.error), checks };
+}
+
+// One line per collection, then a verdict
+export function formatHealthSummary({ ok, checks }, baseURL) {
+  const lines = checks.map(check => {
+    if (check.error) return `❌ GET ${check.path}: ${check.error}`;
+    const detail = `${check.count} records in ${check.durationMs}ms`;
+    return check.warning ? `⚠️ GET ${check.path}: ${detail} (${check.warning})` : `✅ GET ${check.path}: ${detail}`;
+  });
+
+  const failed = checks.filter(check => check.error).length;
+  lines.push(ok
+    ? `💚 ${baseURL} is healthy (${checks.length} collections)`
+    : `💔 ${baseURL} failed ${failed} of ${checks.length} health checks`);
+  return lines.join('\n');
+}
+
+// What the workers need from the health checks: counts and the ids that existed when the run started
+export function toDiscovery({ checks }, { environment, baseURL }) {
+  return {
+    environment,
+    baseURL,
+    discoveredAt: new Date().toISOString(),
+    resources: Object.fromEntries(
+      checks.filter(check => !check.error).map(check => [check.resource, { count: check.count, ids: check.ids }])
+    )
+  };
+}
+
+export function writeDiscovery(outputDir, discovery) {
+  fs.mkdirSync(outputDir, { recursive: true });
+  const file = path.join(outputDir, DISCOVERY_FILE);
+  fs.writeFileSync(file, JSON.stringify(discovery, null, 2));
+  return file;
+}
+
+export function readDiscovery(file = process.env.API_DISCOVERY_FILE) {
+  if (!file || !fs.existsSync(file)) {
+    throw new HealthCheckError('No discovered data: global setup writes it after the health checks pass (see utils/global-setup.js)', { file });
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
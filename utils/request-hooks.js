@@ -0,0 +1,32 @@
+// utils/request-hooks.js - Middleware around Playwright's APIRequestContext calls
+const SHORTHAND_METHODS = { get: 'GET', head: 'HEAD', post: 'POST', put: 'PUT', patch: 'PATCH', delete: 'DELETE' };
+
+/*
+ * Wrap a request context so every fetch/get/post/... call goes through
+ * middleware({ method, url, options, send }), where send(options?) performs the call.
+ * Everything else (dispose, storageState, ...) is passed through untouched.
+ */
+export function interceptRequests(request, middleware) {
+  return new Proxy(request, {
+    get(target, property) {
+      const value = Reflect.get(target, property, target);
+      if (typeof value !== 'function') return value;
+      if (property !== 'fetch' && !SHORTHAND_METHODS[property]) return value.bind(target);
+
+      return (url, options = {}) => {
+        const method = String(SHORTHAND_METHODS[property] ?? options.method ?? 'GET').toUpperCase();
+        const send = (nextOptions = options) => value.call(target, url, nextOptions);
+        return middleware({ method, url, options, send });
+      };
+    }
+  });
+}
+
+// Run callback(response, { method, url, options }) after every call, e.g. to record coverage
+export function observeResponses(request, callback) {
+  return interceptRequests(request, async ({ method, url, options, send }) => {
+    const response = await send();
+    await callback(response, { method, url, options });
+    return response;
+  });
+}
@@ -0,0 +1,215 @@
+// utils/request-log.js - Capture every API call and export it as a redacted HAR
+import { interceptRequests } from './request-hooks.js';
+
+export const API_LOG_MODES = ['on', 'retain-on-failure', 'off'];
+
+export const REDACTED = '[REDACTED]';
+
+// Header names and body/query fields masked on export; LOG_REDACT=ssn,iban adds fields
+export const REDACTION_DEFAULTS = {
+  headers: ['authorization', 'proxy-authorization', 'cookie', 'set-cookie', 'x-api-key'],
+  fields: [
+    'password', 'secret', 'client_secret', 'token', 'access_token', 'refresh_token', 'apiKey', 'api_key',
+    'email', 'phone',
+    ...(process.env.LOG_REDACT ?? '').split(',').map(field => field.trim()).filter(Boolean)
+  ]
+};
+
+// Bodies longer than this are cut in the HAR so a bulk listing doesn't dwarf the report
+const MAX_BODY_SIZE = 64 * 1024;
+
+function lowerSet(values = []) {
+  return new Set(values.map(value => value.toLowerCase()));
+}
+
+export function redactHeaders(headers = {}, redaction = REDACTION_DEFAULTS) {
+  const names = lowerSet(redaction.headers);
+  return Object.fromEntries(
+    Object.entries(headers).map(([name, value]) => [name, names.has(name.toLowerCase()) ? REDACTED : value])
+  );
+}
+
+// Mask matching keys at any depth: { user: { email } }, [{ password }]
+export function redactValue(value, redaction = REDACTION_DEFAULTS, fields = lowerSet(redaction.fields)) {
+  if (Array.isArray(value)) return value.map(item => redactValue(item, redaction, fields));
+  if (!value || typeof value !== 'object') return value;
+
+  return Object.fromEntries(Object.entries(value).map(([key, child]) => [
+    key,
+    fields.has(key.toLowerCase()) && child !== null && child !== undefined ? REDACTED : redactValue(child, redaction, fields)
+  ]));
+}
+
+export function redactUrl(url, redaction = REDACTION_DEFAULTS) {
+  const parsed = new URL(url);
+  const fields = lowerSet(redaction.fields);
+  for (const key of [...parsed.searchParams.keys()]) {
+    if (fields.has(key.toLowerCase())) parsed.searchParams.set(key, REDACTED);
+  }
+  return parsed.href;
+}
+
+// JSON and form bodies are redacted field by field; anything else is kept as text
+export function redactText(text, mimeType = '', redaction = REDACTION_DEFAULTS) {
+  if (!text) return text;
+
+  if (/json/i.test(mimeType) || /^\s*[[{]/.test(text)) {
+    try {
+      const parsed = JSON.parse(text);
+      const redacted = redactValue(parsed, redaction);
+      // Untouched bodies keep their original formatting
+      return JSON.stringify(redacted) === JSON.stringify(parsed) ? text : JSON.stringify(redacted, null, 2);
+    } catch {
+      return text;
+    }
+  }
+  if (/x-www-form-urlencoded/i.test(mimeType)) {
+    const form = new URLSearchParams(text);
+    const fields = lowerSet(redaction.fields);
+    for (const key of [...form.keys()]) {
+      if (fields.has(key.toLowerCase())) form.set(key, REDACTED);
+    }
+    return form.toString();
+  }
+  return text;
+}
+
+function truncate(text, limit) {
+  if (!text || text.length <= limit) return text;
+  return `${text.slice(0, limit)}…[truncated ${text.length - limit} characters]`;
+}
+
+// What the test passed as data/form/multipart, as HAR postData
+function describeRequestBody(options) {
+  if (options.form !== undefined) {
+    return { mimeType: 'application/x-www-form-urlencoded', text: new URLSearchParams(options.form).toString() };
+  }
+  if (options.multipart !== undefined) {
+    return { mimeType: 'multipart/form-data', text: `[multipart fields: ${Object.keys(options.multipart).join(', ')}]` };
+  }
+  if (options.data === undefined) return undefined;
+  if (Buffer.isBuffer(options.data)) {
+    return { mimeType: 'application/octet-stream', text: `[binary body, ${options.data.length} bytes]` };
+  }
+  if (typeof options.data === 'string') {
+    return { mimeType: 'text/plain', text: options.data };
+  }
+  return { mimeType: 'application/json', text: JSON.stringify(options.data) };
+}
+
+function headerList(headers) {
+  return Object.entries(headers).map(([name, value]) => ({ name, value: String(value) }));
+}
+
+export class RequestLog {
+  constructor({ redaction = REDACTION_DEFAULTS, baseURL, defaultHeaders = {}, maxBodySize = MAX_BODY_SIZE } = {}) {
+    this.redaction = redaction;
+    this.baseURL = baseURL;
+    this.defaultHeaders = defaultHeaders;
+    this.maxBodySize = maxBodySize;
+    this.entries = [];
+  }
+
+  get size() {
+    return this.entries.length;
+  }
+
+  // Raw captures stay in memory; redaction happens on export
+  start({ method, url, options }) {
+    const entry = {
+      startedDateTime: new Date().toISOString(),
+      method,
+      url: new URL(url, this.baseURL).href,
+      requestHeaders: { ...this.defaultHeaders, ...options.headers },
+      requestBody: describeRequestBody(options),
+      params: options.params
+    };
+    if (entry.params) {
+      const target = new URL(entry.url);
+      // params may be an object, a URLSearchParams with repeated keys or a query string
+      for (const [key, value] of new URLSearchParams(entry.params)) target.searchParams.append(key, value);
+      entry.url = target.href;
+    }
+    this.entries.push(entry);
+    return entry;
+  }
+
+  toHar({ comment } = {}) {
+    const { redaction } = this;
+
+    return {
+      log: {
+        version: '1.2',
+        creator: { name: 'api-automation-demo', version: '1.0.0' },
+        ...(comment ? { comment } : {}),
+        entries: this.entries.map(entry => {
+          const url = redactUrl(entry.url, redaction);
+          const requestBody = entry.requestBody && {
+            mimeType: entry.requestBody.mimeType,
+            text: truncate(redactText(entry.requestBody.text, entry.requestBody.mimeType, redaction), this.maxBodySize)
+          };
+          const responseHeaders = entry.responseHeaders ?? {};
+          const mimeType = responseHeaders['content-type'] ?? '';
+          const responseText = entry.responseBody ?? '';
+
+          return {
+            startedDateTime: entry.startedDateTime,
+            time: entry.time ?? 0,
+            request: {
+              method: entry.method,
+              url,
+              httpVersion: 'HTTP/1.1',
+              headers: headerList(redactHeaders(entry.requestHeaders, redaction)),
+              queryString: [...new URL(url).searchParams].map(([name, value]) => ({ name, value })),
+              cookies: [],
+              headersSize: -1,
+              bodySize: entry.requestBody ? Buffer.byteLength(entry.requestBody.text) : 0,
+              ...(requestBody ? { postData: requestBody } : {})
+            },
+            response: {
+              status: entry.status ?? 0,
+              statusText: entry.statusText ?? '',
+              httpVersion: 'HTTP/1.1',
+              headers: headerList(redactHeaders(responseHeaders, redaction)),
+              cookies: [],
+              content: {
+                size: Buffer.byteLength(responseText),
+                mimeType,
+                text: truncate(redactText(responseText, mimeType, redaction), this.maxBodySize)
+              },
+              redirectURL: '',
+              headersSize: -1,
+              bodySize: Buffer.byteLength(responseText),
+              ...(entry.error ? { _error: entry.error } : {})
+            },
+            cache: {},
+            timings: { send: 0, wait: entry.time ?? 0, receive: 0 }
+          };
+        })
+      }
+    };
+  }
+}
+
+// Wrap an APIRequestContext so every call (including failed ones) is recorded in `log`
+export function captureRequests(request, log) {
+  return interceptRequests(request, async ({ method, url, options, send }) => {
+    const entry = log.start({ method, url, options });
+    const startTime = Date.now();
+
+    try {
+      const response = await send();
+      entry.time = Date.now() - startTime;
+      entry.url = response.url();
+      entry.status = response.status();
+      entry.statusText = response.statusText();
+      entry.responseHeaders = response.headers();
+      entry.responseBody = await response.text().catch(error => `[body unavailable: ${error.message.split('\n')[0]}]`);
+      return response;
+    } catch (error) {
+      entry.time = Date.now() - startTime;
+      entry.error = error.message.split('\n')[0];
+      throw error;
+    }
+  });
+}
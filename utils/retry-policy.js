@@ -0,0 +1,119 @@
+// utils/retry-policy.js - Retry with exponential backoff, jitter and Retry-After for API calls
+import { interceptRequests } from './request-hooks.js';
+
+export const JITTER_MODES = ['full', 'equal', 'none'];
+
+export const RETRY_DEFAULTS = {
+  retries: 3,
+  baseDelayMs: 200,
+  maxDelayMs: 5000,
+  factor: 2,
+  jitter: 'full',
+  retryOn: [408, 429, 500, 502, 503, 504],
+  retryOnNetworkError: true,
+  // Only idempotent methods by default; add POST when the API deduplicates writes
+  methods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'],
+  respectRetryAfter: true,
+  maxRetryAfterMs: 30_000
+};
+
+export class RetryExhaustedError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'RetryExhaustedError';
+    Object.assign(this, details);
+  }
+}
+
+// "120" (seconds) or an HTTP date; null when absent or unparseable
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const text = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(text)) return Math.round(Number(text) * 1000);
+
+  const date = Date.parse(text);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+export class RetryPolicy {
+  // `random` and `sleep` are injectable so tests can make the schedule deterministic
+  constructor(options = {}, { random = Math.random, sleep } = {}) {
+    this.options = { ...RETRY_DEFAULTS, ...options };
+    this.options.methods = this.options.methods.map(method => method.toUpperCase());
+    if (!JITTER_MODES.includes(this.options.jitter)) {
+      throw new Error(`Unknown jitter "${this.options.jitter}". Use: ${JITTER_MODES.join(', ')}`);
+    }
+    this.random = random;
+    this.sleep = sleep ?? (ms => new Promise(resolve => setTimeout(resolve, ms)));
+  }
+
+  // Attempt 1 is the first retry: base × factor^(attempt - 1), capped, then jittered
+  backoff(attempt) {
+    const { baseDelayMs, factor, maxDelayMs, jitter } = this.options;
+    const delay = Math.min(maxDelayMs, baseDelayMs * factor ** (attempt - 1));
+
+    if (jitter === 'full') return Math.round(this.random() * delay);
+    if (jitter === 'equal') return Math.round(delay / 2 + this.random() * (delay / 2));
+    return delay;
+  }
+
+  // The server's Retry-After wins over backoff, within maxRetryAfterMs
+  delayFor(attempt, response) {
+    const { respectRetryAfter, maxRetryAfterMs } = this.options;
+    const retryAfter = respectRetryAfter ? parseRetryAfter(response?.headers()['retry-after']) : null;
+    return retryAfter === null ? this.backoff(attempt) : Math.min(retryAfter, maxRetryAfterMs);
+  }
+
+  shouldRetry({ method, attempt, response, error }) {
+    const { retries, methods, retryOn, retryOnNetworkError } = this.options;
+    if (attempt > retries || !methods.includes(method)) return false;
+    if (error) return retryOnNetworkError;
+    return retryOn.includes(response.status());
+  }
+}
+
+function describeOutcome({ response, error }) {
+  return error ? error.message.split('\n')[0] : `answered ${response.status()}`;
+}
+
+/*
+ * Wrap an APIRequestContext so failed calls are retried according to `policy`.
+ * The last response is returned once retries run out (so status assertions still apply);
+ * a network error that outlives its retries is rethrown as RetryExhaustedError.
+ * onRetry({ method, url, attempt, delay, status, error }) is called before each wait.
+ */
+export function withRetries(request, policy, { onRetry } = {}) {
+  if (!policy) return request;
+
+  return interceptRequests(request, async ({ method, url, send }) => {
+    const history = [];
+
+    for (let attempt = 1; ; attempt++) {
+      let response;
+      let error;
+      try {
+        response = await send();
+      } catch (caught) {
+        error = caught;
+      }
+      history.push(error ? { error: error.message.split('\n')[0] } : { status: response.status() });
+
+      if (!policy.shouldRetry({ method, attempt, response, error })) {
+        if (error && attempt > 1) {
+          throw new RetryExhaustedError(`${method} ${url} failed after ${attempt} attempt(s): ${describeOutcome({ error })}`, {
+            cause: error,
+            attempts: history
+          });
+        }
+        if (error) throw error;
+        return response;
+      }
+
+      const delay = policy.delayFor(attempt, response);
+      await onRetry?.({ method, url, attempt, delay, status: response?.status(), error: error && describeOutcome({ error }) });
+      await response?.dispose();
+      await policy.sleep(delay);
+    }
+  });
+}
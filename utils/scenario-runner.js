@@ -0,0 +1,202 @@
+// utils/scenario-runner.js - Turn declarative scenario tables into Playwright tests
+import fs from 'node:fs';
+import path from 'node:path';
+import YAML from 'yaml';
+import { test, expect } from './fixtures.js';
+import { sendRequest } from './api-client.js';
+import { getPath } from './json-path.js';
+import DataGenerator from './data-generator.js';
+import MockServer from './mock-server.js';
+
+const DEFAULT_STATUS = { GET: 200, POST: 201, PUT: 200, PATCH: 200, DELETE: 200 };
+const SCENARIO_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  return Array.isArray(value) ? 'array' : typeof value;
+}
+
+// Operators available in `expect.fields`; anything else is compared with toEqual
+const FIELD_ASSERTIONS = {
+  equals: (actual, expected, label) => expect(actual, label).toEqual(expected),
+  type: (actual, expected, label) => expect(typeOf(actual), label).toBe(expected),
+  match: (actual, expected, label) => expect(String(actual), label).toMatch(new RegExp(expected)),
+  contains: (actual, expected, label) => expect(actual, label).toContain(expected),
+  length: (actual, expected, label) => expect(actual, label).toHaveLength(expected),
+  exists: (actual, expected, label) => expected
+    ? expect(actual, label).toBeDefined()
+    : expect(actual, label).toBeUndefined(),
+  gt: (actual, expected, label) => expect(actual, label).toBeGreaterThan(expected),
+  gte: (actual, expected, label) => expect(actual, label).toBeGreaterThanOrEqual(expected),
+  lt: (actual, expected, label) => expect(actual, label).toBeLessThan(expected),
+  lte: (actual, expected, label) => expect(actual, label).toBeLessThanOrEqual(expected)
+};
+
+function isOperatorSpec(spec) {
+  return typeOf(spec) === 'object'
+    && Object.keys(spec).length > 0
+    && Object.keys(spec).every(key => key in FIELD_ASSERTIONS);
+}
+
+// Throw a descriptive error for malformed scenario definitions at collection time
+export function validateScenarios(scenarios, source = 'scenarios') {
+  if (!Array.isArray(scenarios)) {
+    throw new Error(`${source}: "scenarios" must be an array`);
+  }
+
+  scenarios.forEach((scenario, index) => {
+    const where = `${source}: scenario #${index + 1}`;
+    const method = String(scenario.method ?? '').toUpperCase();
+
+    if (!(method in DEFAULT_STATUS)) {
+      throw new Error(`${where} has unsupported method "${scenario.method}"`);
+    }
+    if (scenario.expect?.status !== undefined && !Number.isInteger(scenario.expect.status)) {
+      throw new Error(`${where} must declare expect.status as an integer`);
+    }
+    if (scenario.expect?.fields !== undefined && typeOf(scenario.expect.fields) !== 'object') {
+      throw new Error(`${where} must declare expect.fields as an object of path: assertion`);
+    }
+    if (scenario.create !== undefined && scenario.create !== true && typeOf(scenario.create) !== 'object') {
+      throw new Error(`${where} must declare create as true or an object with data/generate`);
+    }
+    if (scenario.seededId !== undefined && !Number.isInteger(scenario.seededId)) {
+      throw new Error(`${where} must declare seededId as an integer`);
+    }
+  });
+
+  return scenarios;
+}
+
+// Load { name, endpoint, scenarios } from a JSON or YAML file
+export function loadScenarioFile(file) {
+  const extension = path.extname(file);
+  const text = fs.readFileSync(file, 'utf8');
+  const suite = extension === '.json' ? JSON.parse(text) : YAML.parse(text);
+
+  return {
+    name: suite.name ?? path.basename(file, extension),
+    endpoint: suite.endpoint ?? '',
+    scenarios: validateScenarios(suite.scenarios, path.basename(file))
+  };
+}
+
+export function loadScenarioDir(dir) {
+  return fs.readdirSync(dir)
+    .filter(file => SCENARIO_EXTENSIONS.includes(path.extname(file)))
+    .sort()
+    .map(file => loadScenarioFile(path.join(dir, file)));
+}
+
+// `generate: true` uses the suite endpoint, `generate: '/todos'` names one; `data` overrides fields
+function resolveData(scenario, endpoint) {
+  if (!scenario.generate) return scenario.data;
+
+  const generateFor = scenario.generate === true ? endpoint : scenario.generate;
+  return { ...DataGenerator.generateApiTestData(generateFor), ...scenario.data };
+}
+
+function describeScenario(scenario, endpoint) {
+  const target = `${scenario.method.toUpperCase()} ${scenario.endpoint ?? endpoint}${scenario.path ?? ''}`;
+  return scenario.description ? `${scenario.description} (${target})` : target;
+}
+
+// Where the API keeps writes (the local mock), POST a fresh record for the scenario;
+// JSONPlaceholder only fakes writes, so there the scenario targets its seededId
+async function recordIdFor(request, scenario, endpoint, baseURL) {
+  if (!MockServer.handles(baseURL)) return scenario.seededId;
+
+  const collection = scenario.endpoint ?? endpoint;
+  const data = resolveData(scenario.create === true ? { generate: true } : scenario.create, collection);
+  const created = await sendRequest(request, 'POST', collection, { data });
+  expect(created.ok, `setup: POST ${collection} answered ${created.status}`).toBe(true);
+  return created.body.id;
+}
+
+// "{{id}}" in the path and in expect.fields stands for the scenario's record
+function withRecordId(scenario, id) {
+  const fields = Object.entries(scenario.expect?.fields ?? {})
+    .map(([fieldPath, spec]) => [fieldPath, spec === '{{id}}' ? id : spec]);
+  return {
+    ...scenario,
+    path: scenario.path?.replaceAll('{{id}}', id),
+    expect: { ...scenario.expect, fields: Object.fromEntries(fields) }
+  };
+}
+
+// Apply a scenario's status, schema, echo and field assertions to a response
+export async function assertScenarioResult(result, scenario, data) {
+  const method = result.method;
+  const expectations = scenario.expect ?? {};
+  const { pathname, search } = new URL(result.url);
+
+  const expectedStatus = expectations.status ?? DEFAULT_STATUS[method];
+  expect(result.status, `${method} ${pathname}${search} status`).toBe(expectedStatus);
+
+  if (expectations.schema) {
+    await expect(result).toMatchSchema(expectations.schema);
+  }
+
+  if (expectations.echo && data) {
+    expect(result.body, 'response echoes the request data').toMatchObject(data);
+  }
+
+  for (const [fieldPath, spec] of Object.entries(expectations.fields ?? {})) {
+    const actual = getPath(result.body, fieldPath);
+    const label = `field ${fieldPath}`;
+
+    if (isOperatorSpec(spec)) {
+      for (const [operator, expected] of Object.entries(spec)) {
+        FIELD_ASSERTIONS[operator](actual, expected, label);
+      }
+    } else {
+      FIELD_ASSERTIONS.equals(actual, spec, label);
+    }
+  }
+}
+
+// Send one scenario's request and apply its assertions; scenarios with `create`
+// write to a record of their own instead of seeded data
+export async function executeScenario(request, scenario, endpoint = '', { baseURL } = {}) {
+  if (scenario.create) {
+    const id = await recordIdFor(request, scenario, endpoint, baseURL);
+    test.skip(id === undefined, `${describeScenario(scenario, endpoint)} needs a seededId on APIs that do not keep writes`);
+    scenario = withRecordId(scenario, id);
+  }
+
+  const method = scenario.method.toUpperCase();
+  const url = `${scenario.endpoint ?? endpoint}${scenario.path ?? ''}`;
+  const data = resolveData(scenario, endpoint);
+
+  const result = await sendRequest(request, method, url, {
+    params: scenario.query,
+    data,
+    headers: scenario.headers
+  });
+
+  await assertScenarioResult(result, scenario, data);
+
+  console.log(`✅ ${describeScenario(scenario, endpoint)} → ${result.status} in ${result.duration}ms`);
+  return result;
+}
+
+// Register one test per scenario; pass a factory so generated data is rebuilt under each test's seed
+export function runScenarios(title, source, { endpoint = '' } = {}) {
+  const load = typeof source === 'function' ? source : () => source;
+  const scenarios = validateScenarios(load(), title);
+
+  test.describe(title, () => {
+    scenarios.forEach((scenario, index) => {
+      test(describeScenario(scenario, endpoint), async ({ request, baseURL }) => {
+        await executeScenario(request, load()[index], endpoint, { baseURL });
+      });
+    });
+  });
+}
+
+// Register every JSON/YAML scenario file in a directory
+export function runScenarioFiles(dir) {
+  for (const suite of loadScenarioDir(dir)) {
+    runScenarios(`Scenarios - ${suite.name}`, suite.scenarios, { endpoint: suite.endpoint });
+  }
+}
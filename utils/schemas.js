@@ -0,0 +1,200 @@
+// utils/schemas.js - JSON Schema contracts for every API resource
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+
+const geo = {
+  type: 'object',
+  required: ['lat', 'lng'],
+  additionalProperties: false,
+  properties: {
+    lat: { type: 'string', pattern: '^-?\\d+(\\.\\d+)?$' },
+    lng: { type: 'string', pattern: '^-?\\d+(\\.\\d+)?$' }
+  }
+};
+
+const address = {
+  type: 'object',
+  required: ['street', 'suite', 'city', 'zipcode', 'geo'],
+  additionalProperties: false,
+  properties: {
+    street: { type: 'string' },
+    suite: { type: 'string' },
+    city: { type: 'string' },
+    zipcode: { type: 'string' },
+    geo
+  }
+};
+
+const company = {
+  type: 'object',
+  required: ['name', 'catchPhrase', 'bs'],
+  additionalProperties: false,
+  properties: {
+    name: { type: 'string' },
+    catchPhrase: { type: 'string' },
+    bs: { type: 'string' }
+  }
+};
+
+const id = { type: 'integer', minimum: 1 };
+
+export const schemas = {
+  user: {
+    $id: 'user',
+    type: 'object',
+    required: ['id', 'name', 'username', 'email', 'address', 'phone', 'website', 'company'],
+    additionalProperties: false,
+    properties: {
+      id,
+      name: { type: 'string', minLength: 1 },
+      username: { type: 'string', minLength: 1 },
+      email: { type: 'string', format: 'email' },
+      address,
+      phone: { type: 'string' },
+      website: { type: 'string' },
+      company
+    }
+  },
+
+  post: {
+    $id: 'post',
+    type: 'object',
+    required: ['id', 'userId', 'title', 'body'],
+    additionalProperties: false,
+    properties: {
+      id,
+      userId: id,
+      title: { type: 'string' },
+      body: { type: 'string' }
+    }
+  },
+
+  comment: {
+    $id: 'comment',
+    type: 'object',
+    required: ['id', 'postId', 'name', 'email', 'body'],
+    additionalProperties: false,
+    properties: {
+      id,
+      postId: id,
+      name: { type: 'string' },
+      email: { type: 'string', format: 'email' },
+      body: { type: 'string' }
+    }
+  },
+
+  todo: {
+    $id: 'todo',
+    type: 'object',
+    required: ['id', 'userId', 'title', 'completed'],
+    additionalProperties: false,
+    properties: {
+      id,
+      userId: id,
+      title: { type: 'string' },
+      completed: { type: 'boolean' }
+    }
+  },
+
+  album: {
+    $id: 'album',
+    type: 'object',
+    required: ['id', 'userId', 'title'],
+    additionalProperties: false,
+    properties: {
+      id,
+      userId: id,
+      title: { type: 'string' }
+    }
+  },
+
+  photo: {
+    $id: 'photo',
+    type: 'object',
+    required: ['id', 'albumId', 'title', 'url', 'thumbnailUrl'],
+    additionalProperties: false,
+    properties: {
+      id,
+      albumId: id,
+      title: { type: 'string' },
+      url: { type: 'string', format: 'uri' },
+      thumbnailUrl: { type: 'string', format: 'uri' }
+    }
+  }
+};
+
+// Request payloads are the resource minus the server-assigned id
+function toPayloadSchema(schema) {
+  const { $id, ...rest } = schema;
+  const { id: _id, ...properties } = schema.properties;
+  return {
+    ...rest,
+    required: schema.required.filter(field => field !== 'id'),
+    properties
+  };
+}
+
+// Look up a resource schema, or its request-payload variant
+export function getSchema(name, { payload = false } = {}) {
+  const schema = schemas[name];
+  if (!schema) {
+    throw new Error(`Unknown schema "${name}". Available schemas: ${Object.keys(schemas).join(', ')}`);
+  }
+  return payload ? toPayloadSchema(schema) : schema;
+}
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+addFormats(ajv);
+
+const validators = {};
+for (const [name, schema] of Object.entries(schemas)) {
+  validators[name] = ajv.compile(schema);
+  validators[`${name}:payload`] = ajv.compile(toPayloadSchema(schema));
+}
+
+// Turn an ajv instance path like /address/geo/0 into $.address.geo[0]
+function toJsonPath(prefix, instancePath, property) {
+  const segments = instancePath.split('/').slice(1);
+  if (property !== undefined) segments.push(property);
+
+  return segments.reduce((path, segment) => {
+    const key = segment.replace(/~1/g, '/').replace(/~0/g, '~');
+    return /^\d+$/.test(key) ? `${path}[${key}]` : `${path}.${key}`;
+  }, prefix);
+}
+
+function describeError(prefix, error) {
+  const property = error.params.missingProperty ?? error.params.additionalProperty;
+  const message = error.keyword === 'additionalProperties'
+    ? 'is not allowed by the schema'
+    : error.message;
+
+  return { path: toJsonPath(prefix, error.instancePath, property), message };
+}
+
+// Validate a single record or an array of records; returns [] when valid
+export function validateSchema(name, data, { payload = false } = {}) {
+  const key = payload ? `${name}:payload` : name;
+  const validate = validators[key];
+  if (!validate) {
+    throw new Error(`Unknown schema "${name}". Available schemas: ${Object.keys(schemas).join(', ')}`);
+  }
+
+  const items = Array.isArray(data) ? data : [data];
+  const violations = [];
+
+  items.forEach((item, index) => {
+    const prefix = Array.isArray(data) ? `$[${index}]` : '$';
+    if (!validate(item)) {
+      violations.push(...validate.errors.map(error => describeError(prefix, error)));
+    }
+  });
+
+  return violations;
+}
+
+// Validate data against any JSON Schema, e.g. one taken from an OpenAPI document; returns [] when valid
+export function validateAgainst(schema, data, prefix = '$') {
+  const validate = ajv.compile(schema);
+  return validate(data) ? [] : validate.errors.map(error => describeError(prefix, error));
+}
@@ -0,0 +1,113 @@
+// utils/teardown-registry.js - Track resources created through POST and delete them afterwards
+import fs from 'node:fs';
+import path from 'node:path';
+import { observeResponses } from './request-hooks.js';
+
+export const CLEANUP_SCOPES = ['test', 'worker', 'off'];
+export const ORPHAN_REPORT = 'teardown-orphans.jsonl';
+
+// POST /posts or /users/1/posts answering { id: 101 } created /posts/101
+export function createdResourceUrl(requestUrl, body) {
+  if (body?.id === undefined || body?.id === null) return null;
+
+  const url = new URL(requestUrl);
+  const segments = url.pathname.split('/').filter(Boolean);
+  if (segments.length >= 3 && /^\d+$/.test(segments.at(-2))) {
+    segments.splice(-3, 2);
+  }
+  return `${url.origin}/${[...segments, body.id].join('/')}`;
+}
+
+export class TeardownRegistry {
+  constructor({ retries = 2, retryDelayMs = 250 } = {}) {
+    this.retries = retries;
+    this.retryDelayMs = retryDelayMs;
+    this.entries = new Map();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  track(url, details = {}) {
+    this.entries.set(url, { url, path: new URL(url).pathname, trackedAt: new Date().toISOString(), ...details });
+  }
+
+  untrack(url) {
+    this.entries.delete(url);
+  }
+
+  // Hand every entry to another registry, e.g. a test's resources to its worker
+  transferTo(registry) {
+    for (const entry of this.entries.values()) {
+      registry.entries.set(entry.url, entry);
+    }
+    this.entries.clear();
+  }
+
+  // DELETE newest-first; 404 means someone already removed it, anything else is retried
+  async cleanup(request) {
+    const summary = { deleted: [], alreadyGone: [], orphans: [] };
+
+    for (const entry of [...this.entries.values()].reverse()) {
+      let lastError;
+      for (let attempt = 1; attempt <= this.retries + 1; attempt++) {
+        try {
+          const response = await request.delete(entry.url);
+          if (response.ok()) {
+            summary.deleted.push(entry.path);
+            lastError = undefined;
+            break;
+          }
+          if (response.status() === 404) {
+            summary.alreadyGone.push(entry.path);
+            lastError = undefined;
+            break;
+          }
+          lastError = `DELETE answered ${response.status()}`;
+        } catch (error) {
+          lastError = error.message.split('\n')[0];
+        }
+
+        if (attempt <= this.retries) {
+          await new Promise(resolve => setTimeout(resolve, this.retryDelayMs * attempt));
+        }
+      }
+
+      if (lastError) {
+        summary.orphans.push({ ...entry, attempts: this.retries + 1, error: lastError });
+      }
+      this.entries.delete(entry.url);
+    }
+
+    return summary;
+  }
+}
+
+// Wrap an APIRequestContext so successful POSTs are tracked and successful DELETEs untracked
+export function trackResources(request, registry, details = {}) {
+  return observeResponses(request, async (response, { method }) => {
+    if (method === 'POST' && response.ok()) {
+      const body = await response.json().catch(() => null);
+      const created = createdResourceUrl(response.url(), body);
+      if (created) registry.track(created, details);
+    } else if (method === 'DELETE' && (response.ok() || response.status() === 404)) {
+      registry.untrack(response.url());
+    }
+  });
+}
+
+// One JSON line per orphan so parallel workers can append to the same report
+export function recordOrphans(orphans, outputDir) {
+  if (orphans.length === 0) return;
+
+  fs.mkdirSync(outputDir, { recursive: true });
+  fs.appendFileSync(path.join(outputDir, ORPHAN_REPORT), orphans.map(orphan => `${JSON.stringify(orphan)}\n`).join(''));
+}
+
+export function readOrphanReport(outputDir) {
+  const file = path.join(outputDir, ORPHAN_REPORT);
+  if (!fs.existsSync(file)) return [];
+
+  return fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
@@ -0,0 +1,150 @@
+// utils/workflow.js - Declarative API chains with extraction, {{templating}} and teardown
+import { test } from '@playwright/test';
+import { sendRequest } from './api-client.js';
+import { getPath } from './json-path.js';
+import { assertScenarioResult } from './scenario-runner.js';
+
+const TEMPLATE = /\{\{\s*([^}]+?)\s*\}\}/g;
+const WHOLE_TEMPLATE = /^\{\{\s*([^}]+?)\s*\}\}$/;
+
+export class WorkflowError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'WorkflowError';
+    Object.assign(this, details);
+  }
+}
+
+function lookup(context, expression, where) {
+  const value = getPath(context, expression);
+  if (value === undefined) {
+    throw new WorkflowError(`Unknown variable "{{${expression}}}" in ${where}. ` +
+      `Context has: ${Object.keys(context).join(', ') || 'nothing yet'}`);
+  }
+  return value;
+}
+
+// "{{post.id}}" keeps the value's type; "/posts/{{post.id}}/comments" becomes a string
+export function renderTemplate(value, context, where = 'workflow') {
+  if (typeof value === 'string') {
+    const whole = value.match(WHOLE_TEMPLATE);
+    if (whole) return lookup(context, whole[1], where);
+    return value.replace(TEMPLATE, (_, expression) => String(lookup(context, expression, where)));
+  }
+  if (Array.isArray(value)) return value.map(item => renderTemplate(item, context, where));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, child]) => [key, renderTemplate(child, context, where)])
+    );
+  }
+  return value;
+}
+
+// Functions receive the context (e.g. data: ({ user }) => DataGenerator.generatePost(user.id))
+function resolve(value, context, where) {
+  return renderTemplate(typeof value === 'function' ? value(context) : value, context, where);
+}
+
+// The whole request or any of its fields may be a function of the context
+export function resolveRequest(definition, context, where) {
+  const fields = typeof definition === 'function' ? definition(context) : definition;
+  const { method = 'GET', path, data, query, headers } = Object.fromEntries(
+    Object.entries(fields).map(([key, value]) => [key, resolve(value, context, where)])
+  );
+  return { method: method.toUpperCase(), path, data, query, headers };
+}
+
+// Teardown requests may find the record already gone; anything else outside 2xx is a failure
+async function runTeardown(request, action) {
+  if (typeof action.run === 'function') {
+    await action.run(request);
+    return { name: action.name, status: 'done' };
+  }
+
+  const result = await sendRequest(request, action.method, action.path, { headers: action.headers });
+  if (!result.ok && result.status !== 404) {
+    throw new WorkflowError(`${action.method} ${action.path} answered ${result.status}`);
+  }
+  return { name: action.name, method: action.method, path: action.path, status: result.status };
+}
+
+/*
+ * Run steps in order against a shared context:
+ *   { name, request: { method, path, data, query, headers }, expect, extract: { key: '$.path' }, teardown }
+ * `teardown` is a request ({ method: 'DELETE', path: '/posts/{{post.id}}' }) or a function(request, context);
+ * registered teardowns run in reverse order once the workflow finishes or fails.
+ */
+export async function runWorkflow(request, { name = 'workflow', steps, context: initialContext = {} }) {
+  const context = { ...initialContext };
+  const results = [];
+  const teardowns = [];
+  const teardownLog = [];
+  let failure;
+  let currentStep;
+
+  try {
+    for (const [index, step] of steps.entries()) {
+      const stepName = step.name ?? `step ${index + 1}`;
+      const where = `step "${stepName}"`;
+      currentStep = stepName;
+
+      await test.step(stepName, async () => {
+        const { method, path, data, query, headers } = resolveRequest(step.request, context, where);
+        const result = await sendRequest(request, method, path, { params: query, data, headers });
+        results.push({ step: stepName, method, path, status: result.status, duration: result.duration });
+
+        for (const [key, expression] of Object.entries(step.extract ?? {})) {
+          const value = getPath(result.body, expression);
+          if (value === undefined && result.ok) {
+            throw new WorkflowError(`${where} could not extract "${key}" from ${expression}`);
+          }
+          context[key] = value;
+        }
+
+        // Registered before assertions so a created record is cleaned up even if its checks fail
+        if (step.teardown && result.ok) {
+          teardowns.push(typeof step.teardown === 'function'
+            ? { name: `teardown ${stepName}`, run: teardownRequest => step.teardown(teardownRequest, { ...context }) }
+            : { name: `teardown ${stepName}`, ...resolveRequest(step.teardown, context, `teardown of ${where}`) });
+        }
+
+        await assertScenarioResult(result, { expect: resolve(step.expect ?? {}, context, where) }, data);
+        console.log(`🔗 ${name} › ${stepName}: ${method} ${path} → ${result.status} in ${result.duration}ms`);
+      });
+    }
+  } catch (error) {
+    failure = error;
+  } finally {
+    for (const action of teardowns.reverse()) {
+      try {
+        teardownLog.push(await runTeardown(request, action));
+      } catch (error) {
+        teardownLog.push({ name: action.name, status: 'failed', error: error.message });
+      }
+    }
+    if (teardownLog.length > 0) {
+      console.log(`🧹 ${name}: ran ${teardownLog.length} teardown action(s) in reverse order`);
+    }
+  }
+
+  await test.info().attach(`workflow-${name}`, {
+    body: JSON.stringify({ name, steps: results, teardown: teardownLog, context }, null, 2),
+    contentType: 'application/json'
+  });
+
+  const failedTeardowns = teardownLog.filter(entry => entry.status === 'failed');
+  if (failure) {
+    throw new WorkflowError(`Workflow "${name}" failed at step "${currentStep}": ${failure.message}`, {
+      cause: failure,
+      context,
+      steps: results,
+      teardown: teardownLog
+    });
+  }
+  if (failedTeardowns.length > 0) {
+    throw new WorkflowError(`Workflow "${name}" teardown failed:\n` +
+      failedTeardowns.map(entry => `  ${entry.name}: ${entry.error}`).join('\n'), { context, steps: results, teardown: teardownLog });
+  }
+
+  return { context, steps: results, teardown: teardownLog };
+}